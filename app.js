@@ -2,39 +2,7 @@
 // Desenvolvido para Renata - Assessoria Judicial TRT12
 // Versão 3.1 - FASE 1: Correções Críticas
 
-// ========== GERENCIADOR CENTRAL DE IDs ==========
-// ✅ CORREÇÃO 1: IDs sempre consistentes em todo o sistema
-
-/**
- * Gera ID consistente para qualquer tipo de item
- * @param {string} tipo - 'sumula', 'oj', 'precedente', 'informativo', 'tese'
- * @param {string|number} identificador - número ou tema da tese
- * @returns {string} ID padronizado
- */
-function gerarIdConsistente(tipo, identificador) {
-    // Remove espaços e caracteres especiais do identificador
-    const idLimpo = String(identificador).trim().replace(/[^a-zA-Z0-9]/g, '');
-    
-    switch(tipo.toLowerCase()) {
-        case 'sumula':
-            return `sumula_${idLimpo}`;
-        case 'oj':
-            return `oj_${idLimpo}`;
-        case 'precedente':
-        case 'precedente_normativo':
-            return `precedente_${idLimpo}`;
-        case 'informativo':
-            return `informativo_${idLimpo}`;
-        case 'tese':
-        case 'irr':
-        case 'irdr':
-        case 'iac':
-            return `tese-${idLimpo}`;
-        default:
-            console.warn(`⚠️ Tipo desconhecido: ${tipo}, usando genérico`);
-            return `${tipo}_${idLimpo}`;
-    }
-}
+// gerarIdConsistente, formatarGrupoOJ e rotuloCitacao ficam em identificadores.js (também usados no admin)
 
 // ========== NORMALIZAÇÃO DE TEXTO PARA BUSCA ==========
 // ✅ CORREÇÃO 2: Busca funciona sem acentuação
@@ -69,703 +37,3111 @@ function contemTermoNormalizado(textoCompleto, termoBusca) {
     return textoNormalizado.includes(termoNormalizado);
 }
 
-// ========== ESTRUTURA DE DADOS ==========
-let dadosTST = {
-    sumulas: [],
-    ojs: [],
-    precedentes: []
-};
+// ========== ÍNDICE INVERTIDO (BUSCA RANQUEADA) ==========
+// Construído uma vez em processarDadosCarregados e atualizado item a item
+// quando PDFs são adicionados/removidos ou anotações mudam.
 
-let todosItens = [];
-let itensFiltrados = [];
-let favoritos = [];
-let anotacoes = {}; // {itemId: "texto da anotação"}
-let tags = {}; // {itemId: ["tag1", "tag2"]}
-let correlacoes = {}; // {itemId: [relatedItemIds]}
-let informativos = [];
-let tesesVinculantes = [];
+const PESOS_CAMPOS = { titulo: 3, corpo: 1, anotacao: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PESO_RADICAL = 0.9; // Variações da mesma palavra (dispensa/dispensado)
+const PESO_PREFIXO = 0.8; // Termo ainda sendo digitado pontua menos que o termo exato
+const PESO_APROXIMADO = 0.4; // Correção de digitação fica abaixo de qualquer acerto exato
+const MAX_APROXIMADOS = 5; // Termos parecidos considerados para cada termo sem correspondência
 
-let viewMode = 'grid';
-let searchTerm = '';
-let statusFiltro = 'todos';
-let currentTab = 'jurisprudencia';
-let currentModalItem = null;
+const STOPWORDS = new Set([
+    'a', 'o', 'e', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas',
+    'um', 'uma', 'por', 'para', 'com', 'ao', 'aos', 'que', 'se', 'ou'
+]);
 
-// Estatísticas
-let stats = {
-    total: 0,
-    vigentes: 0,
-    canceladas: 0
-};
+let indiceBusca = criarIndiceVazio();
 
-// ========== INICIALIZAÇÃO ==========
-function carregarDados() {
-    // Carregar dados salvos do localStorage
-    const favoritosSalvos = localStorage.getItem('juristst_favoritos');
-    if (favoritosSalvos) {
-        favoritos = JSON.parse(favoritosSalvos);
+function criarIndiceVazio() {
+    return {
+        postings: new Map(), // termo → Map(itemId → {titulo, corpo, anotacao})
+        docs: new Map(), // itemId → {comprimentos, termos}
+        radicais: new Map(), // radical → Set(termos do índice com esse radical)
+        somaComprimentos: { titulo: 0, corpo: 0, anotacao: 0 },
+        vocabulario: null, // Termos ordenados para busca por prefixo (recalculado sob demanda)
+        aproximados: new Map() // Cache de buscarTermosAproximados, válido enquanto o vocabulário não muda
+    };
+}
+
+/**
+ * Quebra um texto em termos normalizados, sem stopwords
+ * @param {string} texto
+ * @returns {string[]}
+ */
+function tokenizar(texto) {
+    return normalizarTexto(texto)
+        .split(/[^a-z0-9]+/)
+        .filter(termo => termo && !STOPWORDS.has(termo));
+}
+
+// Sufixos removidos pelo radicalizador, dos mais longos aos mais curtos
+const SUFIXOS_RADICAL = [
+    'amento', 'imento', 'adora', 'idade', 'mente', 'ador', 'acao', 'icao', 'avel', 'ivel',
+    'ante', 'ente', 'ado', 'ada', 'ido', 'ida', 'al', 'ar', 'er', 'ir', 'a', 'o', 'e'
+];
+
+// Estes só saem de radicais com 4+ letras: gestante → gest, mas parente ≠ par, gerente ≠ gerar
+const SUFIXOS_RADICAL_LONGO = new Set(['ante', 'ente']);
+
+/**
+ * Radicalizador leve para português: reduz plural e sufixos comuns
+ * (dispensa/dispensado → dispens, insalubre/insalubridade → insalubr)
+ * @param {string} termo - Termo já normalizado (sem acentos, minúsculo)
+ * @returns {string} Radical
+ */
+function radicalizar(termo) {
+    if (termo.length <= 3 || /\d/.test(termo)) return termo;
+    
+    let radical = termo;
+    
+    // Plural. "ais"/"eis" viram "al"/"el" só depois de 2+ letras: mais, pais e leis
+    // perdem apenas o "s" (reais → real, mas pais → pai, não "pal")
+    if (/[oa]es$/.test(radical)) {
+        radical = radical.slice(0, -3) + 'ao'; // acoes → acao
+    } else if (/..ais$/.test(radical)) {
+        radical = radical.slice(0, -2) + 'l'; // salariais → salarial
+    } else if (/..eis$/.test(radical)) {
+        radical = radical.slice(0, -3) + 'el';
+    } else if (/ns$/.test(radical)) {
+        radical = radical.slice(0, -2) + 'm'; // itens → item
+    } else if (/[rsz]es$/.test(radical)) {
+        radical = radical.slice(0, -2); // trabalhadores → trabalhador
+    } else if (/[^su]s$/.test(radical)) {
+        radical = radical.slice(0, -1);
     }
     
-    const anotacoesSalvas = localStorage.getItem('juristst_anotacoes');
-    if (anotacoesSalvas) {
-        anotacoes = JSON.parse(anotacoesSalvas);
+    // Sufixos derivacionais e flexionais, preservando ao menos 3 letras
+    for (const sufixo of SUFIXOS_RADICAL) {
+        const minimo = SUFIXOS_RADICAL_LONGO.has(sufixo) ? 4 : 3;
+        if (radical.endsWith(sufixo) && radical.length - sufixo.length >= minimo) {
+            return radical.slice(0, -sufixo.length);
+        }
     }
+    return radical;
+}
+
+/**
+ * Separa o conteúdo de um item nos campos ponderados do índice
+ * @param {Object} item
+ * @returns {{titulo: string, corpo: string, anotacao: string}}
+ */
+function extrairCamposIndexaveis(item) {
+    const anotacao = anotacoes[item.id] || '';
     
-    const tagsSalvas = localStorage.getItem('juristst_tags');
-    if (tagsSalvas) {
-        tags = JSON.parse(tagsSalvas);
+    if (item.source === 'tese' || item.tema) {
+        return {
+            titulo: `${item.tema ? `Tema ${item.tema}` : ''} ${item.numero_processo || ''} ${item.nome || ''}`,
+            corpo: [item.tese, item.acordao, item.relator, item.textoExtraido, item.textoOcr].filter(Boolean).join(' '),
+            anotacao
+        };
     }
     
-    const correlacoesSalvas = localStorage.getItem('juristst_correlacoes');
-    if (correlacoesSalvas) {
-        correlacoes = JSON.parse(correlacoesSalvas);
+    // Informativo separado em decisões: a busca aponta para a decisão, não para o PDF inteiro;
+    // o informativo só responde pelo texto que ficou fora de todas elas
+    if (item.tipo === 'informativo' && Array.isArray(item.decisoes) && item.decisoes.length > 0) {
+        return {
+            titulo: `${item.nome || ''} ${item.numeroInformativo || ''}`,
+            corpo: textoForaDasDecisoes(item.texto),
+            anotacao
+        };
     }
     
-    const informativosSalvos = localStorage.getItem('juristst_informativos');
-    if (informativosSalvos) {
-        informativos = JSON.parse(informativosSalvos);
+    // texto_completo normalmente repete o texto; indexar cada trecho uma única vez.
+    // Com OCR, texto já reúne textoExtraido e textoOcr intercalados por página
+    const partes = [...new Set([item.texto_completo, item.texto, item.textoOcr ? null : item.textoExtraido].filter(Boolean))];
+    const corpo = partes
+        .filter(parte => !partes.some(outra => outra !== parte && outra.includes(parte)))
+        .join(' ');
+    
+    return {
+        titulo: `${item.numero || ''} ${item.titulo || item.nome || ''}`,
+        corpo,
+        anotacao
+    };
+}
+
+function indexarItem(item) {
+    if (!item || !item.id) return;
+    
+    removerItemDoIndice(item.id);
+    
+    const comprimentos = {};
+    const termos = new Set();
+    
+    Object.entries(extrairCamposIndexaveis(item)).forEach(([campo, texto]) => {
+        const tokens = tokenizar(texto);
+        comprimentos[campo] = tokens.length;
+        indiceBusca.somaComprimentos[campo] += tokens.length;
+        
+        tokens.forEach(termo => {
+            let posting = indiceBusca.postings.get(termo);
+            if (!posting) {
+                posting = new Map();
+                indiceBusca.postings.set(termo, posting);
+                indiceBusca.vocabulario = null;
+                
+                const radical = radicalizar(termo);
+                if (!indiceBusca.radicais.has(radical)) {
+                    indiceBusca.radicais.set(radical, new Set());
+                }
+                indiceBusca.radicais.get(radical).add(termo);
+            }
+            
+            let frequencias = posting.get(item.id);
+            if (!frequencias) {
+                frequencias = { titulo: 0, corpo: 0, anotacao: 0 };
+                posting.set(item.id, frequencias);
+            }
+            frequencias[campo]++;
+            termos.add(termo);
+        });
+    });
+    
+    indiceBusca.docs.set(item.id, { comprimentos, termos });
+}
+
+function removerItemDoIndice(id) {
+    const doc = indiceBusca.docs.get(id);
+    if (!doc) return;
+    
+    doc.termos.forEach(termo => {
+        const posting = indiceBusca.postings.get(termo);
+        if (!posting) return;
+        posting.delete(id);
+        if (posting.size === 0) {
+            indiceBusca.postings.delete(termo);
+            indiceBusca.vocabulario = null;
+            
+            const radical = radicalizar(termo);
+            const variantes = indiceBusca.radicais.get(radical);
+            if (variantes) {
+                variantes.delete(termo);
+                if (variantes.size === 0) indiceBusca.radicais.delete(radical);
+            }
+        }
+    });
+    
+    Object.entries(doc.comprimentos).forEach(([campo, comprimento]) => {
+        indiceBusca.somaComprimentos[campo] -= comprimento;
+    });
+    
+    indiceBusca.docs.delete(id);
+}
+
+function atualizarItemNoIndice(id) {
+    const item = todosItens.find(i => i.id === id);
+    if (item) {
+        indexarItem(item);
     }
+}
+
+function construirIndiceBusca(itens) {
+    const inicio = Date.now();
+    indiceBusca = criarIndiceVazio();
+    itens.forEach(indexarItem);
+    console.log(`🗂️ Índice de busca: ${indiceBusca.docs.size} itens, ${indiceBusca.postings.size} termos (${Date.now() - inicio} ms)`);
+}
+
+/**
+ * Termos do índice equivalentes ao termo digitado: ele próprio, variações
+ * com o mesmo radical e (opcionalmente) palavras que começam com ele.
+ * Sem nenhum desses, recorre a termos parecidos (erro de digitação).
+ * @param {string} termo - Termo já normalizado
+ * @param {boolean} prefixo - Incluir palavras iniciadas pelo termo
+ * @returns {Array<{termo: string, peso: number, aproximado?: boolean}>}
+ */
+function expandirTermo(termo, prefixo) {
+    const expansoes = new Map();
     
-    const tesesSalvas = localStorage.getItem('juristst_teses');
-    if (tesesSalvas) {
-        tesesVinculantes = JSON.parse(tesesSalvas);
+    if (indiceBusca.postings.has(termo)) {
+        expansoes.set(termo, 1);
     }
     
-    // Carregar dados da jurisprudência
-    carregarJurisprudencia();
+    (indiceBusca.radicais.get(radicalizar(termo)) || []).forEach(variante => {
+        if (!expansoes.has(variante)) expansoes.set(variante, PESO_RADICAL);
+    });
+    
+    if (prefixo) {
+        buscarPorPrefixo(termo).forEach(variante => {
+            if (!expansoes.has(variante)) expansoes.set(variante, PESO_PREFIXO);
+        });
+    }
+    
+    if (expansoes.size === 0) {
+        return buscarTermosAproximados(termo).map(({ termo: variante, distancia }) => ({
+            termo: variante,
+            peso: PESO_APROXIMADO / distancia,
+            aproximado: true
+        }));
+    }
+    
+    return [...expansoes].map(([variante, peso]) => ({ termo: variante, peso }));
 }
 
-async function carregarJurisprudencia() {
-    try {
-        // PRIORIDADE 1: Tentar carregar do localStorage (dados atualizados via admin)
-        const dadosLocais = localStorage.getItem('juristst_data');
-        if (dadosLocais) {
-            try {
-                dadosTST = JSON.parse(dadosLocais);
-                console.log('✅ Dados carregados do localStorage (atualizados via admin)');
-                console.log('📊 Dados carregados:', dadosTST);
-                
-                // Processar dados do localStorage
-                processarDadosCarregados();
-                return;
-            } catch (error) {
-                console.warn('⚠️ Erro nos dados locais, carregando do JSON...', error);
-                localStorage.removeItem('juristst_data'); // Limpar dados corrompidos
+/**
+ * Nem todo termo merece prefixo: números e siglas curtas ("13", "CF") não
+ * @param {string} termo
+ * @returns {boolean}
+ */
+function permitePrefixo(termo) {
+    return termo.length >= 3 && !/^\d+$/.test(termo);
+}
+
+/**
+ * Distância de edição (Damerau-Levenshtein restrita), interrompida ao passar do limite
+ * @param {string} a
+ * @param {string} b
+ * @param {number} limite
+ * @returns {number} Distância, ou limite + 1 se for maior que o limite
+ */
+function distanciaEdicao(a, b, limite) {
+    if (Math.abs(a.length - b.length) > limite) return limite + 1;
+    
+    let antepenultima = null;
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i];
+        let menorDaLinha = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+            let valor = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo);
+            
+            // Transposição de letras vizinhas ("slaario")
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                valor = Math.min(valor, antepenultima[j - 2] + 1);
             }
+            
+            atual[j] = valor;
+            menorDaLinha = Math.min(menorDaLinha, valor);
         }
         
-        // PRIORIDADE 2: Carregar do JSON no GitHub (fallback)
-        console.log('🔄 Carregando do JSON no GitHub...');
-        const response = await fetch('tst_data_complete.json');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (menorDaLinha > limite) return limite + 1;
+        antepenultima = anterior;
+        anterior = atual;
+    }
+    
+    return anterior[b.length];
+}
+
+/**
+ * Termos do vocabulário a poucas edições do termo, mais próximos e mais frequentes primeiro
+ * @param {string} termo - Termo já normalizado (sem acentos)
+ * @returns {Array<{termo: string, distancia: number}>}
+ */
+function buscarTermosAproximados(termo) {
+    // Palavras curtas e números não são corrigidos: o risco de trocar o sentido é alto
+    if (termo.length < 4 || /\d/.test(termo)) return [];
+    const limite = termo.length >= 8 ? 2 : 1;
+    
+    const vocabulario = obterVocabulario();
+    if (indiceBusca.aproximados.has(termo)) {
+        return indiceBusca.aproximados.get(termo);
+    }
+    
+    const candidatos = [];
+    vocabulario.forEach(variante => {
+        if (/\d/.test(variante)) return;
+        const distancia = distanciaEdicao(termo, variante, limite);
+        if (distancia <= limite) {
+            candidatos.push({ termo: variante, distancia });
         }
+    });
+    
+    const frequencia = variante => indiceBusca.postings.get(variante).size;
+    const melhores = candidatos
+        .sort((a, b) => a.distancia - b.distancia || frequencia(b.termo) - frequencia(a.termo))
+        .slice(0, MAX_APROXIMADOS);
+    
+    indiceBusca.aproximados.set(termo, melhores);
+    return melhores;
+}
+
+/**
+ * Vocabulário ordenado do índice; reconstruído (e o cache de aproximados
+ * descartado) depois de qualquer termo novo ou removido
+ * @returns {string[]}
+ */
+function obterVocabulario() {
+    if (!indiceBusca.vocabulario) {
+        indiceBusca.vocabulario = [...indiceBusca.postings.keys()].sort();
+        indiceBusca.aproximados.clear();
+    }
+    return indiceBusca.vocabulario;
+}
+
+/**
+ * Termos do índice que começam com o prefixo (busca binária no vocabulário)
+ * @param {string} prefixo
+ * @returns {string[]}
+ */
+function buscarPorPrefixo(prefixo) {
+    const vocabulario = obterVocabulario();
+    
+    // Busca binária pelo primeiro termo >= prefixo
+    let inicio = 0;
+    let fim = vocabulario.length;
+    while (inicio < fim) {
+        const meio = (inicio + fim) >> 1;
+        if (vocabulario[meio] < prefixo) inicio = meio + 1;
+        else fim = meio;
+    }
+    
+    const encontrados = [];
+    for (let i = inicio; i < vocabulario.length && vocabulario[i].startsWith(prefixo); i++) {
+        encontrados.push(vocabulario[i]);
+    }
+    return encontrados;
+}
+
+/**
+ * Frequência BM25F: soma ponderada dos campos normalizados pelo comprimento
+ * @param {Object} frequencias - {titulo, corpo, anotacao}
+ * @param {Object} comprimentos - {titulo, corpo, anotacao}
+ * @param {string} [campoRestrito] - Considerar apenas este campo
+ */
+function calcularTfBM25F(frequencias, comprimentos, campoRestrito) {
+    const totalDocs = indiceBusca.docs.size || 1;
+    let tf = 0;
+    
+    Object.entries(PESOS_CAMPOS).forEach(([campo, peso]) => {
+        if (!frequencias[campo]) return;
+        if (campoRestrito && campo !== campoRestrito) return;
+        const mediaComprimento = indiceBusca.somaComprimentos[campo] / totalDocs || 1;
+        const normalizacao = 1 - BM25_B + BM25_B * (comprimentos[campo] / mediaComprimento);
+        tf += peso * frequencias[campo] / normalizacao;
+    });
+    
+    return tf * (BM25_K1 + 1) / (tf + BM25_K1);
+}
+
+/**
+ * Pontua os itens que contêm TODOS os termos da consulta
+ * @param {string[]} termosConsulta - Termos já tokenizados
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.campo] - Restringir a 'titulo', 'corpo' ou 'anotacao'
+ * @param {boolean} [opcoes.exato] - Não expandir por prefixo (variações de radical continuam valendo)
+ * @returns {Map<string, number>} itemId → relevância
+ */
+function pontuarBusca(termosConsulta, opcoes = {}) {
+    const totalDocs = indiceBusca.docs.size;
+    let resultado = null;
+    
+    for (const termoConsulta of termosConsulta) {
+        const pontosTermo = new Map();
         
-        dadosTST = await response.json();
-        console.log('📊 JSON carregado do GitHub:', dadosTST);
+        const prefixo = !opcoes.exato && permitePrefixo(termoConsulta);
         
-        processarDadosCarregados();
-    } catch (error) {
-        console.error('❌ Erro ao carregar jurisprudência:', error);
-        mostrarToast('Erro ao carregar dados da jurisprudência', 'error');
+        expandirTermo(termoConsulta, prefixo).forEach(({ termo, peso }) => {
+            const posting = indiceBusca.postings.get(termo);
+            const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+            
+            posting.forEach((frequencias, id) => {
+                if (opcoes.campo && !frequencias[opcoes.campo]) return;
+                const pontos = peso * idf * calcularTfBM25F(frequencias, indiceBusca.docs.get(id).comprimentos, opcoes.campo);
+                // Várias expansões do mesmo termo não se somam: vale a melhor
+                if (pontos > (pontosTermo.get(id) || 0)) {
+                    pontosTermo.set(id, pontos);
+                }
+            });
+        });
+        
+        if (resultado === null) {
+            resultado = pontosTermo;
+        } else {
+            const intersecao = new Map();
+            resultado.forEach((pontos, id) => {
+                if (pontosTermo.has(id)) {
+                    intersecao.set(id, pontos + pontosTermo.get(id));
+                }
+            });
+            resultado = intersecao;
+        }
+        
+        if (resultado.size === 0) break;
     }
+    
+    return resultado || new Map();
 }
 
-function processarDadosCarregados() {
-    try {
-        // Validar estrutura do JSON
-        if (!dadosTST || typeof dadosTST !== 'object') {
-            throw new Error('JSON inválido: não é um objeto');
+// ========== LINGUAGEM DE CONSULTA ==========
+// Sintaxe do campo de busca: "frase exata", OR, -exclusão, (grupos) e
+// qualificadores titulo:, texto:, nota:, tag:, orgao:, numero:, status:, tipo:
+
+const CAMPOS_TEXTO_CONSULTA = { titulo: 'titulo', texto: 'corpo', nota: 'anotacao' };
+const CAMPOS_CONSULTA = ['titulo', 'texto', 'nota', 'tag', 'orgao', 'numero', 'status', 'tipo'];
+
+/**
+ * Quebra a consulta em tokens: parênteses, OR, exclusão e termos (com campo opcional)
+ * @param {string} consulta
+ * @returns {Array<Object>}
+ */
+function lexarConsulta(consulta) {
+    const tokens = [];
+    let i = 0;
+    
+    const lerFrase = (inicio) => {
+        const fim = consulta.indexOf('"', inicio + 1);
+        if (fim === -1) {
+            throw new Error('Aspas não fechadas: termine a frase exata com "');
         }
+        return { valor: consulta.slice(inicio + 1, fim), proximo: fim + 1 };
+    };
+    
+    while (i < consulta.length) {
+        const c = consulta[i];
         
-        // Garantir que os arrays existam
-        dadosTST.sumulas = Array.isArray(dadosTST.sumulas) ? dadosTST.sumulas : [];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
         
-        // OJs é um dicionário com subgrupos, precisamos combinar todos
-        let ojsArray = [];
-        if (dadosTST.ojs && typeof dadosTST.ojs === 'object') {
-            // Iterar sobre cada subgrupo de OJs
-            for (const [orgao, ojs] of Object.entries(dadosTST.ojs)) {
-                if (Array.isArray(ojs)) {
-                    console.log(`📋 Processando OJs do órgão: ${orgao} (${ojs.length} itens)`);
-                    
-                    // Transformar nome do órgão para formato padronizado
-                    let orgaoFormatado = orgao.toUpperCase();
-                    
-                    // Adicionar hífen após SBDI
-                    if (orgaoFormatado.includes('SBDI')) {
-                        orgaoFormatado = orgaoFormatado
-                            .replace('SBDI1_', 'SBDI-1-')
-                            .replace('SBDI2_', 'SBDI-2-')
-                            .replace('SBDI1', 'SBDI-1')
-                            .replace('SBDI2', 'SBDI-2');
-                    }
-                    
-                    // Substituir underscores por hífens
-                    orgaoFormatado = orgaoFormatado.replace(/_/g, '-');
-                    
-                    console.log(`   ➜ Órgão formatado: "${orgao}" → "${orgaoFormatado}"`);
-                    
-                    // Adicionar informação do órgão a cada OJ
-                    const ojsComOrgao = ojs.map(oj => ({
-                        ...oj,
-                        orgao: orgaoFormatado
-                    }));
-                    ojsArray = ojsArray.concat(ojsComOrgao);
-                }
+        if (c === '(' || c === ')') {
+            tokens.push({ tipo: c });
+            i++;
+            continue;
+        }
+        
+        if (c === '-') {
+            if (i + 1 >= consulta.length || /[\s)]/.test(consulta[i + 1])) {
+                throw new Error('Use "-" colado ao termo que deseja excluir, ex: -cancelada');
             }
+            tokens.push({ tipo: 'nao' });
+            i++;
+            continue;
         }
-        dadosTST.ojs = ojsArray;
         
-        // Precedentes Normativos
-        dadosTST.precedentes = Array.isArray(dadosTST.precedentes_normativos) ? 
-            dadosTST.precedentes_normativos : [];
+        if (c === '"') {
+            const { valor, proximo } = lerFrase(i);
+            tokens.push({ tipo: 'termo', campo: null, valor, frase: true });
+            i = proximo;
+            continue;
+        }
         
-        console.log(`📚 Súmulas: ${dadosTST.sumulas.length}`);
-        console.log(`📋 OJs: ${dadosTST.ojs.length}`);
-        console.log(`⚖️ Precedentes: ${dadosTST.precedentes.length}`);
+        // Palavra (termina em espaço, parêntese ou aspas)
+        let fim = i;
+        while (fim < consulta.length && !/[\s()"]/.test(consulta[fim])) fim++;
+        const palavra = consulta.slice(i, fim);
         
-        // Combinar todos os itens em um array único
-        // ✅ USANDO GERENCIADOR DE IDs
-        todosItens = [
-            ...dadosTST.sumulas.map(item => ({
-                ...item,
-                tipo: item.tipo || 'sumula',
-                id: gerarIdConsistente('sumula', item.numero),
-                source: 'jurisprudencia'
-            })),
-            ...dadosTST.ojs.map(item => ({
-                ...item,
-                tipo: item.tipo || 'oj',
-                id: gerarIdConsistente('oj', item.numero),
-                source: 'jurisprudencia'
-            })),
-            ...dadosTST.precedentes.map(item => ({
-                ...item,
-                tipo: item.tipo || 'precedente',
-                id: gerarIdConsistente('precedente', item.numero),
-                source: 'jurisprudencia'
-            }))
-        ];
+        if (palavra === 'OR' || palavra === 'OU') {
+            tokens.push({ tipo: 'ou' });
+            i = fim;
+            continue;
+        }
         
-        console.log(`📦 Total de itens combinados: ${todosItens.length}`);
+        if (palavra === 'AND') {
+            // E é o operador implícito entre termos
+            i = fim;
+            continue;
+        }
         
-        // Adicionar informativos e teses ao array geral
-        informativos.forEach((info, index) => {
-            todosItens.push({
-                ...info,
-                id: info.id || gerarIdConsistente('informativo', index),
-                tipo: 'informativo',
-                source: 'informativo'
-            });
-        });
-        
-        tesesVinculantes.forEach((tese) => {
-            // ✅ USAR ID EXISTENTE (do localStorage) OU GERAR NOVO
-            const teseId = tese.id || gerarIdConsistente('tese', tese.tema);
+        // Só os campos conhecidos qualificam: "Processo: RR-...", "Ementa:" ou uma URL colados continuam texto
+        const qualificador = palavra.match(/^([a-zA-ZÀ-ú]+):(.*)$/);
+        const campo = qualificador && normalizarTexto(qualificador[1]);
+        if (qualificador && CAMPOS_CONSULTA.includes(campo)) {
+            if (qualificador[2] === '' && consulta[fim] === '"') {
+                const { valor, proximo } = lerFrase(fim);
+                tokens.push({ tipo: 'termo', campo, valor, frase: true });
+                i = proximo;
+                continue;
+            }
             
-            const teseComId = {
-                ...tese,
-                id: teseId,
-                source: 'tese',
-                tipo: tese.tipo || 'IRR'
-            };
+            if (qualificador[2] === '') {
+                throw new Error(`Informe um valor após "${qualificador[1]}:"`);
+            }
             
-            todosItens.push(teseComId);
-            console.log('📌 Tese adicionada ao todosItens:', teseId, '| Source:', teseComId.source, '| Tipo:', teseComId.tipo, '| Tema:', tese.tema);
-        });
-        
-        calcularEstatisticas();
-        itensFiltrados = todosItens.filter(item => item.source === 'jurisprudencia');
-        renderizarResultados();
+            tokens.push({ tipo: 'termo', campo, valor: qualificador[2], frase: false });
+            i = fim;
+            continue;
+        }
         
-        console.log('✅ Processamento concluído com sucesso');
-    } catch (error) {
-        console.error('❌ Erro no processamento:', error);
-        mostrarToast('Erro ao processar dados', 'error');
+        tokens.push({ tipo: 'termo', campo: null, valor: palavra, frase: false });
+        i = fim;
     }
+    
+    return tokens;
 }
 
-// ========== NAVEGAÇÃO ENTRE ABAS ==========
-function switchTab(tabName, buttonElement) {
-    try {
-        console.log('🔄 Iniciando mudança de aba para:', tabName);
-        
-        // Esconder todas as abas
-        document.querySelectorAll('.tab-content').forEach(tab => {
-            tab.classList.remove('active');
-        });
-        
-        // Remover active de todos os botões
-        document.querySelectorAll('.tab-button').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        
-        // Mostrar aba selecionada
-        const tabElement = document.getElementById(tabName);
-        if (tabElement) {
-            tabElement.classList.add('active');
-            console.log('✅ Aba ativada:', tabName);
-        } else {
-            console.error('❌ Aba não encontrada:', tabName);
+/**
+ * Analisa a consulta e devolve a árvore de expressão
+ * @param {string} consulta
+ * @returns {Object|null} Nó raiz ({tipo: 'e'|'ou'|'nao'|'termo'}) ou null se vazia
+ * @throws {Error} Mensagem legível para exibir abaixo do campo de busca
+ */
+function analisarConsulta(consulta) {
+    const tokens = lexarConsulta(consulta || '');
+    if (tokens.length === 0) return null;
+    
+    let pos = 0;
+    
+    const analisarOu = () => {
+        const filhos = [analisarE()];
+        while (tokens[pos] && tokens[pos].tipo === 'ou') {
+            pos++;
+            if (!tokens[pos] || tokens[pos].tipo === 'ou' || tokens[pos].tipo === ')') {
+                throw new Error('"OR" precisa de um termo antes e depois');
+            }
+            filhos.push(analisarE());
         }
-        
-        // Ativar botão correspondente
-        if (buttonElement) {
-            buttonElement.classList.add('active');
-            console.log('✅ Botão ativado');
-        } else {
-            console.warn('⚠️ Botão não fornecido');
+        return filhos.length === 1 ? filhos[0] : { tipo: 'ou', filhos };
+    };
+    
+    const analisarE = () => {
+        if (!tokens[pos] || tokens[pos].tipo === 'ou') {
+            throw new Error('"OR" precisa de um termo antes e depois');
+        }
+        const filhos = [];
+        while (tokens[pos] && tokens[pos].tipo !== 'ou' && tokens[pos].tipo !== ')') {
+            filhos.push(analisarUnario());
+        }
+        if (filhos.length === 0) {
+            throw new Error('Parêntese ")" sem "(" correspondente');
+        }
+        return filhos.length === 1 ? filhos[0] : { tipo: 'e', filhos };
+    };
+    
+    const analisarUnario = () => {
+        if (tokens[pos].tipo === 'nao') {
+            pos++;
+            if (!tokens[pos] || tokens[pos].tipo === ')' || tokens[pos].tipo === 'ou') {
+                throw new Error('Use "-" colado ao termo que deseja excluir, ex: -cancelada');
+            }
+            return { tipo: 'nao', filho: analisarUnario() };
         }
         
-        currentTab = tabName;
-        
-        // Renderizar conteúdo específico da aba
-        try {
-            if (tabName === 'favoritos') {
-                console.log('📋 Renderizando favoritos...');
-                renderizarFavoritos();
-            } else if (tabName === 'informativos') {
-                console.log('📋 Renderizando informativos...');
-                renderizarInformativos();
-            } else if (tabName === 'teses') {
-                console.log('📋 Renderizando teses...');
-                filtrarTeses();
+        if (tokens[pos].tipo === '(') {
+            pos++;
+            if (tokens[pos] && tokens[pos].tipo === ')') {
+                throw new Error('Parênteses vazios: coloque termos entre "(" e ")"');
             }
-            console.log('✅ Renderização concluída');
-        } catch (renderError) {
-            console.error('❌ Erro ao renderizar conteúdo:', renderError);
-            console.error('Stack:', renderError.stack);
+            if (!tokens[pos]) {
+                throw new Error('Parêntese "(" não foi fechado');
+            }
+            const interno = analisarOu();
+            if (!tokens[pos] || tokens[pos].tipo !== ')') {
+                throw new Error('Parêntese "(" não foi fechado');
+            }
+            pos++;
+            return interno;
         }
         
-    } catch (error) {
-        console.error('❌ ERRO CRÍTICO em switchTab:', error);
-        console.error('Stack completo:', error.stack);
+        return validarTermoConsulta(tokens[pos++]);
+    };
+    
+    const raiz = analisarOu();
+    if (pos < tokens.length) {
+        throw new Error('Parêntese ")" sem "(" correspondente');
     }
+    return raiz;
 }
 
-// ========== CÁLCULO DE ESTATÍSTICAS ==========
-function calcularEstatisticas() {
-    const jurisprudenciaItems = todosItens.filter(item => item.source === 'jurisprudencia');
-    stats.total = jurisprudenciaItems.length;
-    stats.vigentes = jurisprudenciaItems.filter(item => !item.cancelada).length;
-    stats.canceladas = jurisprudenciaItems.filter(item => item.cancelada).length;
+/**
+ * Valida e pré-processa os qualificadores que não são texto livre
+ */
+function validarTermoConsulta(token) {
+    const no = { tipo: 'termo', campo: token.campo, valor: token.valor, frase: token.frase };
     
-    // Atualizar interface
-    document.getElementById('totalCount').textContent = stats.total;
-    document.getElementById('vigentesCount').textContent = stats.vigentes;
-    document.getElementById('canceladasCount').textContent = stats.canceladas;
+    if (token.campo === 'numero') {
+        const intervalo = token.valor.match(/^(\d+)(?:-(\d+))?$/);
+        if (!intervalo) {
+            throw new Error('Use numero:331 ou um intervalo como numero:300-350');
+        }
+        no.minimo = parseInt(intervalo[1], 10);
+        no.maximo = intervalo[2] ? parseInt(intervalo[2], 10) : no.minimo;
+        if (no.minimo > no.maximo) {
+            throw new Error(`Intervalo invertido em numero:${token.valor}`);
+        }
+    }
+    
+    if (token.campo === 'status') {
+        const status = normalizarTexto(token.valor);
+        if (/^cancelad[ao]s?$/.test(status)) {
+            no.cancelada = true;
+        } else if (/^vigentes?$/.test(status)) {
+            no.cancelada = false;
+        } else {
+            throw new Error('Use status:vigente ou status:cancelada');
+        }
+    }
+    
+    return no;
 }
 
-// ========== BUSCA E FILTROS ==========
-// ✅ CORREÇÃO 2: Busca com normalização de texto
-function realizarBusca() {
-    searchTerm = document.getElementById('searchInput').value.trim();
-    const tipoFiltro = document.getElementById('filterTipo').value;
-    const orgaoFiltro = document.getElementById('filterOrgao').value;
-    const numeroFiltro = document.getElementById('filterNumero').value.trim();
-    const tagsFiltro = document.getElementById('filterTags').value.trim();
-    
-    // Normalizar termo de busca
-    const searchTermNormalizado = normalizarTexto(searchTerm);
+/**
+ * Avalia a árvore da consulta sobre um conjunto de itens
+ * @param {Object} no - Nó retornado por analisarConsulta
+ * @param {Array} universo - Itens elegíveis
+ * @returns {Map<string, number>} itemId → relevância (0 para filtros sem pontuação)
+ */
+function avaliarConsulta(no, universo) {
+    const contexto = {
+        universo,
+        porId: new Map(universo.map(item => [item.id, item]))
+    };
+    return avaliarNoConsulta(no, contexto);
+}
+
+function avaliarNoConsulta(no, contexto) {
+    if (no.tipo === 'e') {
+        let resultado = null;
+        for (const filho of no.filhos) {
+            const parcial = avaliarNoConsulta(filho, contexto);
+            if (resultado === null) {
+                resultado = parcial;
+                continue;
+            }
+            const intersecao = new Map();
+            resultado.forEach((pontos, id) => {
+                if (parcial.has(id)) intersecao.set(id, pontos + parcial.get(id));
+            });
+            resultado = intersecao;
+        }
+        return resultado;
+    }
     
-    let itensParaFiltrar;
+    if (no.tipo === 'ou') {
+        const uniao = new Map();
+        no.filhos.forEach(filho => {
+            avaliarNoConsulta(filho, contexto).forEach((pontos, id) => {
+                uniao.set(id, (uniao.get(id) || 0) + pontos);
+            });
+        });
+        return uniao;
+    }
     
-    if (currentTab === 'jurisprudencia') {
-        itensParaFiltrar = todosItens.filter(item => item.source === 'jurisprudencia');
-    } else if (searchTermNormalizado) {
-        // Se há busca, procurar em TODOS os itens
-        itensParaFiltrar = todosItens;
-        console.log(`🔍 Buscando "${searchTerm}" em ${todosItens.length} itens (incluindo PDFs)`);
-    } else {
-        itensParaFiltrar = todosItens.filter(item => item.source === 'jurisprudencia');
+    if (no.tipo === 'nao') {
+        const excluidos = avaliarNoConsulta(no.filho, contexto);
+        const resultado = new Map();
+        contexto.universo.forEach(item => {
+            if (!excluidos.has(item.id)) resultado.set(item.id, 0);
+        });
+        return resultado;
     }
     
-    itensFiltrados = itensParaFiltrar.filter(item => {
-        // Filtro de status (canceladas/vigentes)
-        if (statusFiltro === 'vigentes' && item.cancelada) return false;
-        if (statusFiltro === 'canceladas' && !item.cancelada) return false;
-        
-        // Filtro de tipo
-        const tipoMap = {
-            'sumula': 'Súmula',
-            'oj': 'OJ',
-            'precedente': 'Precedente Normativo'
-        };
-        const tipoDisplay = tipoMap[item.tipo] || item.tipo;
-        if (tipoFiltro !== 'todos' && tipoDisplay !== tipoFiltro) return false;
+    return avaliarTermoConsulta(no, contexto);
+}
+
+function avaliarTermoConsulta(no, contexto) {
+    const filtrar = (predicado) => {
+        const resultado = new Map();
+        contexto.universo.forEach(item => {
+            if (predicado(item)) resultado.set(item.id, 0);
+        });
+        return resultado;
+    };
+    
+    switch (no.campo) {
+        case 'tag':
+            return filtrar(item => (tags[item.id] || []).some(tag => contemTermoNormalizado(tag, no.valor)));
         
-        // Filtro de órgão (apenas para OJs)
-        if (orgaoFiltro !== 'todos' && item.tipo === 'oj') {
-            const orgaoItem = (item.orgao || '').toUpperCase();
-            const orgaoFiltroUpper = orgaoFiltro.toUpperCase();
-            
-            if (!orgaoItem.includes(orgaoFiltroUpper)) {
-                return false;
-            }
+        case 'orgao': {
+            const simplificar = texto => normalizarTexto(texto).replace(/[^a-z0-9]/g, '');
+            const valor = simplificar(no.valor);
+            // "sbdi1" não deve trazer a SBDI-1 Transitória; prefixos parciais ("sbdi") trazem todos
+            const exato = contexto.universo.some(item => item.orgao && simplificar(item.orgao) === valor);
+            return filtrar(item => {
+                if (!item.orgao) return false;
+                const orgao = simplificar(item.orgao);
+                return exato ? orgao === valor : orgao.startsWith(valor);
+            });
         }
         
-        // Filtro de número
-        if (numeroFiltro && item.numero !== numeroFiltro) return false;
+        case 'numero':
+            return filtrar(item => {
+                const numero = parseInt(item.tema || item.numero, 10);
+                return !isNaN(numero) && numero >= no.minimo && numero <= no.maximo;
+            });
         
-        // Filtro de tags (normalizado)
-        if (tagsFiltro) {
-            const itemTags = tags[item.id] || [];
-            const filterTagsArray = tagsFiltro.split(',').map(t => t.trim());
-            const hasAllTags = filterTagsArray.every(filterTag => 
-                itemTags.some(itemTag => contemTermoNormalizado(itemTag, filterTag))
-            );
-            if (!hasAllTags) return false;
-        }
+        case 'status':
+            return filtrar(item => Boolean(item.cancelada) === no.cancelada);
         
-        // Busca textual (NORMALIZADA)
-        if (searchTermNormalizado) {
-            const textoCompleto = `${item.numero} ${item.titulo || ''} ${item.texto || ''} ${item.textoExtraido || ''}`;
-            const anotacao = anotacoes[item.id] || '';
-            const textoComAnotacao = textoCompleto + ' ' + anotacao;
-            
-            const termos = searchTerm.split(' ').filter(t => t.length > 2);
-            
-            // Todos os termos devem estar presentes (busca normalizada)
-            return termos.every(termo => contemTermoNormalizado(textoComAnotacao, termo));
+        case 'tipo': {
+            const valor = normalizarTexto(no.valor);
+            const apelidos = { pn: 'precedente', precedentes: 'precedente', sumulas: 'sumula', ojs: 'oj' };
+            const tipo = apelidos[valor] || valor;
+            return filtrar(item => {
+                const tipoItem = normalizarTexto(item.tipo || '');
+                if (tipo === 'tese') return item.source === 'tese';
+                return tipoItem === tipo || tipoItem.startsWith(tipo + '_');
+            });
         }
         
-        return true;
+        default:
+            return avaliarTextoConsulta(no, contexto);
+    }
+}
+
+/**
+ * Termo de texto livre (ou titulo:/texto:/nota:) via índice invertido;
+ * frases são confirmadas na sequência exata de palavras
+ */
+function avaliarTextoConsulta(no, contexto) {
+    const campoIndice = no.campo ? CAMPOS_TEXTO_CONSULTA[no.campo] : undefined;
+    const termos = tokenizar(no.valor);
+    const palavras = normalizarTexto(no.valor).split(/[^a-z0-9]+/).filter(Boolean);
+    
+    // Apenas stopwords ("de", "a"): não restringe nada
+    if (termos.length === 0) {
+        const neutro = new Map();
+        contexto.universo.forEach(item => neutro.set(item.id, 0));
+        return neutro;
+    }
+    
+    // "horas-extras" sem aspas também é tratado como frase
+    const frase = no.frase || palavras.length > 1;
+    const pontos = pontuarBusca(termos, { campo: campoIndice, exato: frase });
+    if (!frase) return pontos;
+    
+    // Comparação por radicais: "trabalho noturno" também confirma "trabalhos noturnos"
+    const fraseNormalizada = ` ${palavras.map(radicalizar).join(' ')} `;
+    const confirmados = new Map();
+    
+    pontos.forEach((valor, id) => {
+        const item = contexto.porId.get(id);
+        if (!item) return;
+        
+        const campos = extrairCamposIndexaveis(item);
+        const texto = campoIndice ? campos[campoIndice] : Object.values(campos).join(' ');
+        const palavrasTexto = normalizarTexto(texto).split(/[^a-z0-9]+/).filter(Boolean).map(radicalizar).join(' ');
+        
+        if (` ${palavrasTexto} `.includes(fraseNormalizada)) {
+            confirmados.set(id, valor);
+        }
     });
     
-    renderizarResultados();
+    return confirmados;
 }
 
-function filtrarPorStatus() {
-    const statusRadios = document.getElementsByName('status');
-    for (const radio of statusRadios) {
-        if (radio.checked) {
-            statusFiltro = radio.value;
-            break;
-        }
+/**
+ * Termos positivos de texto para destacar nos cards
+ * @param {Object|null} no
+ * @returns {string[]}
+ */
+function extrairTermosDestaque(no) {
+    if (!no || no.tipo === 'nao') return [];
+    if (no.tipo === 'e' || no.tipo === 'ou') {
+        return no.filhos.flatMap(extrairTermosDestaque);
     }
-    realizarBusca();
+    if (no.campo && !CAMPOS_TEXTO_CONSULTA[no.campo]) return [];
+    return no.valor.length >= 2 ? [no.valor] : [];
 }
 
-// ========== RENDERIZAÇÃO DE RESULTADOS ==========
-function renderizarResultados() {
-    const content = document.querySelector('#jurisprudencia .content');
-    const resultCount = document.getElementById('resultCount');
+function mostrarErroBusca(mensagem) {
+    const erro = document.getElementById('searchError');
+    if (!erro) return;
+    erro.textContent = mensagem ? `⚠️ ${mensagem}` : '';
+    erro.style.display = mensagem ? 'block' : 'none';
+}
+
+// ========== TESAURO (SINÔNIMOS) ==========
+// Grupos definidos em tesauro.js e editáveis no admin
+
+let tesauroCompilado = new Map(); // radicais da expressão → {expressoes do grupo}
+let maiorExpressaoTesauro = 1; // Em número de palavras
+
+/**
+ * Chave de comparação de uma expressão: radicais sem stopwords
+ * @param {string} texto
+ * @returns {string}
+ */
+function chaveTesauro(texto) {
+    return tokenizar(texto).map(radicalizar).join(' ');
+}
+
+/**
+ * Prepara o tesauro para consulta rápida durante a busca
+ * @param {string[][]} grupos
+ */
+function compilarTesauro(grupos) {
+    tesauroCompilado = new Map();
+    maiorExpressaoTesauro = 1;
     
-    resultCount.textContent = itensFiltrados.length;
+    grupos.forEach(grupo => {
+        const expressoes = grupo.filter(expressao => chaveTesauro(expressao));
+        if (expressoes.length < 2) return;
+        
+        expressoes.forEach(expressao => {
+            const chave = chaveTesauro(expressao);
+            const equivalentes = tesauroCompilado.get(chave) || [];
+            expressoes.forEach(outra => {
+                if (chaveTesauro(outra) !== chave && !equivalentes.includes(outra)) {
+                    equivalentes.push(outra);
+                }
+            });
+            tesauroCompilado.set(chave, equivalentes);
+            maiorExpressaoTesauro = Math.max(maiorExpressaoTesauro, chave.split(' ').length);
+        });
+    });
     
-    if (itensFiltrados.length === 0) {
-        content.innerHTML = `
-            <div class="empty-state">
-                <h3>🔍 Nenhum resultado encontrado</h3>
-                <p>Tente ajustar os filtros ou termos de busca</p>
-            </div>
-        `;
-        return;
+    console.log(`📖 Tesauro: ${tesauroCompilado.size} expressões com equivalentes`);
+}
+
+function criarNosEquivalentes(equivalentes, campo) {
+    return equivalentes.map(expressao => ({
+        tipo: 'termo',
+        campo,
+        valor: expressao,
+        frase: tokenizar(expressao).length > 1
+    }));
+}
+
+/**
+ * Acrescenta à consulta as expressões equivalentes do tesauro:
+ * "horas extras" vira ("horas extras" OR sobrejornada OR ...)
+ * @param {Object|null} no - Árvore de analisarConsulta
+ * @returns {Object|null} Nova árvore
+ */
+function expandirSinonimos(no) {
+    if (!no || tesauroCompilado.size === 0) return no;
+    
+    if (no.tipo === 'nao') {
+        return { tipo: 'nao', filho: expandirSinonimos(no.filho) };
     }
     
-    const containerClass = viewMode === 'grid' ? 'results-grid' : 'results-list';
-    let html = `<div class="${containerClass}">`;
+    if (no.tipo === 'ou') {
+        return { tipo: 'ou', filhos: no.filhos.map(expandirSinonimos) };
+    }
     
-    itensFiltrados.forEach(item => {
-        html += criarCardHTML(item);
+    if (no.tipo === 'termo') {
+        return expandirSequenciaSinonimos([no])[0];
+    }
+    
+    // Em "E", termos simples consecutivos podem formar uma expressão do tesauro
+    const filhos = [];
+    let sequencia = [];
+    const fecharSequencia = () => {
+        filhos.push(...expandirSequenciaSinonimos(sequencia));
+        sequencia = [];
+    };
+    
+    no.filhos.forEach(filho => {
+        if (filho.tipo === 'termo' && !filho.campo && !filho.frase) {
+            sequencia.push(filho);
+            return;
+        }
+        fecharSequencia();
+        filhos.push(filho.tipo === 'termo' ? expandirSequenciaSinonimos([filho])[0] : expandirSinonimos(filho));
     });
+    fecharSequencia();
     
-    html += '</div>';
-    content.innerHTML = html;
+    return filhos.length === 1 ? filhos[0] : { tipo: 'e', filhos };
 }
 
-function criarCardHTML(item) {
-    const tipo = item.tipo || 'sumula';
-    const tipoMap = {
-        'sumula': { display: 'Súmula', badge: 'badge-sumula' },
-        'oj': { display: 'OJ', badge: 'badge-oj' },
-        'precedente': { display: 'Precedente Normativo', badge: 'badge-precedente' },
-        'informativo': { display: 'Informativo', badge: 'badge-informativo' },
-        'irr': { display: 'IRR', badge: 'badge-irr' },
-        'irdr': { display: 'IRDR', badge: 'badge-irdr' },
-        'iac': { display: 'IAC', badge: 'badge-iac' }
-    };
-    
-    const tipoInfo = tipoMap[tipo.toLowerCase()] || { display: tipo, badge: 'badge-sumula' };
-    
-    const isFavorito = favoritos.includes(item.id);
-    const favoritoClass = isFavorito ? 'active' : '';
-    const favoritoIcon = isFavorito ? '⭐' : '☆';
-    
-    const hasAnotacao = anotacoes[item.id] && anotacoes[item.id].trim() !== '';
-    const itemTags = tags[item.id] || [];
-    const linkedItems = correlacoes[item.id] || [];
-    
-    const orgaoInfo = item.orgao ? ` - ${item.orgao}` : '';
-    const canceladoClass = item.cancelada ? 'cancelado' : '';
-    
-    // ✅ CORREÇÃO: Suportar tanto jurisprudência quanto teses
-    let tituloExibido = '';
-    let textoExibido = '';
-    let numeroExibido = '';
-    
-    // Identificar se é tese ou jurisprudência
-    if (item.source === 'tese' || item.tema) {
-        // É uma tese vinculante
-        numeroExibido = `Tema ${item.tema}`;
-        tituloExibido = item.numero_processo || 'Sem processo';
-        textoExibido = (item.tese || 'Sem tese disponível').substring(0, 200) + '...';
-    } else {
-        // É jurisprudência (súmula, OJ, precedente) ou informativo
-        numeroExibido = item.numero || item.nome || 'N/A';
-        tituloExibido = item.titulo || '';
-        textoExibido = (item.texto || '').substring(0, 200) + '...';
-    }
-    
-    if (searchTerm) {
-        const termos = searchTerm.split(' ').filter(t => t.length > 2);
-        termos.forEach(termo => {
-            const regex = new RegExp(`(${termo})`, 'gi');
-            tituloExibido = tituloExibido.replace(regex, '<span class="highlight">$1</span>');
-            textoExibido = textoExibido.replace(regex, '<span class="highlight">$1</span>');
-        });
-    }
-    
-    return `
-        <div class="card ${canceladoClass}" onclick="abrirDetalhes('${item.id}')">
-            <div class="card-header">
-                <div style="display: flex; align-items: center; gap: 10px;">
-                    <div class="card-number">#${numeroExibido}</div>
-                    ${item.cancelada ? '<span class="canceled-badge">❌ CANCELADA</span>' : ''}
-                </div>
-                <div class="card-badges">
-                    <div class="card-badge ${tipoInfo.badge}">${tipoInfo.display}${orgaoInfo}</div>
-                </div>
-            </div>
-            
-            ${hasAnotacao || linkedItems.length > 0 ? `
-                <div class="card-indicators">
-                    ${hasAnotacao ? '<div class="indicator indicator-note">📝 Anotação</div>' : ''}
-                    ${linkedItems.length > 0 ? `<div class="indicator indicator-linked">🔗 ${linkedItems.length} correlações</div>` : ''}
-                </div>
-            ` : ''}
-            
-            <div class="card-title">${tituloExibido}</div>
-            <div class="card-preview">${textoExibido}</div>
-            
-            ${itemTags.length > 0 ? `
-                <div class="card-tags">
-                    ${itemTags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                </div>
-            ` : ''}
-            
-            ${item.cancelada && item.referencia ? `
-                <div style="margin-top: 10px; color: var(--danger); font-size: 0.85em;">
-                    📅 ${item.referencia}
-                </div>
-            ` : ''}
-            
-            <div class="card-footer">
-                <div class="card-actions">
-                    <button class="card-action favorite ${favoritoClass}" 
-                            onclick="event.stopPropagation(); toggleFavorito('${item.id}')" 
-                            title="Favoritar">
-                        ${favoritoIcon}
-                    </button>
-                    <button class="card-action" 
-                            onclick="event.stopPropagation(); abrirModalAnotacao('${item.id}')" 
-                            title="Adicionar anotação">
-                        📝
-                    </button>
-                    <button class="card-action" 
-                            onclick="event.stopPropagation(); copiarItem('${item.id}')" 
-                            title="Copiar texto">
-                        📋
-                    </button>
-                    <button class="card-action" 
-                            onclick="event.stopPropagation(); compartilharItem('${item.id}')" 
-                            title="Compartilhar">
-                        🔗
-                    </button>
-                </div>
-            </div>
-        </div>
-    `;
-}
-
-// ========== FAVORITOS ==========
-function toggleFavorito(id) {
-    const index = favoritos.indexOf(id);
-    if (index > -1) {
-        favoritos.splice(index, 1);
-        mostrarToast('Removido dos favoritos', 'warning');
-    } else {
-        favoritos.push(id);
-        mostrarToast('Adicionado aos favoritos', 'success');
-    }
-    
-    localStorage.setItem('juristst_favoritos', JSON.stringify(favoritos));
-    
-    // ✅ Atualizar visualização de acordo com a aba ativa
-    if (currentTab === 'jurisprudencia') {
-        renderizarResultados();
-    } else if (currentTab === 'favoritos') {
-        renderizarFavoritos();
-    } else if (currentTab === 'teses') {
-        // ✅ Atualizar também a lista de teses
-        filtrarTeses();
-    }
-}
-
-function toggleFavoritoModal() {
-    if (!currentModalItem) return;
-    toggleFavorito(currentModalItem.id);
-    
-    const btn = document.getElementById('favoritoModalBtn');
-    const isFavorito = favoritos.includes(currentModalItem.id);
-    btn.textContent = isFavorito ? '⭐ Remover Favorito' : '⭐ Favoritar';
-}
-
-function renderizarFavoritos() {
-    try {
-        const content = document.getElementById('favoritosContent');
-        
-        if (!content) {
-            console.warn('⚠️ Elemento favoritosContent não encontrado');
-            return;
+function expandirSequenciaSinonimos(nos) {
+    const resultado = [];
+    let i = 0;
+    
+    while (i < nos.length) {
+        // Termos qualificados (tag:, orgao:...) não passam pelo tesauro
+        if (nos[i].campo && !CAMPOS_TEXTO_CONSULTA[nos[i].campo]) {
+            resultado.push(nos[i++]);
+            continue;
         }
         
-        if (favoritos.length === 0) {
-            content.innerHTML = `
-                <div class="empty-state">
-                    <h3>⭐ Nenhum favorito ainda</h3>
-                    <p>Adicione itens aos favoritos clicando na estrela</p>
-                </div>
-            `;
-            return;
+        // Maior expressão do tesauro que começa neste termo
+        let melhor = null;
+        let chave = '';
+        for (let j = i; j < nos.length && j < i + maiorExpressaoTesauro; j++) {
+            const parte = chaveTesauro(nos[j].valor);
+            chave = [chave, parte].filter(Boolean).join(' ');
+            if (tesauroCompilado.has(chave)) {
+                melhor = { fim: j, equivalentes: tesauroCompilado.get(chave) };
+            }
         }
         
-        const itensFavoritos = favoritos
-            .map(favId => todosItens.find(i => i.id === favId))
-            .filter(item => item !== undefined);
-        
-        if (itensFavoritos.length === 0) {
-            content.innerHTML = `
-                <div class="empty-state">
-                    <h3>⭐ Nenhum favorito encontrado</h3>
-                    <p>Os itens favoritados foram removidos ou não existem mais</p>
-                </div>
-            `;
-            return;
+        if (!melhor) {
+            resultado.push(nos[i++]);
+            continue;
         }
         
-        const containerClass = viewMode === 'grid' ? 'results-grid' : 'results-list';
-        let html = `<div class="${containerClass}">`;
-        
-        itensFavoritos.forEach(item => {
-            html += criarCardHTML(item);
+        const originais = nos.slice(i, melhor.fim + 1);
+        const original = originais.length === 1 ? originais[0] : { tipo: 'e', filhos: originais };
+        resultado.push({
+            tipo: 'ou',
+            filhos: [original, ...criarNosEquivalentes(melhor.equivalentes, nos[i].campo)]
         });
-        
-        html += '</div>';
-        content.innerHTML = html;
-    } catch (error) {
-        console.error('❌ Erro ao renderizar favoritos:', error);
+        i = melhor.fim + 1;
     }
+    
+    return resultado;
 }
 
-// ========== ANOTAÇÕES ==========
-function salvarAnotacao(id, texto) {
-    if (texto.trim()) {
-        anotacoes[id] = texto;
-    } else {
-        delete anotacoes[id];
-    }
-    localStorage.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
-    
-    // Mostrar indicador de salvamento
-    const savedIndicator = document.querySelector('.annotation-saved');
-    if (savedIndicator) {
-        savedIndicator.classList.add('show');
-        setTimeout(() => {
-            savedIndicator.classList.remove('show');
-        }, 2000);
-    }
+// ========== VOCÊ QUIS DIZER ==========
+
+let sugestaoBusca = null; // Consulta corrigida oferecida abaixo do campo de busca
+
+/**
+ * Valores dos termos de texto livre da consulta (inclusive os excluídos)
+ * @param {Object|null} no
+ * @returns {string[]}
+ */
+function coletarTermosTexto(no) {
+    if (!no) return [];
+    if (no.tipo === 'nao') return coletarTermosTexto(no.filho);
+    if (no.tipo === 'e' || no.tipo === 'ou') return no.filhos.flatMap(coletarTermosTexto);
+    if (no.campo && !CAMPOS_TEXTO_CONSULTA[no.campo]) return [];
+    return [no.valor];
 }
 
-function abrirModalAnotacao(id) {
-    const item = todosItens.find(i => i.id === id);
-    if (!item) return;
+/**
+ * Grafia acentuada de um termo do índice, tirada do primeiro item que o contém
+ * @param {string} termo - Termo normalizado
+ * @returns {string}
+ */
+function formaOriginal(termo) {
+    const posting = indiceBusca.postings.get(termo);
+    const primeiroId = posting ? posting.keys().next().value : null;
+    const item = primeiroId ? todosItens.find(i => i.id === primeiroId) : null;
+    if (!item) return termo;
+    
+    const palavras = Object.values(extrairCamposIndexaveis(item)).join(' ').match(/[\p{L}\p{N}]+/gu) || [];
+    const palavra = palavras.find(p => normalizarTexto(p) === termo);
+    return palavra ? palavra.toLowerCase() : termo;
+}
+
+/**
+ * Troca os termos sem nenhuma correspondência no índice pelos mais parecidos
+ * @param {string} consultaTexto - Texto digitado
+ * @param {Object|null} no - Árvore da consulta (antes do tesauro)
+ * @returns {{texto: string, correcoes: string[]}|null}
+ */
+function sugerirCorrecao(consultaTexto, no) {
+    const correcoes = new Map(); // termo digitado (normalizado) → grafia sugerida
+    
+    coletarTermosTexto(no).forEach(valor => {
+        tokenizar(valor).forEach(termo => {
+            if (correcoes.has(termo)) return;
+            const expansoes = expandirTermo(termo, permitePrefixo(termo));
+            if (expansoes.length > 0 && expansoes[0].aproximado) {
+                correcoes.set(termo, formaOriginal(expansoes[0].termo));
+            }
+        });
+    });
     
-    abrirDetalhes(id);
+    if (correcoes.size === 0) return null;
     
-    // Focar no campo de anotação após abrir o modal
-    setTimeout(() => {
-        const textarea = document.getElementById('annotationTextarea');
-        if (textarea) {
-            textarea.focus();
-        }
-    }, 300);
+    const texto = consultaTexto.replace(/[\p{L}\p{N}]+/gu, palavra => 
+        correcoes.get(normalizarTexto(palavra)) || palavra
+    );
+    return { texto, correcoes: [...correcoes.values()] };
 }
 
-// ========== TAGS E CORRELAÇÕES ==========
-function adicionarTag(id, tag) {
-    if (!tags[id]) {
-        tags[id] = [];
-    }
+function mostrarSugestaoBusca(sugestao) {
+    sugestaoBusca = sugestao ? sugestao.texto : null;
     
-    if (!tags[id].includes(tag) && tag.trim()) {
-        tags[id].push(tag.trim());
-        localStorage.setItem('juristst_tags', JSON.stringify(tags));
-        renderizarTags(id);
-        
-        // Atualizar visualização se necessário
-        if (currentTab === 'jurisprudencia') {
-            renderizarResultados();
-        } else if (currentTab === 'favoritos') {
-            renderizarFavoritos();
-        } else if (currentTab === 'teses') {
-            filtrarTeses();
+    const container = document.getElementById('searchSuggestion');
+    if (!container) return;
+    
+    container.innerHTML = sugestaoBusca ? `
+        🤔 Você quis dizer: <a href="#" onclick="aplicarSugestaoBusca(); return false;">${escaparHtml(sugestaoBusca)}</a>
+        <span class="search-suggestion-note">(mostrando resultados aproximados)</span>
+    ` : '';
+    container.style.display = sugestaoBusca ? 'block' : 'none';
+}
+
+function aplicarSugestaoBusca() {
+    if (!sugestaoBusca) return;
+    document.getElementById('searchInput').value = sugestaoBusca;
+    realizarBusca();
+}
+
+// ========== CITAÇÕES DIGITADAS ==========
+// "Súmula 331", "S. 437 TST", "OJ 394 SBDI-1", "OJ-SDC 38", "PN 119":
+// o item citado aparece direto e Enter abre os detalhes
+
+const PADROES_TIPO_CITACAO = [
+    { tipo: 'sumula', regex: /^(sumulas?|sum\.?|s\.?)(?=[\s\d-]|$)/ },
+    { tipo: 'oj', regex: /^(orientacao jurisprudencial|o\.?\s?j\.?)(?=[\s\d-]|$)/ },
+    { tipo: 'precedente', regex: /^(precedente normativo|precedente|p\.?\s?n\.?)(?=[\s\d-]|$)/ }
+];
+
+// Em ordem: a SBDI-1 Transitória precisa ser testada antes da SBDI-1
+const PADROES_ORGAO_CITACAO = [
+    { orgao: 'sbdi1transitoria', regex: /s?b?di\s*-?\s*(1|i)\s*[-\s]\s*(transitoria|t)\b|\btransitoria\b/ },
+    { orgao: 'sbdi1', regex: /s?b?di\s*-?\s*(1|i)\b/ },
+    { orgao: 'sbdi2', regex: /s?b?di\s*-?\s*(2|ii)\b/ },
+    { orgao: 'sdc', regex: /\bsdc\b/ },
+    { orgao: 'plenoespecial', regex: /\b(tp\s*\/\s*oe|tribunal pleno|orgao especial|pleno|tp|oe)\b/ }
+];
+
+/**
+ * Reconhece uma citação de verbete digitada no campo de busca
+ * @param {string} texto
+ * @returns {{tipo: string, numero: number, orgao: string|null}|null}
+ */
+function interpretarCitacao(texto) {
+    let resto = normalizarTexto(texto).replace(/[º°ª]/g, '');
+    if (!resto) return null;
+    
+    const padraoTipo = PADROES_TIPO_CITACAO.find(({ regex }) => regex.test(resto));
+    if (!padraoTipo) return null;
+    resto = resto.replace(padraoTipo.regex, '');
+    
+    let orgao = null;
+    if (padraoTipo.tipo === 'oj') {
+        const padraoOrgao = PADROES_ORGAO_CITACAO.find(({ regex }) => regex.test(resto));
+        if (padraoOrgao) {
+            orgao = padraoOrgao.orgao;
+            resto = resto.replace(padraoOrgao.regex, ' ');
         }
     }
+    
+    // Sobra apenas o número, além de "nº", "da", "do TST" e pontuação
+    resto = resto
+        .replace(/\b(numero|n|no|da|do|de|tst)\b/g, ' ')
+        .replace(/[.,;:()\/-]/g, ' ')
+        .trim();
+    
+    if (!/^\d+$/.test(resto)) return null;
+    
+    return { tipo: padraoTipo.tipo, numero: parseInt(resto, 10), orgao };
 }
 
-function removerTag(id, tag) {
-    if (tags[id]) {
-        tags[id] = tags[id].filter(t => t !== tag);
-        if (tags[id].length === 0) {
-            delete tags[id];
-        }
-        localStorage.setItem('juristst_tags', JSON.stringify(tags));
-        renderizarTags(id);
-        
-        // Atualizar visualização se necessário
-        if (currentTab === 'jurisprudencia') {
-            renderizarResultados();
-        } else if (currentTab === 'favoritos') {
-            renderizarFavoritos();
-        } else if (currentTab === 'teses') {
-            filtrarTeses();
+/**
+ * Itens da jurisprudência que correspondem à citação
+ * @param {{tipo: string, numero: number, orgao: string|null}} citacao
+ * @returns {Array}
+ */
+function resolverCitacao(citacao) {
+    return todosItens.filter(item => {
+        if (item.source !== 'jurisprudencia') return false;
+        if (!String(item.tipo || '').startsWith(citacao.tipo)) return false;
+        if (parseInt(item.numero, 10) !== citacao.numero) return false;
+        if (citacao.orgao) {
+            const orgaoItem = normalizarTexto(item.orgao || '').replace(/[^a-z0-9]/g, '');
+            if (orgaoItem !== citacao.orgao) return false;
         }
-    }
+        return true;
+    });
 }
 
-function renderizarTags(id) {
-    const tagsContainer = document.getElementById('tagsList');
-    if (!tagsContainer) return;
+function mostrarDicaCitacao(itens) {
+    const container = document.getElementById('searchCitation');
+    if (!container) return;
     
-    const itemTags = tags[id] || [];
-    
-    if (itemTags.length === 0) {
-        tagsContainer.innerHTML = '<p style="color: var(--text-light);">Nenhuma tag adicionada</p>';
+    if (itens.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
         return;
     }
     
-    tagsContainer.innerHTML = itemTags.map(tag => `
-        <span class="tag-item">
-            ${tag}
-            <button class="tag-remove" onclick="removerTag('${id}', '${tag}')">×</button>
+    container.innerHTML = itens.length === 1 ? `
+        📖 <strong>${rotuloCitacao(itens[0])}</strong> - pressione Enter para abrir
+    ` : `
+        📖 Qual delas?
+        ${itens.map(item => `
+            <button class="citation-option" onclick="abrirDetalhes('${item.id}')"
+                    title="${escaparHtml(item.titulo || '')}">
+                ${rotuloCitacao(item)}${item.cancelada ? ' ❌' : ''}
+            </button>
+        `).join('')}
+    `;
+    container.style.display = 'block';
+}
+
+/**
+ * Enter no campo de busca: abre o item citado ou leva ao seletor
+ */
+function abrirCitacaoDigitada() {
+    const citacao = interpretarCitacao(document.getElementById('searchInput').value);
+    const itens = citacao ? resolverCitacao(citacao) : [];
+    
+    if (itens.length === 1) {
+        abrirDetalhes(itens[0].id);
+    } else if (itens.length > 1) {
+        const primeiraOpcao = document.querySelector('#searchCitation .citation-option');
+        if (primeiraOpcao) primeiraOpcao.focus();
+    }
+}
+
+// ========== CITAÇÕES ENTRE VERBETES ==========
+// Referências como "(ex-OJ nº 152 da SBDI-1)" ou "convertida na Súmula nº 297"
+// viram ligações automáticas, recalculadas a cada carga dos dados.
+// Ficam fora de `correlacoes` (vínculos do usuário) e nunca são salvas.
+
+let citacoesAutomaticas = { cita: {}, citadoPor: {} }; // {itemId: [{id, relacao}]}
+
+const RELACOES_CITACAO = {
+    origem: { cita: 'Originado de', citadoPor: 'Incorporado em' },
+    destino: { cita: 'Convertido em', citadoPor: 'Originado de' },
+    mencao: { cita: 'Menciona', citadoPor: 'Mencionado em' }
+};
+
+const REGEX_VERBETE_CITADO = /\b(sumulas?|orientac(?:ao|oes) jurisprudencia(?:l|is)|ojs?|precedentes? normativos?|pns?)\b/g;
+const ORGAO_CITADO = 's?b?di\\s*-?\\s*(?:ii|i|1|2)\\b(?:\\s*-?\\s*transitoria\\b)?|sdc\\b|tp\\s*\\/\\s*oe\\b|tribunal pleno\\b|orgao especial\\b';
+// "da SBDI-I nº 328": órgão antes do número
+const REGEX_ORGAO_ANTES = new RegExp(`^[\\s-]*(?:(?:da|do)\\s+)?(${ORGAO_CITADO})`);
+// "nº 15", "nºs 40 e 135" ("ns" depois de tirar o º), "n.º 357"
+const REGEX_NUMEROS_CITADOS = /^[\s.:-]*(?:(?:numeros?|nos|ns|no|n)\b[\s.:]*)?(\d+(?:\s*(?:,|e)\s*\d+)*)/;
+// "15 da SBDI-I", "326 (SBDI-1"
+const REGEX_ORGAO_DEPOIS = new RegExp(`^[\\s,(-]*(?:(?:da|do)\\s+)?(${ORGAO_CITADO})`);
+
+/**
+ * Classifica a relação pela expressão que antecede a citação
+ * @param {string} anterior - Trecho normalizado antes do nome do verbete
+ * @returns {string} Chave de RELACOES_CITACAO
+ */
+function classificarRelacaoCitacao(anterior) {
+    if (/\bex-?\s*$/.test(anterior)) return 'origem';
+    if (/\b(conversao|incorporacao)\s+d[aoe]s?\s*$/.test(anterior)) return 'origem';
+    if (/\b(incorporou|converteu)\s+(?:[ao]s?\s+)?$/.test(anterior)) return 'origem';
+    if (/\b(convertid[ao]s?|conversao|incorporad[ao]s?|incorporacao)\s+(n[ao]s?|a|as|ao|em)\b[^.;]*$/.test(anterior)) return 'destino';
+    return 'mencao';
+}
+
+/**
+ * Encontra as citações de outros verbetes em um texto
+ * @param {string} texto
+ * @returns {Array<{tipo: string, numero: number, orgao: string|null, relacao: string}>}
+ */
+function extrairCitacoesTexto(texto) {
+    const normalizado = normalizarTexto(texto).replace(/[º°ª]/g, '');
+    const citacoes = [];
+    let match;
+
+    REGEX_VERBETE_CITADO.lastIndex = 0;
+    while ((match = REGEX_VERBETE_CITADO.exec(normalizado)) !== null) {
+        const palavra = match[1];
+        const tipo = palavra.startsWith('sumula') ? 'sumula' :
+            (palavra.startsWith('o') ? 'oj' : 'precedente');
+        let resto = normalizado.slice(match.index + palavra.length, match.index + palavra.length + 80);
+        let orgaoTexto = null;
+
+        if (tipo === 'oj') {
+            const antes = resto.match(REGEX_ORGAO_ANTES);
+            if (antes) {
+                orgaoTexto = antes[1];
+                resto = resto.slice(antes[0].length);
+            }
+        }
+
+        const numeros = resto.match(REGEX_NUMEROS_CITADOS);
+        if (!numeros) continue;
+        // "Súmula 331 do STF" não é verbete do TST
+        if (/^\s*(do|da)\s+(stf|stj|supremo)\b/.test(resto.slice(numeros[0].length))) continue;
+
+        if (tipo === 'oj' && !orgaoTexto) {
+            const depois = resto.slice(numeros[0].length).match(REGEX_ORGAO_DEPOIS);
+            if (depois) orgaoTexto = depois[1];
+        }
+
+        const padraoOrgao = orgaoTexto && PADROES_ORGAO_CITACAO.find(({ regex }) => regex.test(orgaoTexto));
+        const relacao = classificarRelacaoCitacao(normalizado.slice(Math.max(0, match.index - 60), match.index));
+
+        numeros[1].split(/\s*(?:,|e)\s*/).forEach(numero => {
+            citacoes.push({
+                tipo,
+                numero: parseInt(numero, 10),
+                orgao: padraoOrgao ? padraoOrgao.orgao : null,
+                relacao
+            });
+        });
+    }
+
+    return citacoes;
+}
+
+/**
+ * Monta o grafo "Cita" / "Citado por" a partir dos textos da jurisprudência e das teses
+ * @param {Array} itens
+ */
+function construirGrafoCitacoes(itens) {
+    const grafo = { cita: {}, citadoPor: {} };
+    const verbetes = itens.filter(item => item.source === 'jurisprudencia');
+
+    // tipo|número → itens, para não varrer todosItens a cada citação
+    const porNumero = new Map();
+    verbetes.forEach(item => {
+        const tipo = String(item.tipo || '').startsWith('precedente') ? 'precedente' : item.tipo;
+        const chave = `${tipo}|${parseInt(item.numero, 10)}`;
+        if (!porNumero.has(chave)) porNumero.set(chave, []);
+        porNumero.get(chave).push(item);
+    });
+
+    const orgaoSlug = item => normalizarTexto(item.orgao || '').replace(/[^a-z0-9]/g, '');
+    let total = 0;
+
+    // Teses citam verbetes, mas não são citadas por número
+    const citantes = [...verbetes, ...itens.filter(item => item.source === 'tese')];
+
+    citantes.forEach(item => {
+        const texto = [item.texto, item.tese, item.referencia, item.observacoes].filter(Boolean).join('\n');
+        const ligacoes = new Map(); // id citado → relação
+
+        extrairCitacoesTexto(texto).forEach(citacao => {
+            let candidatos = porNumero.get(`${citacao.tipo}|${citacao.numero}`) || [];
+
+            if (citacao.tipo === 'oj') {
+                // Sem órgão explícito, vale o da própria OJ que cita
+                const orgao = citacao.orgao || (item.tipo === 'oj' && candidatos.length > 1 ? orgaoSlug(item) : null);
+                if (orgao) candidatos = candidatos.filter(c => orgaoSlug(c) === orgao);
+            }
+            if (candidatos.length !== 1) return;
+
+            const citado = candidatos[0];
+            if (citado.id === item.id) return;
+            // Origem/conversão dizem mais que uma simples menção
+            if (!ligacoes.has(citado.id) || ligacoes.get(citado.id) === 'mencao') {
+                ligacoes.set(citado.id, citacao.relacao);
+            }
+        });
+
+        ligacoes.forEach((relacao, idCitado) => {
+            (grafo.cita[item.id] = grafo.cita[item.id] || []).push({ id: idCitado, relacao });
+            (grafo.citadoPor[idCitado] = grafo.citadoPor[idCitado] || []).push({ id: item.id, relacao });
+            total++;
+        });
+    });
+
+    citacoesAutomaticas = grafo;
+    console.log(`🕸️ Citações entre verbetes: ${total}`);
+}
+
+/**
+ * HTML de uma lista "Cita" / "Citado por" no modal de detalhes
+ * @param {string} titulo
+ * @param {Array<{id: string, relacao: string}>} ligacoes
+ * @param {string} lado - 'cita' ou 'citadoPor'
+ * @returns {string}
+ */
+function renderizarListaCitacoes(titulo, ligacoes, lado) {
+    const itens = (ligacoes || [])
+        .map(ligacao => ({ ...ligacao, item: todosItens.find(i => i.id === ligacao.id) }))
+        .filter(ligacao => ligacao.item);
+    if (itens.length === 0) return '';
+
+    return `
+        <div class="related-section">
+            <div class="related-title">
+                ${titulo} (${itens.length})
+            </div>
+            <div class="related-list">
+                ${itens.map(({ item, relacao }) => `
+                    <div class="related-item" onclick="abrirDetalhes('${item.id}')">
+                        <div class="related-item-header">
+                            <span class="related-item-title">${rotuloCitacao(item)}${item.cancelada ? ' ❌' : ''}</span>
+                            <span class="related-item-type">${RELACOES_CITACAO[relacao][lado]}</span>
+                        </div>
+                        <div class="related-item-preview">${escaparHtml(truncateText(item.titulo || '', 100))}</div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// ========== DISPOSITIVOS LEGAIS CITADOS ==========
+// "art. 477 da CLT", "Lei nº 4.090/1962", "art. 7º, XXIX, da CF" viram chaves
+// normalizadas por artigo ("CLT|477"), para achar tudo que interpreta um dispositivo
+
+let indiceDispositivos = new Map(); // chave → {chave, rotulo, diploma, artigo, itens: Set<id>}
+
+// Códigos citados pela sigla ou pelo nome; "genero" decide entre "da" e "do"
+const CODIGOS_LEGAIS = [
+    { regex: /\bclt\b|consolidacao das leis do trabalho/, diploma: 'CLT', genero: 'a' },
+    { regex: /\badct\b|ato das disposicoes constitucionais transitorias/, diploma: 'ADCT', genero: 'o' },
+    { regex: /\bcf\b(?:\s*\/\s*88)?|constituicao (?:federal|da republica)(?: de 1988)?/, diploma: 'CF', genero: 'a' },
+    { regex: /\bcpc\b(?:\s*(?:\/|de)\s*(\d{2,4}))?|codigo de processo civil(?: de (\d{4}))?/, diploma: 'CPC', genero: 'o', comAno: true },
+    { regex: /\bccb?\b(?:\s*(?:\/|de)\s*(\d{4}))?|codigo civil(?: de (\d{4}))?/, diploma: 'Código Civil', genero: 'o', comAno: true },
+    { regex: /\bctn\b|codigo tributario nacional/, diploma: 'CTN', genero: 'o' }
+];
+
+const NORMAS_NUMERADAS = [
+    { chave: 'decreto-lei', rotulo: 'Decreto-Lei', genero: 'o' },
+    { chave: 'decreto legislativo', rotulo: 'Decreto Legislativo', genero: 'o' },
+    { chave: 'decreto', rotulo: 'Decreto', genero: 'o' },
+    { chave: 'lei complementar', rotulo: 'Lei Complementar', genero: 'a' },
+    { chave: 'lei', rotulo: 'Lei', genero: 'a' },
+    { chave: 'medida provisoria', rotulo: 'Medida Provisória', genero: 'a' },
+    { chave: 'emenda constitucional', rotulo: 'EC', genero: 'a' },
+    { chave: 'ec', rotulo: 'EC', genero: 'a' }
+];
+
+// "Lei nº 4.090/1962", "Lei nº 4.090, de 13.07.1962", "Lei nº 8.213, de 24 de julho de 1991"
+const REGEX_NORMA_NUMERADA = new RegExp(
+    `\\b(${NORMAS_NUMERADAS.map(n => n.chave).join('|')})\\s+(?:n\\.?\\s*|numero\\s+)?(\\d{1,3}(?:\\.\\d{3})+|\\d+)\\b` +
+    `(?:\\s*\\/\\s*(\\d{4}|\\d{2})\\b|,?\\s+de\\s+(?:\\d{1,2}[.\\/]\\d{1,2}[.\\/](\\d{4}|\\d{2})\\b|\\d{1,2}\\s+de\\s+[a-z]+\\s+de\\s+(\\d{4})|(\\d{4})\\b))?`,
+    'g'
+);
+const REGEX_ARTIGO = /\b(?:arts?\.?|artigos?)\s*(\d{1,2}\.\d{3}|\d+)(?:\s*-\s*[a-z]\b)?/g;
+const REGEX_NUMERO_ARTIGO = /(?:^|[\s,]e\s+|,\s*)(\d{1,2}\.\d{3}|\d+)(\s*-\s*[a-z]\b)?/g;
+
+/**
+ * Ano com quatro dígitos ("62" → "1962", "02" → "2002")
+ * @param {string} ano
+ * @returns {string|null}
+ */
+function normalizarAnoNorma(ano) {
+    if (!ano) return null;
+    if (ano.length === 4) return ano;
+    return (parseInt(ano, 10) > 30 ? '19' : '20') + ano;
+}
+
+/**
+ * "4090" → "4.090"
+ * @param {string} numero
+ * @returns {string}
+ */
+function formatarNumeroNorma(numero) {
+    return numero.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+}
+
+/**
+ * Localiza os diplomas legais citados num texto normalizado
+ * @param {string} texto
+ * @returns {Array<{inicio: number, fim: number, diploma: string, genero: string}>}
+ */
+function localizarDiplomas(texto) {
+    const diplomas = [];
+    let match;
+
+    REGEX_NORMA_NUMERADA.lastIndex = 0;
+    while ((match = REGEX_NORMA_NUMERADA.exec(texto)) !== null) {
+        const norma = NORMAS_NUMERADAS.find(n => n.chave === match[1]);
+        const numero = formatarNumeroNorma(match[2].replace(/\./g, ''));
+        const ano = normalizarAnoNorma(match[3] || match[4] || match[5] || match[6]);
+        diplomas.push({
+            inicio: match.index,
+            fim: match.index + match[0].length,
+            diploma: `${norma.rotulo} nº ${numero}${ano ? `/${ano}` : ''}`,
+            genero: norma.genero
+        });
+    }
+
+    CODIGOS_LEGAIS.forEach(codigo => {
+        const regex = new RegExp(codigo.regex.source, 'g');
+        while ((match = regex.exec(texto)) !== null) {
+            const ano = codigo.comAno ? normalizarAnoNorma(match[1] || match[2]) : null;
+            diplomas.push({
+                inicio: match.index,
+                fim: match.index + match[0].length,
+                diploma: ano ? `${codigo.diploma}/${ano}` : codigo.diploma,
+                genero: codigo.genero
+            });
+        }
+    });
+
+    return diplomas.sort((a, b) => a.inicio - b.inicio);
+}
+
+/**
+ * Rótulo de exibição: "Art. 477 da CLT", "Art. 7º da CF", "Lei nº 4.090/1962"
+ * @param {string} diploma
+ * @param {string|null} artigo
+ * @param {string} genero
+ * @returns {string}
+ */
+function rotuloDispositivo(diploma, artigo, genero) {
+    if (!artigo) return diploma;
+    const ordinal = /^\d$/.test(artigo) ? 'º' : '';
+    return `Art. ${artigo}${ordinal} d${genero} ${diploma}`;
+}
+
+/**
+ * Extrai os dispositivos legais citados em um texto
+ * @param {string} texto
+ * @returns {Array<{chave: string, rotulo: string, diploma: string, artigo: string|null}>}
+ */
+function extrairDispositivos(texto) {
+    const normalizado = normalizarTexto(texto).replace(/[º°ª]/g, '').replace(/\s+/g, ' ');
+    const diplomas = localizarDiplomas(normalizado);
+    const dispositivos = new Map();
+    const diplomasComArtigo = new Set();
+
+    const adicionar = (diploma, artigo) => {
+        const chave = `${diploma.diploma}|${artigo || ''}`;
+        if (!dispositivos.has(chave)) {
+            dispositivos.set(chave, {
+                chave,
+                rotulo: rotuloDispositivo(diploma.diploma, artigo, diploma.genero),
+                diploma: diploma.diploma,
+                artigo
+            });
+        }
+    };
+
+    let match;
+    REGEX_ARTIGO.lastIndex = 0;
+    while ((match = REGEX_ARTIGO.exec(normalizado)) !== null) {
+        // O trecho do artigo vai até ";", parênteses ou fim de frase
+        const inicioLista = match.index + match[0].indexOf(match[1]);
+        const resto = normalizado.slice(inicioLista, inicioLista + 120);
+        const corte = resto.slice(match[1].length).search(/[;()]|\.\s/);
+        const trecho = corte === -1 ? resto : resto.slice(0, match[1].length + corte);
+        const fimTrecho = inicioLista + trecho.length;
+
+        // "art. 477 da CLT" (diploma depois) ou "CLT, art. 884" (diploma antes)
+        let diploma = diplomas.find(d => d.inicio > match.index && d.inicio <= fimTrecho);
+        if (!diploma) {
+            diploma = diplomas.find(d => d.fim <= match.index && /^[\s,]*$/.test(normalizado.slice(d.fim, match.index)));
+        }
+        if (!diploma) continue;
+
+        // "arts. 5º e 29", "arts. 114, VIII, e 195": números antes do diploma, sem parágrafos
+        const lista = diploma.inicio > match.index ? trecho.slice(0, diploma.inicio - inicioLista) : trecho;
+        const artigos = [];
+        let numero;
+        REGEX_NUMERO_ARTIGO.lastIndex = 0;
+        while ((numero = REGEX_NUMERO_ARTIGO.exec(lista)) !== null) {
+            if (/§+\s*$/.test(lista.slice(0, numero.index + numero[0].indexOf(numero[1])))) continue;
+            const sufixo = numero[2] ? '-' + numero[2].replace(/[\s-]/g, '').toUpperCase() : '';
+            artigos.push(numero[1].replace(/\./g, '').replace(/\B(?=(\d{3})+(?!\d))/g, '.') + sufixo);
+        }
+
+        artigos.forEach(artigo => adicionar(diploma, artigo));
+        diplomasComArtigo.add(diploma);
+    }
+
+    // Leis citadas por inteiro ("Lei nº 4.090/1962"); códigos sem artigo não dizem muito
+    diplomas
+        .filter(d => !diplomasComArtigo.has(d) && !CODIGOS_LEGAIS.some(c => d.diploma.startsWith(c.diploma)))
+        .forEach(d => adicionar(d, null));
+
+    return [...dispositivos.values()];
+}
+
+/**
+ * Extrai os dispositivos de cada verbete (item.dispositivos) e monta o índice reverso
+ * @param {Array} itens
+ */
+function construirIndiceDispositivos(itens) {
+    const indice = new Map();
+    const verbetes = itens.filter(item => item.source === 'jurisprudencia');
+
+    verbetes.forEach(item => {
+        item.dispositivos = extrairDispositivos([item.titulo, item.texto].filter(Boolean).join('\n'));
+    });
+
+    // "Lei nº 8.213" sem ano vira a "Lei nº 8.213/1991" citada em outros verbetes, se só houver uma
+    const comAno = new Map();
+    verbetes.forEach(item => item.dispositivos.forEach(d => {
+        const semAno = d.diploma.replace(/\/\d{4}$/, '');
+        if (semAno === d.diploma) return;
+        if (!comAno.has(semAno)) comAno.set(semAno, new Set());
+        comAno.get(semAno).add(d.diploma);
+    }));
+
+    verbetes.forEach(item => {
+        const unicos = new Map();
+        item.dispositivos.forEach(d => {
+            const anos = comAno.get(d.diploma);
+            if (anos && anos.size === 1 && d.diploma.includes(' nº ')) {
+                const diploma = [...anos][0];
+                const genero = NORMAS_NUMERADAS.find(n => diploma.startsWith(n.rotulo + ' ')).genero;
+                d = { ...d, diploma, chave: `${diploma}|${d.artigo || ''}`, rotulo: rotuloDispositivo(diploma, d.artigo, genero) };
+            }
+            unicos.set(d.chave, d);
+        });
+        item.dispositivos = [...unicos.values()];
+
+        item.dispositivos.forEach(d => {
+            if (!indice.has(d.chave)) {
+                indice.set(d.chave, { chave: d.chave, rotulo: d.rotulo, diploma: d.diploma, artigo: d.artigo, itens: new Set() });
+            }
+            indice.get(d.chave).itens.add(item.id);
+        });
+    });
+
+    indiceDispositivos = indice;
+    popularFiltroDispositivos();
+    console.log(`⚖️ Dispositivos legais indexados: ${indice.size}`);
+}
+
+/**
+ * Ordem natural de artigos: 7 < 58 < 58-A < 477
+ */
+function compararArtigos(a, b) {
+    const numA = parseInt((a || '0').replace(/\./g, ''), 10);
+    const numB = parseInt((b || '0').replace(/\./g, ''), 10);
+    return numA - numB || String(a || '').localeCompare(String(b || ''));
+}
+
+/**
+ * Preenche o navegador de dispositivos na aba Jurisprudência, agrupado por diploma
+ */
+function popularFiltroDispositivos() {
+    const select = document.getElementById('filterDispositivo');
+    if (!select) return;
+
+    const selecionado = select.value || 'todos';
+    const porDiploma = new Map();
+    indiceDispositivos.forEach(dispositivo => {
+        if (!porDiploma.has(dispositivo.diploma)) porDiploma.set(dispositivo.diploma, []);
+        porDiploma.get(dispositivo.diploma).push(dispositivo);
+    });
+
+    // Diplomas mais citados primeiro (CLT, CF, CPC...)
+    const diplomas = [...porDiploma.entries()]
+        .map(([diploma, dispositivos]) => ({
+            diploma,
+            dispositivos: dispositivos.sort((a, b) => compararArtigos(a.artigo, b.artigo)),
+            total: new Set(dispositivos.flatMap(d => [...d.itens])).size
+        }))
+        .sort((a, b) => b.total - a.total || a.diploma.localeCompare(b.diploma));
+
+    select.innerHTML = `
+        <option value="todos">Todos</option>
+        ${diplomas.map(({ diploma, dispositivos, total }) => `
+            <optgroup label="${escaparHtml(diploma)}">
+                <option value="diploma:${escaparHtml(diploma)}">${escaparHtml(diploma)} - qualquer artigo (${total})</option>
+                ${dispositivos.filter(d => d.artigo).map(d => `
+                    <option value="${escaparHtml(d.chave)}">${escaparHtml(d.rotulo)} (${d.itens.size})</option>
+                `).join('')}
+            </optgroup>
+        `).join('')}
+    `;
+    select.value = selecionado;
+    if (select.value !== selecionado) select.value = 'todos';
+}
+
+/**
+ * O item cita o dispositivo escolhido no filtro?
+ * @param {Object} item
+ * @param {string} filtro - 'todos', 'diploma:<diploma>' ou a chave do dispositivo
+ * @returns {boolean}
+ */
+function itemCitaDispositivo(item, filtro) {
+    if (!filtro || filtro === 'todos') return true;
+    const dispositivos = item.dispositivos || [];
+    if (filtro.startsWith('diploma:')) {
+        const diploma = filtro.slice('diploma:'.length);
+        return dispositivos.some(d => d.diploma === diploma);
+    }
+    return dispositivos.some(d => d.chave === filtro);
+}
+
+/**
+ * Chips dos dispositivos no modal; o clique lista os verbetes que citam o mesmo artigo
+ * @param {Object} item
+ * @returns {string}
+ */
+function renderizarDispositivosItem(item) {
+    const dispositivos = item.dispositivos || [];
+    if (dispositivos.length === 0) return '';
+
+    return `
+        <div class="related-section">
+            <div class="related-title">
+                ⚖️ Dispositivos citados
+            </div>
+            <div class="dispositivo-chips">
+                ${dispositivos.map(d => {
+                    const total = indiceDispositivos.has(d.chave) ? indiceDispositivos.get(d.chave).itens.size : 1;
+                    return `
+                        <button class="dispositivo-chip" data-chave="${escaparHtml(d.chave)}"
+                                onclick="mostrarVerbetesDispositivo(this.dataset.chave, '${item.id}')"
+                                title="${total} verbete(s) citam este dispositivo">
+                            ${escaparHtml(d.rotulo)} <span class="dispositivo-chip-count">${total}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+            <div id="dispositivoVerbetes"></div>
+        </div>
+    `;
+}
+
+/**
+ * Lista, dentro do modal, os outros verbetes que citam o dispositivo
+ * @param {string} chave
+ * @param {string} idAtual - Verbete aberto no modal (fica fora da lista)
+ */
+function mostrarVerbetesDispositivo(chave, idAtual) {
+    const container = document.getElementById('dispositivoVerbetes');
+    const dispositivo = indiceDispositivos.get(chave);
+    if (!container || !dispositivo) return;
+
+    const itens = [...dispositivo.itens]
+        .filter(id => id !== idAtual)
+        .map(id => todosItens.find(i => i.id === id))
+        .filter(Boolean);
+
+    container.innerHTML = `
+        <div class="dispositivo-verbetes-header">
+            <strong>${escaparHtml(dispositivo.rotulo)}</strong>
+            ${itens.length === 0 ? ' - nenhum outro verbete cita este dispositivo' : ` - também citado em ${itens.length} verbete(s)`}
+            <a href="#" data-chave="${escaparHtml(chave)}" onclick="filtrarPorDispositivo(this.dataset.chave); return false;">🔎 Ver na busca</a>
+        </div>
+        <div class="related-list">
+            ${itens.map(relItem => `
+                <div class="related-item" onclick="abrirDetalhes('${relItem.id}')">
+                    <div class="related-item-header">
+                        <span class="related-item-title">${rotuloCitacao(relItem)}${relItem.cancelada ? ' ❌' : ''}</span>
+                    </div>
+                    <div class="related-item-preview">${escaparHtml(truncateText(relItem.titulo || '', 100))}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Fecha o modal e filtra a aba Jurisprudência pelo dispositivo
+ * @param {string} chave
+ */
+function filtrarPorDispositivo(chave) {
+    fecharModal();
+    if (currentTab !== 'jurisprudencia') {
+        switchTab('jurisprudencia', document.querySelector('.tab-button[onclick*="jurisprudencia"]'));
+    }
+    document.getElementById('filterDispositivo').value = chave;
+    realizarBusca();
+}
+
+// ========== METADADOS DA REFERÊNCIA ==========
+// "Res. 121/2003, DJ 19, 20 e 21.11.2003" vira resoluções e datas estruturadas.
+// A data de alteração é a publicação mais recente fora da "Redação original":
+// a da última edição, ou a do cancelamento, quando o verbete foi cancelado
+
+let indiceResolucoes = new Map(); // "121/2003" → {chave, numero, ano, rotulo, itens: Set<id>}
+
+const REGEX_RESOLUCAO = /\bres(?:olu[çc][ãa]o|\.)?\s*(?:n[º°o]\.?\s*)?(\d+)\s*\/\s*(\d{4})\b/gi;
+// Dias que compartilham mês e ano com a última data: "19, 20 e 21.11.2003", "30.06, 01 e 02.07.2025"
+const REGEX_LISTA_DATAS = /\b((?:\d{1,2}(?:[.\/]\d{1,2})?\s*(?:,|\se\b)\s*)*)(\d{1,2})[.\/](\d{1,2})[.\/](\d{4}|\d{2})\b/g;
+
+/**
+ * @param {number|string} dia
+ * @param {number|string} mes
+ * @param {number|string} ano - Dois dígitos viram 19xx ou 20xx
+ * @returns {string|null} Data ISO (AAAA-MM-DD) ou null se inválida
+ */
+function montarDataIso(dia, mes, ano) {
+    let anoNum = parseInt(ano, 10);
+    if (String(ano).length === 2) anoNum += anoNum > 50 ? 1900 : 2000;
+    const mesNum = parseInt(mes, 10);
+    const diaNum = parseInt(dia, 10);
+    if (mesNum < 1 || mesNum > 12 || diaNum < 1 || diaNum > 31) return null;
+    return `${anoNum}-${String(mesNum).padStart(2, '0')}-${String(diaNum).padStart(2, '0')}`;
+}
+
+/**
+ * Todas as datas citadas no trecho, expandindo listas de dias
+ * @param {string} texto
+ * @returns {string[]} Datas ISO na ordem em que aparecem
+ */
+function extrairDatasReferencia(texto) {
+    const datas = [];
+    for (const match of String(texto || '').matchAll(REGEX_LISTA_DATAS)) {
+        const [, anteriores, dia, mes, ano] = match;
+        anteriores.split(/\s*(?:,|\se\b)\s*/).filter(Boolean).forEach(parte => {
+            const [diaAnterior, mesAnterior] = parte.split(/[.\/]/);
+            const data = montarDataIso(diaAnterior, mesAnterior || mes, ano);
+            if (data) datas.push(data);
+        });
+        const data = montarDataIso(dia, mes, ano);
+        if (data) datas.push(data);
+    }
+    return datas;
+}
+
+/**
+ * Estrutura o campo referencia (e data_publicacao, quando houver)
+ * @param {Object} item
+ * @returns {{resolucoes: Array<{chave, numero, ano, rotulo}>, publicacoes: string[], dataAlteracao: string|null, dataOriginal: string|null}}
+ *          dataOriginal só existe quando a referência cita a "Redação original"
+ */
+function analisarReferencia(item) {
+    const referencia = item.referencia || '';
+    const [atual, ...anteriores] = referencia.split(/reda[çc][ãa]o original/i);
+
+    const resolucoes = [];
+    for (const match of referencia.matchAll(REGEX_RESOLUCAO)) {
+        const chave = `${parseInt(match[1], 10)}/${match[2]}`;
+        if (resolucoes.some(r => r.chave === chave)) continue;
+        resolucoes.push({ chave, numero: parseInt(match[1], 10), ano: parseInt(match[2], 10), rotulo: `Res. ${chave}` });
+    }
+
+    const datasAtuais = extrairDatasReferencia(atual);
+    const datasAnteriores = extrairDatasReferencia(anteriores.join(' '));
+    if (/^\d{4}-\d{2}-\d{2}$/.test(item.data_publicacao || '')) datasAtuais.push(item.data_publicacao);
+
+    const publicacoes = [...new Set([...datasAtuais, ...datasAnteriores])].sort();
+    return {
+        resolucoes,
+        publicacoes,
+        dataAlteracao: datasAtuais.length > 0 ? datasAtuais.reduce((a, b) => (a > b ? a : b)) : null,
+        dataOriginal: datasAnteriores.length > 0 ? [...datasAnteriores].sort()[0] : null
+    };
+}
+
+/**
+ * Estrutura a referência de cada verbete (item.metadadosReferencia) e indexa as resoluções
+ * @param {Array} itens
+ */
+function construirIndiceResolucoes(itens) {
+    const indice = new Map();
+    itens.filter(item => item.source === 'jurisprudencia').forEach(item => {
+        item.metadadosReferencia = analisarReferencia(item);
+        item.metadadosReferencia.resolucoes.forEach(resolucao => {
+            if (!indice.has(resolucao.chave)) indice.set(resolucao.chave, { ...resolucao, itens: new Set() });
+            indice.get(resolucao.chave).itens.add(item.id);
+        });
+    });
+
+    indiceResolucoes = indice;
+    popularFiltroResolucoes();
+    console.log(`📅 Resoluções indexadas: ${indice.size}`);
+}
+
+/**
+ * Preenche o filtro de resoluções, das mais recentes para as mais antigas
+ */
+function popularFiltroResolucoes() {
+    const select = document.getElementById('filterResolucao');
+    if (!select) return;
+
+    const selecionado = select.value || 'todos';
+    const resolucoes = [...indiceResolucoes.values()].sort((a, b) => b.ano - a.ano || b.numero - a.numero);
+    select.innerHTML = `
+        <option value="todos">Todas</option>
+        ${resolucoes.map(r => `<option value="${r.chave}">${r.rotulo} (${r.itens.size})</option>`).join('')}
+    `;
+    select.value = selecionado;
+    if (select.value !== selecionado) select.value = 'todos';
+}
+
+/**
+ * O item passa pelos filtros de resolução e de período de alteração?
+ * @param {Object} item
+ * @param {string} resolucao - 'todos' ou chave "185/2012"
+ * @param {string} dataInicio - ISO ou ''
+ * @param {string} dataFim - ISO ou ''
+ * @returns {boolean}
+ */
+function itemAtendeFiltroReferencia(item, resolucao, dataInicio, dataFim) {
+    const metadados = item.metadadosReferencia;
+    if (resolucao && resolucao !== 'todos') {
+        if (!metadados || !metadados.resolucoes.some(r => r.chave === resolucao)) return false;
+    }
+    if (dataInicio || dataFim) {
+        const data = metadados && metadados.dataAlteracao;
+        if (!data) return false;
+        if (dataInicio && data < dataInicio) return false;
+        if (dataFim && data > dataFim) return false;
+    }
+    return true;
+}
+
+/**
+ * Ordem cronológica pela data de alteração; itens sem data ficam no fim
+ * @param {Array} itens
+ * @param {'recentes'|'antigos'} sentido
+ */
+function ordenarPorDataAlteracao(itens, sentido) {
+    const dataDe = item => (item.metadadosReferencia && item.metadadosReferencia.dataAlteracao) || '';
+    itens.sort((a, b) => {
+        const dataA = dataDe(a);
+        const dataB = dataDe(b);
+        if (!dataA || !dataB) return (dataA ? 0 : 1) - (dataB ? 0 : 1);
+        return sentido === 'antigos' ? dataA.localeCompare(dataB) : dataB.localeCompare(dataA);
+    });
+}
+
+function formatarDataIso(iso) {
+    return iso ? iso.split('-').reverse().join('/') : '';
+}
+
+/**
+ * Resoluções e datas no bloco de informações do modal
+ * @param {Object} item
+ * @returns {string}
+ */
+function renderizarMetadadosReferencia(item) {
+    const metadados = item.metadadosReferencia;
+    if (!metadados || (metadados.resolucoes.length === 0 && !metadados.dataAlteracao)) return '';
+
+    return `
+        <div class="referencia-metadados">
+            ${metadados.resolucoes.length > 0 ? `
+                <div>
+                    <span style="font-weight: 600;">Resoluções:</span>
+                    ${metadados.resolucoes.map(r => `
+                        <a href="#" class="referencia-resolucao" onclick="filtrarPorResolucao('${r.chave}'); return false;"
+                           title="Ver verbetes da ${r.rotulo}">${r.rotulo}</a>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${metadados.dataAlteracao ? `
+                <div>
+                    <span style="font-weight: 600;">${item.cancelada ? 'Cancelamento' : 'Última alteração'}:</span>
+                    ${formatarDataIso(metadados.dataAlteracao)}
+                    ${metadados.dataOriginal && metadados.dataOriginal !== metadados.dataAlteracao ? ` · <span style="font-weight: 600;">Redação original:</span> ${formatarDataIso(metadados.dataOriginal)}` : ''}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Fecha o modal e filtra a aba Jurisprudência pela resolução
+ * @param {string} chave - "185/2012"
+ */
+function filtrarPorResolucao(chave) {
+    fecharModal();
+    if (currentTab !== 'jurisprudencia') {
+        switchTab('jurisprudencia', document.querySelector('.tab-button[onclick*="jurisprudencia"]'));
+    }
+    document.getElementById('filterResolucao').value = chave;
+    realizarBusca();
+}
+
+// ========== ESTRUTURA DE DADOS ==========
+let dadosTST = {
+    sumulas: [],
+    ojs: [],
+    precedentes: []
+};
+
+let todosItens = [];
+let itensFiltrados = [];
+let favoritos = [];
+let anotacoes = {}; // {itemId: "texto da anotação"}
+let datasAnotacoes = {}; // {itemId: ISO da última edição da anotação}
+let tags = {}; // {itemId: ["tag1", "tag2"]}
+let correlacoes = {}; // {itemId: [relatedItemIds]}
+let notasCorrelacoes = {}; // {"idA|idB": "nota"} - par em ordem alfabética
+let historicoRedacoes = {}; // {itemId: [{titulo, texto, cancelada, referencia, vigenteDesde, substituidaEm, removida?}]} - ver registrarBaseVista
+let informativos = [];
+let tesesVinculantes = [];
+
+let viewMode = 'grid';
+let searchTerm = '';
+let termosDestaque = []; // Termos da consulta destacados nos cards
+let statusFiltro = 'todos';
+let currentTab = 'jurisprudencia';
+let currentModalItem = null;
+
+// Estatísticas
+let stats = {
+    total: 0,
+    vigentes: 0,
+    canceladas: 0
+};
+
+// ========== INICIALIZAÇÃO ==========
+function carregarDados() {
+    // Carregar dados salvos do armazenamento local
+    const favoritosSalvos = armazenamento.getItem('juristst_favoritos');
+    if (favoritosSalvos) {
+        favoritos = JSON.parse(favoritosSalvos);
+    }
+    
+    const anotacoesSalvas = armazenamento.getItem('juristst_anotacoes');
+    if (anotacoesSalvas) {
+        anotacoes = JSON.parse(anotacoesSalvas);
+    }
+    
+    const datasAnotacoesSalvas = armazenamento.getItem('juristst_anotacoes_datas');
+    if (datasAnotacoesSalvas) {
+        datasAnotacoes = JSON.parse(datasAnotacoesSalvas);
+    }
+    
+    const tagsSalvas = armazenamento.getItem('juristst_tags');
+    if (tagsSalvas) {
+        tags = JSON.parse(tagsSalvas);
+    }
+    
+    const correlacoesSalvas = armazenamento.getItem('juristst_correlacoes');
+    if (correlacoesSalvas) {
+        correlacoes = JSON.parse(correlacoesSalvas);
+    }
+    
+    const notasCorrelacoesSalvas = armazenamento.getItem('juristst_notas_correlacoes');
+    if (notasCorrelacoesSalvas) {
+        notasCorrelacoes = JSON.parse(notasCorrelacoesSalvas);
+    }
+    
+    const informativosSalvos = armazenamento.getItem('juristst_informativos');
+    if (informativosSalvos) {
+        informativos = JSON.parse(informativosSalvos);
+    }
+    
+    const historicoSalvo = armazenamento.getItem('juristst_historico');
+    if (historicoSalvo) {
+        historicoRedacoes = JSON.parse(historicoSalvo);
+    }
+    
+    const tesesSalvas = armazenamento.getItem('juristst_teses');
+    if (tesesSalvas) {
+        tesesVinculantes = JSON.parse(tesesSalvas);
+    }
+    
+    const ordenacaoSalva = armazenamento.getItem('juristst_ordenacao');
+    if (ordenacaoSalva) {
+        ordenacaoPorAba = JSON.parse(ordenacaoSalva);
+    }
+    aplicarOrdenacoesSalvas();
+    
+    compilarTesauro(carregarTesauro());
+    
+    // Carregar dados da jurisprudência
+    carregarJurisprudencia();
+}
+
+async function carregarJurisprudencia() {
+    try {
+        // PRIORIDADE 1: Tentar carregar do armazenamento local (dados atualizados via admin)
+        const dadosLocais = armazenamento.getItem('juristst_data');
+        if (dadosLocais) {
+            try {
+                dadosTST = JSON.parse(dadosLocais);
+                console.log('✅ Dados carregados do armazenamento local (atualizados via admin)');
+                console.log('📊 Dados carregados:', dadosTST);
+                
+                // Processar dados do armazenamento local
+                await registrarRedacoesSubstituidas(dadosLocais);
+                processarDadosCarregados();
+                return;
+            } catch (error) {
+                console.warn('⚠️ Erro nos dados locais, carregando do JSON...', error);
+                armazenamento.removeItem('juristst_data'); // Limpar dados corrompidos
+            }
+        }
+        
+        // PRIORIDADE 2: Carregar do JSON no GitHub (fallback)
+        console.log('🔄 Carregando do JSON no GitHub...');
+        const response = await fetch('tst_data_complete.json');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const textoBase = await response.text();
+        dadosTST = JSON.parse(textoBase);
+        console.log('📊 JSON carregado do GitHub:', dadosTST);
+        
+        await registrarRedacoesSubstituidas(textoBase);
+        processarDadosCarregados();
+    } catch (error) {
+        console.error('❌ Erro ao carregar jurisprudência:', error);
+        mostrarToast('Erro ao carregar dados da jurisprudência', 'error');
+    }
+}
+
+// JSON republicado ou atualização do admin: a redação que cada verbete tinha na última visita vai para o histórico
+async function registrarRedacoesSubstituidas(textoBase) {
+    const guardadas = await registrarBaseVista(textoBase);
+    if (guardadas === 0) return;
+    
+    historicoRedacoes = JSON.parse(armazenamento.getItem('juristst_historico') || '{}');
+    console.log(`📜 Redações anteriores guardadas: ${guardadas}`);
+}
+
+function processarDadosCarregados() {
+    try {
+        // Validar estrutura do JSON
+        if (!dadosTST || typeof dadosTST !== 'object') {
+            throw new Error('JSON inválido: não é um objeto');
+        }
+        
+        // Garantir que os arrays existam
+        dadosTST.sumulas = Array.isArray(dadosTST.sumulas) ? dadosTST.sumulas : [];
+        
+        // OJs é um dicionário com subgrupos, precisamos combinar todos
+        let ojsArray = [];
+        if (dadosTST.ojs && typeof dadosTST.ojs === 'object') {
+            // Iterar sobre cada subgrupo de OJs
+            for (const [orgao, ojs] of Object.entries(dadosTST.ojs)) {
+                if (Array.isArray(ojs)) {
+                    console.log(`📋 Processando OJs do órgão: ${orgao} (${ojs.length} itens)`);
+                    
+                    // Transformar nome do órgão para formato padronizado
+                    const orgaoFormatado = formatarGrupoOJ(orgao);
+                    
+                    console.log(`   ➜ Órgão formatado: "${orgao}" → "${orgaoFormatado}"`);
+                    
+                    // Adicionar informação do órgão a cada OJ
+                    const ojsComOrgao = ojs.map(oj => ({
+                        ...oj,
+                        orgao: orgaoFormatado
+                    }));
+                    ojsArray = ojsArray.concat(ojsComOrgao);
+                }
+            }
+        }
+        dadosTST.ojs = ojsArray;
+        
+        // Precedentes Normativos
+        dadosTST.precedentes = Array.isArray(dadosTST.precedentes_normativos) ? 
+            dadosTST.precedentes_normativos : [];
+        
+        console.log(`📚 Súmulas: ${dadosTST.sumulas.length}`);
+        console.log(`📋 OJs: ${dadosTST.ojs.length}`);
+        console.log(`⚖️ Precedentes: ${dadosTST.precedentes.length}`);
+        
+        // Combinar todos os itens em um array único
+        // ✅ USANDO GERENCIADOR DE IDs
+        todosItens = [
+            ...dadosTST.sumulas.map(item => ({
+                ...item,
+                tipo: item.tipo || 'sumula',
+                id: gerarIdConsistente('sumula', item.numero),
+                source: 'jurisprudencia'
+            })),
+            ...dadosTST.ojs.map(item => ({
+                ...item,
+                tipo: item.tipo || 'oj',
+                id: gerarIdConsistente('oj', item.numero, item.orgao),
+                source: 'jurisprudencia'
+            })),
+            ...dadosTST.precedentes.map(item => ({
+                ...item,
+                // PNs usam "cancelado"; o restante do sistema lê "cancelada"
+                cancelada: item.cancelada ?? item.cancelado ?? false,
+                tipo: item.tipo || 'precedente',
+                id: gerarIdConsistente('precedente', item.numero),
+                source: 'jurisprudencia'
+            }))
+        ];
+        
+        console.log(`📦 Total de itens combinados: ${todosItens.length}`);
+        
+        // Adicionar informativos e teses ao array geral
+        informativos.forEach((info, index) => {
+            // Enviados antes da separação: as decisões são calculadas uma vez e ficam no próprio informativo,
+            // para o índice não repetir o texto delas no informativo inteiro
+            if (!Array.isArray(info.decisoes)) {
+                info.decisoes = separarDecisoesInformativo([info.texto || '']).map(decisao => ({ ...decisao, pagina: null }));
+            }
+            const informativo = {
+                ...info,
+                id: info.id || gerarIdConsistente('informativo', index),
+                tipo: 'informativo',
+                source: 'informativo'
+            };
+            todosItens.push(informativo, ...criarItensDecisoes(informativo));
+        });
+        
+        tesesVinculantes.forEach((tese) => {
+            // ✅ USAR ID EXISTENTE (do armazenamento local) OU GERAR NOVO
+            const teseId = tese.id || gerarIdConsistente('tese', tese.tema);
+            
+            const teseComId = {
+                ...tese,
+                id: teseId,
+                source: 'tese',
+                tipo: tese.tipo || 'IRR'
+            };
+            
+            todosItens.push(teseComId);
+            console.log('📌 Tese adicionada ao todosItens:', teseId, '| Source:', teseComId.source, '| Tipo:', teseComId.tipo, '| Tema:', tese.tema);
+        });
+        
+        construirIndiceBusca(todosItens);
+        construirGrafoCitacoes(todosItens);
+        construirIndiceDispositivos(todosItens);
+        construirIndiceResolucoes(todosItens);
+        
+        calcularEstatisticas();
+        itensFiltrados = todosItens.filter(item => item.source === 'jurisprudencia');
+        renderizarResultados();
+        
+        // Converter favoritos/anotações/tags/correlações com IDs antigos de OJs
+        migrarIdsOJ();
+        
+        console.log('✅ Processamento concluído com sucesso');
+    } catch (error) {
+        console.error('❌ Erro no processamento:', error);
+        mostrarToast('Erro ao processar dados', 'error');
+    }
+}
+
+// ========== MIGRAÇÃO DE IDs DE OJs ==========
+// IDs antigos (oj_1) eram iguais para OJs de órgãos diferentes; os novos
+// incluem o órgão (oj_sbdi1_1). A migração roda uma única vez.
+
+const VERSAO_IDS = '2';
+let migracaoPendente = null; // {ambiguos: [{idAntigo, candidatos}]}
+
+/**
+ * Verifica se um ID está no formato antigo de OJ (sem órgão)
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isIdOJAntigo(id) {
+    return /^oj_[a-zA-Z0-9]+$/.test(id);
+}
+
+/**
+ * Coleta todos os IDs referenciados pelos dados do usuário
+ * @returns {Set<string>}
+ */
+function coletarIdsUsuario() {
+    const ids = new Set(favoritos);
+    Object.keys(anotacoes).forEach(id => ids.add(id));
+    Object.keys(tags).forEach(id => ids.add(id));
+    Object.entries(correlacoes).forEach(([id, relacionados]) => {
+        ids.add(id);
+        (relacionados || []).forEach(relId => ids.add(relId));
+    });
+    return ids;
+}
+
+function migrarIdsOJ() {
+    if (armazenamento.getItem('juristst_versao_ids') === VERSAO_IDS) return;
+    
+    const ojs = todosItens.filter(item => item.source === 'jurisprudencia' && item.tipo === 'oj');
+    const mapa = {};
+    const ambiguos = [];
+    
+    coletarIdsUsuario().forEach(idAntigo => {
+        if (!isIdOJAntigo(idAntigo)) return;
+        
+        const numeroAntigo = idAntigo.slice(3);
+        const candidatos = ojs.filter(oj => 
+            String(oj.numero).trim().replace(/[^a-zA-Z0-9]/g, '') === numeroAntigo
+        );
+        
+        if (candidatos.length === 1) {
+            mapa[idAntigo] = candidatos[0].id;
+        } else if (candidatos.length > 1) {
+            ambiguos.push({ idAntigo, candidatos });
+        } else {
+            console.warn(`⚠️ Migração: nenhuma OJ encontrada para ${idAntigo}, mantido como está`);
+        }
+    });
+    
+    // IDs sem ambiguidade são migrados imediatamente
+    if (Object.keys(mapa).length > 0) {
+        aplicarMigracaoIds(mapa);
+        console.log(`🔄 Migração: ${Object.keys(mapa).length} IDs de OJ convertidos automaticamente`);
+    }
+    
+    if (ambiguos.length === 0) {
+        armazenamento.setItem('juristst_versao_ids', VERSAO_IDS);
+        return;
+    }
+    
+    // IDs ambíguos: perguntar ao usuário em vez de adivinhar
+    console.log(`❓ Migração: ${ambiguos.length} IDs de OJ ambíguos aguardando escolha`);
+    migracaoPendente = { ambiguos };
+    abrirDialogoMigracao();
+}
+
+/**
+ * Renomeia IDs em favoritos, anotações, tags e correlações e persiste
+ * @param {Object} mapa - {idAntigo: idNovo}; idNovo null descarta os dados
+ */
+function aplicarMigracaoIds(mapa) {
+    const renomear = id => Object.prototype.hasOwnProperty.call(mapa, id) ? mapa[id] : id;
+    
+    favoritos = [...new Set(favoritos.map(renomear).filter(id => id))];
+    
+    const novasAnotacoes = {};
+    Object.entries(anotacoes).forEach(([id, texto]) => {
+        const novoId = renomear(id);
+        if (!novoId) return;
+        // Se duas chaves antigas apontarem para o mesmo item, preservar ambos os textos
+        novasAnotacoes[novoId] = novasAnotacoes[novoId] ? `${novasAnotacoes[novoId]}\n\n${texto}` : texto;
+    });
+    anotacoes = novasAnotacoes;
+    
+    const novasDatas = {};
+    Object.entries(datasAnotacoes).forEach(([id, data]) => {
+        const novoId = renomear(id);
+        if (!novoId) return;
+        if (!novasDatas[novoId] || novasDatas[novoId] < data) novasDatas[novoId] = data;
+    });
+    datasAnotacoes = novasDatas;
+    
+    const novasTags = {};
+    Object.entries(tags).forEach(([id, itemTags]) => {
+        const novoId = renomear(id);
+        if (!novoId) return;
+        novasTags[novoId] = [...new Set([...(novasTags[novoId] || []), ...itemTags])];
+    });
+    tags = novasTags;
+    
+    const novasCorrelacoes = {};
+    Object.entries(correlacoes).forEach(([id, relacionados]) => {
+        const novoId = renomear(id);
+        if (!novoId) return;
+        const novosRelacionados = (relacionados || [])
+            .map(renomear)
+            .filter(relId => relId && relId !== novoId);
+        const combinados = [...new Set([...(novasCorrelacoes[novoId] || []), ...novosRelacionados])];
+        if (combinados.length > 0) {
+            novasCorrelacoes[novoId] = combinados;
+        }
+    });
+    correlacoes = novasCorrelacoes;
+    
+    const novasNotas = {};
+    Object.entries(notasCorrelacoes).forEach(([chave, nota]) => {
+        const [id1, id2] = chave.split('|').map(renomear);
+        if (!id1 || !id2 || id1 === id2) return;
+        const novaChave = chaveCorrelacao(id1, id2);
+        novasNotas[novaChave] = novasNotas[novaChave] ? `${novasNotas[novaChave]}\n${nota}` : nota;
+    });
+    notasCorrelacoes = novasNotas;
+    
+    armazenamento.setItem('juristst_favoritos', JSON.stringify(favoritos));
+    armazenamento.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
+    armazenamento.setItem('juristst_anotacoes_datas', JSON.stringify(datasAnotacoes));
+    armazenamento.setItem('juristst_tags', JSON.stringify(tags));
+    armazenamento.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
+    armazenamento.setItem('juristst_notas_correlacoes', JSON.stringify(notasCorrelacoes));
+    
+    // Anotações mudaram de dono: reindexar os itens de destino
+    Object.values(mapa).forEach(novoId => {
+        if (novoId) atualizarItemNoIndice(novoId);
+    });
+    
+    if (currentTab === 'jurisprudencia') {
+        renderizarResultados();
+    } else if (currentTab === 'favoritos') {
+        renderizarFavoritos();
+    }
+}
+
+function abrirDialogoMigracao() {
+    const modal = document.getElementById('migracaoModal');
+    const body = document.getElementById('migracaoBody');
+    if (!modal || !body || !migracaoPendente) return;
+    
+    let html = `
+        <p class="modal-text" style="margin-bottom: 20px;">
+            As OJs agora são identificadas também pelo órgão. Os dados abaixo foram salvos
+            em uma OJ cujo número existe em mais de um órgão. Indique a qual OJ cada um se refere.
+        </p>
+    `;
+    
+    migracaoPendente.ambiguos.forEach(({ idAntigo, candidatos }, index) => {
+        const numero = idAntigo.slice(3);
+        const dados = [];
+        if (favoritos.includes(idAntigo)) dados.push('⭐ Favorito');
+        if (anotacoes[idAntigo]) dados.push(`📝 "${truncateText(anotacoes[idAntigo], 80)}"`);
+        if (tags[idAntigo]) dados.push(`🏷️ ${tags[idAntigo].join(', ')}`);
+        
+        const totalCorrelacoes = (correlacoes[idAntigo] || []).length;
+        if (totalCorrelacoes > 0) dados.push(`🔗 ${totalCorrelacoes} correlações`);
+        
+        html += `
+            <div class="migracao-item">
+                <div class="migracao-item-header">OJ ${numero}</div>
+                <div class="migracao-item-dados">${dados.join(' | ')}</div>
+                ${candidatos.map(oj => `
+                    <label class="migracao-opcao">
+                        <input type="radio" name="migracao_${index}" value="${oj.id}">
+                        <strong>OJ ${oj.numero} - ${oj.orgao}</strong>
+                        ${oj.cancelada ? '<span class="canceled-badge">❌ CANCELADA</span>' : ''}
+                        <span class="migracao-opcao-titulo">${truncateText(oj.titulo || '', 100)}</span>
+                    </label>
+                `).join('')}
+                <label class="migracao-opcao">
+                    <input type="radio" name="migracao_${index}" value="">
+                    <strong>🗑️ Descartar estes dados</strong>
+                </label>
+            </div>
+        `;
+    });
+    
+    body.innerHTML = html;
+    modal.style.display = 'flex';
+    modal.classList.add('active');
+}
+
+function confirmarMigracaoIds() {
+    if (!migracaoPendente) return;
+    
+    const mapa = {};
+    const semResposta = [];
+    
+    migracaoPendente.ambiguos.forEach(({ idAntigo }, index) => {
+        const escolhido = document.querySelector(`input[name="migracao_${index}"]:checked`);
+        if (!escolhido) {
+            semResposta.push(idAntigo);
+            return;
+        }
+        mapa[idAntigo] = escolhido.value || null;
+    });
+    
+    if (semResposta.length > 0) {
+        mostrarToast(`Escolha uma opção para todas as OJs (${semResposta.length} pendentes)`, 'warning');
+        return;
+    }
+    
+    aplicarMigracaoIds(mapa);
+    armazenamento.setItem('juristst_versao_ids', VERSAO_IDS);
+    migracaoPendente = null;
+    fecharDialogoMigracao();
+    
+    console.log(`✅ Migração de IDs concluída: ${Object.keys(mapa).length} OJs resolvidas`);
+    mostrarToast('Dados migrados com sucesso', 'success');
+}
+
+function adiarMigracaoIds() {
+    // Os dados antigos permanecem intactos; a pergunta volta no próximo carregamento
+    migracaoPendente = null;
+    fecharDialogoMigracao();
+    mostrarToast('Migração adiada. Ela será solicitada novamente ao recarregar.', 'warning');
+}
+
+function fecharDialogoMigracao() {
+    const modal = document.getElementById('migracaoModal');
+    if (!modal) return;
+    modal.classList.remove('active');
+    modal.style.display = 'none';
+}
+
+// ========== NAVEGAÇÃO ENTRE ABAS ==========
+function switchTab(tabName, buttonElement) {
+    try {
+        console.log('🔄 Iniciando mudança de aba para:', tabName);
+        
+        // Esconder todas as abas
+        document.querySelectorAll('.tab-content').forEach(tab => {
+            tab.classList.remove('active');
+        });
+        
+        // Remover active de todos os botões
+        document.querySelectorAll('.tab-button').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        
+        // Mostrar aba selecionada
+        const tabElement = document.getElementById(tabName);
+        if (tabElement) {
+            tabElement.classList.add('active');
+            console.log('✅ Aba ativada:', tabName);
+        } else {
+            console.error('❌ Aba não encontrada:', tabName);
+        }
+        
+        // Ativar botão correspondente
+        if (buttonElement) {
+            buttonElement.classList.add('active');
+            console.log('✅ Botão ativado');
+        } else {
+            console.warn('⚠️ Botão não fornecido');
+        }
+        
+        currentTab = tabName;
+        
+        // Renderizar conteúdo específico da aba
+        try {
+            if (tabName === 'favoritos') {
+                console.log('📋 Renderizando favoritos...');
+                renderizarFavoritos();
+            } else if (tabName === 'informativos') {
+                console.log('📋 Renderizando informativos...');
+                renderizarInformativos();
+            } else if (tabName === 'teses') {
+                console.log('📋 Renderizando teses...');
+                filtrarTeses();
+            } else if (tabName === 'mapa') {
+                console.log('📋 Renderizando mapa...');
+                renderizarMapa();
+            } else if (tabName === 'configuracoes') {
+                console.log('📋 Calculando uso do armazenamento...');
+                exibirUsoArmazenamento();
+            }
+            console.log('✅ Renderização concluída');
+        } catch (renderError) {
+            console.error('❌ Erro ao renderizar conteúdo:', renderError);
+            console.error('Stack:', renderError.stack);
+        }
+        
+    } catch (error) {
+        console.error('❌ ERRO CRÍTICO em switchTab:', error);
+        console.error('Stack completo:', error.stack);
+    }
+}
+
+// ========== CÁLCULO DE ESTATÍSTICAS ==========
+function calcularEstatisticas() {
+    const jurisprudenciaItems = todosItens.filter(item => item.source === 'jurisprudencia');
+    stats.total = jurisprudenciaItems.length;
+    stats.vigentes = jurisprudenciaItems.filter(item => !item.cancelada).length;
+    stats.canceladas = jurisprudenciaItems.filter(item => item.cancelada).length;
+    
+    // Atualizar interface
+    document.getElementById('totalCount').textContent = stats.total;
+    document.getElementById('vigentesCount').textContent = stats.vigentes;
+    document.getElementById('canceladasCount').textContent = stats.canceladas;
+}
+
+// ========== BUSCA E FILTROS ==========
+// ✅ CORREÇÃO 2: Busca com normalização de texto
+// Opções do filtro de tipo que trazem itens dos informativos enviados
+const TIPOS_INFORMATIVO_FILTRO = ['Decisão', 'Informativo'];
+
+function realizarBusca() {
+    searchTerm = document.getElementById('searchInput').value.trim();
+    const tipoFiltro = document.getElementById('filterTipo').value;
+    const orgaoFiltro = document.getElementById('filterOrgao').value;
+    const numeroFiltro = document.getElementById('filterNumero').value.trim();
+    const tagsFiltro = document.getElementById('filterTags').value.trim();
+    const dispositivoFiltro = document.getElementById('filterDispositivo').value;
+    const resolucaoFiltro = document.getElementById('filterResolucao').value;
+    const dataInicioFiltro = document.getElementById('filterDataInicio').value;
+    const dataFimFiltro = document.getElementById('filterDataFim').value;
+    
+    // Normalizar termo de busca
+    const searchTermNormalizado = normalizarTexto(searchTerm);
+    
+    // Citação de verbete ("Súmula 331", "OJ 394 SBDI-1"): mostrar o próprio item
+    const citacao = interpretarCitacao(searchTerm);
+    const itensCitados = citacao ? resolverCitacao(citacao) : [];
+    mostrarDicaCitacao(itensCitados);
+    if (itensCitados.length > 0) {
+        mostrarErroBusca('');
+        mostrarSugestaoBusca(null);
+        termosDestaque = [];
+        itensFiltrados = itensCitados;
+        renderizarResultados();
+        return;
+    }
+    
+    // Interpretar a linguagem de consulta; erro de sintaxe mantém os resultados anteriores
+    let consultaDigitada;
+    try {
+        consultaDigitada = analisarConsulta(searchTerm);
+        mostrarErroBusca('');
+    } catch (error) {
+        mostrarErroBusca(error.message);
+        return;
+    }
+    
+    // Correções de digitação são sugeridas sobre o que foi digitado, antes do tesauro
+    const sugestao = sugerirCorrecao(searchTerm, consultaDigitada);
+    mostrarSugestaoBusca(sugestao);
+    
+    const consulta = expandirSinonimos(consultaDigitada);
+    termosDestaque = [
+        ...extrairTermosDestaque(consulta),
+        ...(sugestao ? sugestao.correcoes : [])
+    ];
+    
+    let itensParaFiltrar;
+    
+    if (currentTab === 'jurisprudencia') {
+        // Decisões separadas e informativos enviados entram quando há busca ou o filtro de tipo os pede;
+        // sem isso a lista continua só com os verbetes
+        const incluirInformativos = Boolean(searchTermNormalizado) || TIPOS_INFORMATIVO_FILTRO.includes(tipoFiltro);
+        itensParaFiltrar = todosItens.filter(item =>
+            item.source === 'jurisprudencia' || (incluirInformativos && item.source === 'informativo'));
+    } else if (searchTermNormalizado) {
+        // Se há busca, procurar em TODOS os itens
+        itensParaFiltrar = todosItens;
+        console.log(`🔍 Buscando "${searchTerm}" em ${todosItens.length} itens (incluindo PDFs)`);
+    } else {
+        itensParaFiltrar = todosItens.filter(item => item.source === 'jurisprudencia');
+    }
+    
+    // Relevância de cada item que satisfaz a consulta (null quando não há consulta)
+    const relevancia = consulta ? avaliarConsulta(consulta, itensParaFiltrar) : null;
+    
+    itensFiltrados = itensParaFiltrar.filter(item => {
+        // Filtro de status (canceladas/vigentes)
+        if (statusFiltro === 'vigentes' && item.cancelada) return false;
+        if (statusFiltro === 'canceladas' && !item.cancelada) return false;
+        
+        // Filtro de tipo
+        const tipoMap = {
+            'sumula': 'Súmula',
+            'oj': 'OJ',
+            'precedente': 'Precedente Normativo',
+            'decisao': 'Decisão',
+            'informativo': 'Informativo'
+        };
+        const tipoDisplay = tipoMap[item.tipo] || item.tipo;
+        if (tipoFiltro !== 'todos' && tipoDisplay !== tipoFiltro) return false;
+        
+        // Filtro de órgão (apenas para OJs)
+        if (orgaoFiltro !== 'todos' && item.tipo === 'oj') {
+            const orgaoItem = (item.orgao || '').toUpperCase();
+            const orgaoFiltroUpper = orgaoFiltro.toUpperCase();
+            
+            if (!orgaoItem.includes(orgaoFiltroUpper)) {
+                return false;
+            }
+        }
+        
+        // Filtro de número
+        if (numeroFiltro && item.numero !== numeroFiltro) return false;
+        
+        // Filtro de tags (normalizado)
+        if (tagsFiltro) {
+            const itemTags = tags[item.id] || [];
+            const filterTagsArray = tagsFiltro.split(',').map(t => t.trim());
+            const hasAllTags = filterTagsArray.every(filterTag => 
+                itemTags.some(itemTag => contemTermoNormalizado(itemTag, filterTag))
+            );
+            if (!hasAllTags) return false;
+        }
+        
+        // Filtro de dispositivo legal citado
+        if (!itemCitaDispositivo(item, dispositivoFiltro)) return false;
+        
+        // Filtros de resolução e período da última alteração
+        if (!itemAtendeFiltroReferencia(item, resolucaoFiltro, dataInicioFiltro, dataFimFiltro)) return false;
+        
+        // Busca textual (NORMALIZADA) pela linguagem de consulta
+        if (relevancia) {
+            return relevancia.has(item.id);
+        }
+        
+        return true;
+    });
+    
+    // Por relevância, os mais relevantes primeiro; empates mantêm a ordem original
+    ordenarItens(itensFiltrados, ordenacaoDaAba('jurisprudencia'), relevancia);
+    
+    renderizarResultados();
+}
+
+function filtrarPorStatus() {
+    const statusRadios = document.getElementsByName('status');
+    for (const radio of statusRadios) {
+        if (radio.checked) {
+            statusFiltro = radio.value;
+            break;
+        }
+    }
+    realizarBusca();
+}
+
+// ========== ORDENAÇÃO ==========
+let ordenacaoPorAba = {}; // {aba: critério} - lembrado entre visitas
+
+const ORDENACAO_PADRAO = {
+    jurisprudencia: 'relevancia',
+    favoritos: 'favoritado',
+    teses: 'relevancia'
+};
+
+const SELETORES_ORDENACAO = {
+    jurisprudencia: 'ordenacaoResultados',
+    favoritos: 'ordenacaoFavoritos',
+    teses: 'ordenacaoTeses'
+};
+
+// Agrupamento da ordem numérica: súmulas, OJs (por órgão), precedentes, teses e informativos
+const ORDEM_GRUPOS = ['sumula', 'oj', 'precedente', 'tese', 'informativo'];
+
+function ehTese(item) {
+    return item.source === 'tese' || item.tema !== undefined;
+}
+
+function ordenacaoDaAba(aba) {
+    return ordenacaoPorAba[aba] || ORDENACAO_PADRAO[aba] || 'relevancia';
+}
+
+/**
+ * Ordena a lista no lugar; empates mantêm a ordem recebida
+ * @param {Array} itens
+ * @param {string} criterio - 'relevancia', 'numero', 'titulo', 'tema', 'favoritado', 'anotado', 'recentes' ou 'antigos'
+ * @param {Map<string, number>|null} relevancia - Pontuação da busca, quando houver
+ * @returns {Array} A própria lista
+ */
+function ordenarItens(itens, criterio, relevancia = null) {
+    // Números são strings ("331", "12-A"): comparação natural
+    const compararTexto = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), 'pt-BR', { numeric: true, sensitivity: 'base' });
+    const grupo = item => {
+        if (ehTese(item)) return 'tese';
+        if (item.source === 'informativo') return 'informativo';
+        return item.tipo;
+    };
+    const semValorNoFim = (a, b) => (a === undefined ? 1 : 0) - (b === undefined ? 1 : 0);
+
+    switch (criterio) {
+        case 'numero':
+            return itens.sort((a, b) => {
+                const indiceA = ORDEM_GRUPOS.indexOf(grupo(a));
+                const indiceB = ORDEM_GRUPOS.indexOf(grupo(b));
+                return (indiceA === -1 ? ORDEM_GRUPOS.length : indiceA) - (indiceB === -1 ? ORDEM_GRUPOS.length : indiceB)
+                    || compararTexto(a.orgao || '', b.orgao || '')
+                    || compararTexto(ehTese(a) ? a.tema : a.numero, ehTese(b) ? b.tema : b.numero);
+            });
+        case 'titulo': {
+            // Aspas e sinais no início ('"HABEAS CORPUS"') não contam
+            const titulo = item => String(item.titulo || item.tese || item.nome || '').replace(/^[^\p{L}\p{N}]+/u, '');
+            return itens.sort((a, b) => compararTexto(titulo(a), titulo(b)));
+        }
+        case 'tema':
+            return itens.sort((a, b) => {
+                const temaA = ehTese(a) ? a.tema : undefined;
+                const temaB = ehTese(b) ? b.tema : undefined;
+                if (temaA === undefined || temaB === undefined) return semValorNoFim(temaA, temaB);
+                return compararTexto(temaA, temaB);
+            });
+        case 'favoritado': {
+            // favoritos guarda a ordem em que foram marcados
+            const posicao = new Map(favoritos.map((id, index) => [id, index]));
+            return itens.sort((a, b) => {
+                const posA = posicao.get(a.id);
+                const posB = posicao.get(b.id);
+                if (posA === undefined || posB === undefined) return semValorNoFim(posA, posB);
+                return posB - posA;
+            });
+        }
+        case 'anotado': {
+            // Anotações anteriores às datas registradas ficam depois das datadas
+            const chave = item => (anotacoes[item.id] ? datasAnotacoes[item.id] || '' : undefined);
+            return itens.sort((a, b) => {
+                const dataA = chave(a);
+                const dataB = chave(b);
+                if (dataA === undefined || dataB === undefined) return semValorNoFim(dataA, dataB);
+                return dataB.localeCompare(dataA);
+            });
+        }
+        case 'recentes':
+        case 'antigos':
+            ordenarPorDataAlteracao(itens, criterio);
+            return itens;
+        default:
+            if (relevancia) itens.sort((a, b) => relevancia.get(b.id) - relevancia.get(a.id));
+            return itens;
+    }
+}
+
+/**
+ * Troca o critério da aba, lembra a escolha e redesenha
+ * @param {string} aba - 'jurisprudencia', 'favoritos' ou 'teses'
+ * @param {string} criterio
+ */
+function mudarOrdenacao(aba, criterio) {
+    ordenacaoPorAba[aba] = criterio;
+    armazenamento.setItem('juristst_ordenacao', JSON.stringify(ordenacaoPorAba));
+
+    if (aba === 'jurisprudencia') {
+        realizarBusca();
+    } else if (aba === 'favoritos') {
+        renderizarFavoritos();
+    } else if (aba === 'teses') {
+        filtrarTeses();
+    }
+}
+
+/**
+ * Mostra nos seletores as ordens lembradas
+ */
+function aplicarOrdenacoesSalvas() {
+    Object.entries(SELETORES_ORDENACAO).forEach(([aba, seletorId]) => {
+        const select = document.getElementById(seletorId);
+        if (select) select.value = ordenacaoDaAba(aba);
+    });
+}
+
+// ========== RENDERIZAÇÃO INCREMENTAL ==========
+// Listas longas entram por páginas: a primeira na hora e as seguintes quando o fim
+// da lista chega à tela (ou pelo botão). Favoritar, anotar ou marcar tags redesenha
+// só o card afetado
+
+const TAMANHO_PAGINA = 60;
+let listasPaginadas = {}; // {chave: {container, itens, exibidos, criarCard, observador}}
+
+/**
+ * Desenha a primeira página da lista e prepara o "carregar mais"
+ * @param {string} chave - 'jurisprudencia', 'favoritos' ou 'teses'
+ * @param {HTMLElement} container
+ * @param {Array} itens
+ * @param {Function} criarCard - item → HTML do card (com data-id)
+ * @param {string} classeLista - 'results-grid' ou 'results-list'
+ */
+function renderizarListaPaginada(chave, container, itens, criarCard, classeLista) {
+    const anterior = listasPaginadas[chave];
+    if (anterior && anterior.observador) anterior.observador.disconnect();
+
+    container.innerHTML = `
+        <div class="${classeLista}" data-lista="${chave}"></div>
+        <div class="carregar-mais" data-carregar="${chave}">
+            <span class="carregar-mais-info"></span>
+            <button class="btn btn-secondary" onclick="carregarMaisItens('${chave}')">⬇️ Carregar mais</button>
+        </div>
+    `;
+
+    const lista = { container, itens, exibidos: 0, criarCard, observador: null };
+    listasPaginadas[chave] = lista;
+    carregarMaisItens(chave);
+
+    // Rolagem infinita onde houver suporte; o botão continua como alternativa
+    if (typeof IntersectionObserver !== 'undefined') {
+        lista.observador = new IntersectionObserver(entradas => {
+            if (entradas.some(entrada => entrada.isIntersecting)) carregarMaisItens(chave);
+        }, { rootMargin: '400px' });
+        lista.observador.observe(container.querySelector(`[data-carregar="${chave}"]`));
+    }
+}
+
+/**
+ * Acrescenta a próxima página ao fim da lista
+ * @param {string} chave
+ */
+function carregarMaisItens(chave) {
+    const lista = listasPaginadas[chave];
+    if (!lista) return;
+
+    const grade = lista.container.querySelector(`[data-lista="${chave}"]`);
+    const proximos = lista.itens.slice(lista.exibidos, lista.exibidos + TAMANHO_PAGINA);
+    if (grade && proximos.length > 0) {
+        grade.insertAdjacentHTML('beforeend', proximos.map(lista.criarCard).join(''));
+        lista.exibidos += proximos.length;
+    }
+    atualizarRodapePaginacao(chave);
+}
+
+function atualizarRodapePaginacao(chave) {
+    const lista = listasPaginadas[chave];
+    const rodape = lista.container.querySelector(`[data-carregar="${chave}"]`);
+    if (!rodape) return;
+
+    const restantes = lista.itens.length - lista.exibidos;
+    rodape.style.display = restantes > 0 ? '' : 'none';
+    const info = rodape.querySelector('.carregar-mais-info');
+    if (info) info.textContent = `Mostrando ${lista.exibidos} de ${lista.itens.length}`;
+}
+
+/**
+ * Redesenha só os cards do item nas listas abertas
+ * @param {string} id
+ */
+function atualizarCardsItem(id) {
+    Object.values(listasPaginadas).forEach(lista => {
+        const item = lista.itens.find(i => i.id === id);
+        if (!item) return;
+        lista.container.querySelectorAll(`.card[data-id="${id}"]`).forEach(card => {
+            card.outerHTML = lista.criarCard(item);
+        });
+    });
+}
+
+/**
+ * Tira o card da lista sem redesenhar as demais
+ * @param {string} chave
+ * @param {string} id
+ * @returns {number} Itens que sobraram na lista
+ */
+function removerCardDaLista(chave, id) {
+    const lista = listasPaginadas[chave];
+    if (!lista) return 0;
+
+    const indice = lista.itens.findIndex(i => i.id === id);
+    if (indice === -1) return lista.itens.length;
+
+    lista.itens = lista.itens.filter(i => i.id !== id);
+    if (indice < lista.exibidos) lista.exibidos--;
+    lista.container.querySelectorAll(`.card[data-id="${id}"]`).forEach(card => card.remove());
+    atualizarRodapePaginacao(chave);
+    return lista.itens.length;
+}
+
+// ========== RENDERIZAÇÃO DE RESULTADOS ==========
+function renderizarResultados() {
+    const content = document.querySelector('#jurisprudencia .content');
+    const resultCount = document.getElementById('resultCount');
+    
+    resultCount.textContent = itensFiltrados.length;
+    
+    if (itensFiltrados.length === 0) {
+        content.innerHTML = `
+            <div class="empty-state">
+                <h3>🔍 Nenhum resultado encontrado</h3>
+                <p>Tente ajustar os filtros ou termos de busca</p>
+                ${sugestaoBusca ? `
+                    <p>Você quis dizer: <a href="#" onclick="aplicarSugestaoBusca(); return false;">${escaparHtml(sugestaoBusca)}</a>?</p>
+                ` : ''}
+            </div>
+        `;
+        return;
+    }
+    
+    const containerClass = viewMode === 'grid' ? 'results-grid' : 'results-list';
+    renderizarListaPaginada('jurisprudencia', content, itensFiltrados, criarCardHTML, containerClass);
+}
+
+function criarCardHTML(item) {
+    const tipo = item.tipo || 'sumula';
+    const tipoMap = {
+        'sumula': { display: 'Súmula', badge: 'badge-sumula' },
+        'oj': { display: 'OJ', badge: 'badge-oj' },
+        'precedente': { display: 'Precedente Normativo', badge: 'badge-precedente' },
+        'informativo': { display: 'Informativo', badge: 'badge-informativo' },
+        'decisao': { display: 'Decisão', badge: 'badge-informativo' },
+        'irr': { display: 'IRR', badge: 'badge-irr' },
+        'irdr': { display: 'IRDR', badge: 'badge-irdr' },
+        'iac': { display: 'IAC', badge: 'badge-iac' }
+    };
+    
+    const tipoInfo = tipoMap[tipo.toLowerCase()] || { display: tipo, badge: 'badge-sumula' };
+    
+    const isFavorito = favoritos.includes(item.id);
+    const favoritoClass = isFavorito ? 'active' : '';
+    const favoritoIcon = isFavorito ? '⭐' : '☆';
+    
+    const hasAnotacao = anotacoes[item.id] && anotacoes[item.id].trim() !== '';
+    const itemTags = tags[item.id] || [];
+    const linkedItems = correlacoes[item.id] || [];
+    
+    const orgaoInfo = item.orgao ? ` - ${item.orgao}` : '';
+    const canceladoClass = item.cancelada ? 'cancelado' : '';
+    
+    // ✅ CORREÇÃO: Suportar tanto jurisprudência quanto teses
+    let tituloExibido = '';
+    let textoExibido = '';
+    let numeroExibido = '';
+    
+    // Identificar se é tese ou jurisprudência
+    if (item.source === 'tese' || item.tema) {
+        // É uma tese vinculante
+        numeroExibido = `Tema ${item.tema}`;
+        tituloExibido = item.numero_processo || 'Sem processo';
+        textoExibido = (item.tese || 'Sem tese disponível').substring(0, 200) + '...';
+    } else {
+        // É jurisprudência (súmula, OJ, precedente) ou informativo
+        numeroExibido = item.numero || item.nome || 'N/A';
+        tituloExibido = item.titulo || '';
+        textoExibido = (item.texto || '').substring(0, 200) + '...';
+    }
+    
+    if (termosDestaque.length > 0) {
+        // Uma única expressão evita destacar dentro do HTML já inserido
+        const padrao = termosDestaque
+            .map(termo => termo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        const regex = new RegExp(`(${padrao})`, 'gi');
+        tituloExibido = tituloExibido.replace(regex, '<span class="highlight">$1</span>');
+        textoExibido = textoExibido.replace(regex, '<span class="highlight">$1</span>');
+    }
+    
+    return `
+        <div class="card ${canceladoClass}" data-id="${item.id}" onclick="abrirDetalhes('${item.id}')">
+            <div class="card-header">
+                <div style="display: flex; align-items: center; gap: 10px;">
+                    <div class="card-number">#${numeroExibido}</div>
+                    ${item.cancelada ? '<span class="canceled-badge">❌ CANCELADA</span>' : ''}
+                </div>
+                <div class="card-badges">
+                    <div class="card-badge ${tipoInfo.badge}">${tipoInfo.display}${orgaoInfo}</div>
+                </div>
+            </div>
+            
+            ${hasAnotacao || linkedItems.length > 0 ? `
+                <div class="card-indicators">
+                    ${hasAnotacao ? '<div class="indicator indicator-note">📝 Anotação</div>' : ''}
+                    ${linkedItems.length > 0 ? `<div class="indicator indicator-linked">🔗 ${linkedItems.length} correlações</div>` : ''}
+                </div>
+            ` : ''}
+            
+            <div class="card-title">${tituloExibido}</div>
+            <div class="card-preview">${textoExibido}</div>
+            
+            ${itemTags.length > 0 ? `
+                <div class="card-tags">
+                    ${itemTags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                </div>
+            ` : ''}
+            
+            ${item.cancelada && item.referencia ? `
+                <div style="margin-top: 10px; color: var(--danger); font-size: 0.85em;">
+                    📅 ${item.referencia}
+                </div>
+            ` : ''}
+            
+            <div class="card-footer">
+                <div class="card-actions">
+                    <button class="card-action favorite ${favoritoClass}" 
+                            onclick="event.stopPropagation(); toggleFavorito('${item.id}')" 
+                            title="Favoritar">
+                        ${favoritoIcon}
+                    </button>
+                    <button class="card-action" 
+                            onclick="event.stopPropagation(); abrirModalAnotacao('${item.id}')" 
+                            title="Adicionar anotação">
+                        📝
+                    </button>
+                    <button class="card-action" 
+                            onclick="event.stopPropagation(); copiarItem('${item.id}')" 
+                            title="Copiar texto">
+                        📋
+                    </button>
+                    <button class="card-action" 
+                            onclick="event.stopPropagation(); compartilharItem('${item.id}')" 
+                            title="Compartilhar">
+                        🔗
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ========== FAVORITOS ==========
+function toggleFavorito(id) {
+    const index = favoritos.indexOf(id);
+    if (index > -1) {
+        favoritos.splice(index, 1);
+        mostrarToast('Removido dos favoritos', 'warning');
+    } else {
+        favoritos.push(id);
+        mostrarToast('Adicionado aos favoritos', 'success');
+    }
+    
+    armazenamento.setItem('juristst_favoritos', JSON.stringify(favoritos));
+    
+    // Na aba Favoritos o item sai da lista; nas demais só o card muda
+    if (currentTab === 'favoritos') {
+        if (index === -1 || removerCardDaLista('favoritos', id) === 0) {
+            renderizarFavoritos();
+        }
+    } else {
+        atualizarCardsItem(id);
+    }
+}
+
+function toggleFavoritoModal() {
+    if (!currentModalItem) return;
+    toggleFavorito(currentModalItem.id);
+    
+    const btn = document.getElementById('favoritoModalBtn');
+    const isFavorito = favoritos.includes(currentModalItem.id);
+    btn.textContent = isFavorito ? '⭐ Remover Favorito' : '⭐ Favoritar';
+}
+
+function renderizarFavoritos() {
+    try {
+        const content = document.getElementById('favoritosContent');
+        
+        if (!content) {
+            console.warn('⚠️ Elemento favoritosContent não encontrado');
+            return;
+        }
+        
+        if (favoritos.length === 0) {
+            content.innerHTML = `
+                <div class="empty-state">
+                    <h3>⭐ Nenhum favorito ainda</h3>
+                    <p>Adicione itens aos favoritos clicando na estrela</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const itensFavoritos = ordenarItens(
+            favoritos
+                .map(favId => todosItens.find(i => i.id === favId))
+                .filter(item => item !== undefined),
+            ordenacaoDaAba('favoritos')
+        );
+        
+        if (itensFavoritos.length === 0) {
+            content.innerHTML = `
+                <div class="empty-state">
+                    <h3>⭐ Nenhum favorito encontrado</h3>
+                    <p>Os itens favoritados foram removidos ou não existem mais</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const containerClass = viewMode === 'grid' ? 'results-grid' : 'results-list';
+        renderizarListaPaginada('favoritos', content, itensFavoritos, criarCardHTML, containerClass);
+    } catch (error) {
+        console.error('❌ Erro ao renderizar favoritos:', error);
+    }
+}
+
+// ========== ANOTAÇÕES ==========
+function salvarAnotacao(id, texto) {
+    if (texto.trim()) {
+        anotacoes[id] = texto;
+        datasAnotacoes[id] = new Date().toISOString();
+    } else {
+        delete anotacoes[id];
+        delete datasAnotacoes[id];
+    }
+    armazenamento.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
+    armazenamento.setItem('juristst_anotacoes_datas', JSON.stringify(datasAnotacoes));
+    atualizarItemNoIndice(id);
+    atualizarCardsItem(id);
+    
+    // Mostrar indicador de salvamento
+    const savedIndicator = document.querySelector('.annotation-saved');
+    if (savedIndicator) {
+        savedIndicator.classList.add('show');
+        setTimeout(() => {
+            savedIndicator.classList.remove('show');
+        }, 2000);
+    }
+}
+
+function abrirModalAnotacao(id) {
+    const item = todosItens.find(i => i.id === id);
+    if (!item) return;
+    
+    abrirDetalhes(id);
+    
+    // Focar no campo de anotação após abrir o modal
+    setTimeout(() => {
+        const textarea = document.getElementById('annotationTextarea');
+        if (textarea) {
+            textarea.focus();
+        }
+    }, 300);
+}
+
+// ========== TAGS E CORRELAÇÕES ==========
+function adicionarTag(id, tag) {
+    if (!tags[id]) {
+        tags[id] = [];
+    }
+    
+    if (!tags[id].includes(tag) && tag.trim()) {
+        tags[id].push(tag.trim());
+        armazenamento.setItem('juristst_tags', JSON.stringify(tags));
+        renderizarTags(id);
+        atualizarCardsItem(id);
+    }
+}
+
+function removerTag(id, tag) {
+    if (tags[id]) {
+        tags[id] = tags[id].filter(t => t !== tag);
+        if (tags[id].length === 0) {
+            delete tags[id];
+        }
+        armazenamento.setItem('juristst_tags', JSON.stringify(tags));
+        renderizarTags(id);
+        atualizarCardsItem(id);
+    }
+}
+
+function renderizarTags(id) {
+    const tagsContainer = document.getElementById('tagsList');
+    if (!tagsContainer) return;
+    
+    const itemTags = tags[id] || [];
+    
+    if (itemTags.length === 0) {
+        tagsContainer.innerHTML = '<p style="color: var(--text-light);">Nenhuma tag adicionada</p>';
+        return;
+    }
+    
+    tagsContainer.innerHTML = itemTags.map(tag => `
+        <span class="tag-item">
+            ${tag}
+            <button class="tag-remove" onclick="removerTag('${id}', '${tag}')">×</button>
         </span>
     `).join('');
 }
 
-function adicionarCorrelacao(id1, id2) {
+/**
+ * Chave da nota de uma correlação: a mesma nos dois sentidos
+ * @param {string} id1
+ * @param {string} id2
+ * @returns {string}
+ */
+function chaveCorrelacao(id1, id2) {
+    return [id1, id2].sort().join('|');
+}
+
+function adicionarCorrelacao(id1, id2, nota = '') {
     if (!correlacoes[id1]) {
         correlacoes[id1] = [];
     }
@@ -780,7 +3156,12 @@ function adicionarCorrelacao(id1, id2) {
         correlacoes[id2].push(id1);
     }
     
-    localStorage.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
+    if (nota && nota.trim()) {
+        notasCorrelacoes[chaveCorrelacao(id1, id2)] = nota.trim();
+        armazenamento.setItem('juristst_notas_correlacoes', JSON.stringify(notasCorrelacoes));
+    }
+    
+    armazenamento.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
 }
 
 function removerCorrelacao(id1, id2) {
@@ -797,10 +3178,223 @@ function removerCorrelacao(id1, id2) {
         }
     }
     
-    localStorage.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
+    if (notasCorrelacoes[chaveCorrelacao(id1, id2)] !== undefined) {
+        delete notasCorrelacoes[chaveCorrelacao(id1, id2)];
+        armazenamento.setItem('juristst_notas_correlacoes', JSON.stringify(notasCorrelacoes));
+    }
+    
+    armazenamento.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
+}
+
+/**
+ * HTML da seção "Itens Relacionados" com o seletor "Vincular item"
+ * @param {string} id - Item aberto no modal
+ * @returns {string}
+ */
+function criarSecaoCorrelacoes(id) {
+    return `
+        <div class="related-section">
+            <div class="related-header">
+                <div class="related-title">
+                    🔗 Itens Relacionados
+                </div>
+                <button class="btn btn-secondary btn-sm" onclick="alternarSeletorVinculo()">
+                    ➕ Vincular item
+                </button>
+            </div>
+            <div class="vinculo-picker" id="vinculoPicker" style="display: none;">
+                <input type="text" id="vinculoBusca" class="tags-input" 
+                       placeholder="Súmula, OJ, PN, tese ou informativo (ex: Súmula 331, Tema 5, terceirização)" 
+                       oninput="buscarItensVinculo('${id}', this.value)">
+                <input type="text" id="vinculoNota" class="tags-input" 
+                       placeholder="Nota sobre a relação (opcional)">
+                <div class="vinculo-resultados" id="vinculoResultados"></div>
+            </div>
+            <div class="related-list" id="correlacoesList"></div>
+        </div>
+    `;
+}
+
+function renderizarCorrelacoes(id) {
+    const container = document.getElementById('correlacoesList');
+    if (!container) return;
+    
+    const relacionados = (correlacoes[id] || [])
+        .map(relId => todosItens.find(i => i.id === relId))
+        .filter(Boolean);
+    
+    if (relacionados.length === 0) {
+        container.innerHTML = '<div class="related-empty">Nenhum item vinculado ainda.</div>';
+        return;
+    }
+    
+    container.innerHTML = relacionados.map(relItem => {
+        const nota = notasCorrelacoes[chaveCorrelacao(id, relItem.id)];
+        return `
+            <div class="related-item" onclick="abrirDetalhes('${relItem.id}')">
+                <div class="related-item-header">
+                    <span class="related-item-title">${escaparHtml(rotuloCitacao(relItem))}${relItem.cancelada ? ' ❌' : ''}</span>
+                    <span class="related-item-actions">
+                        <button class="related-item-action" title="Editar nota" 
+                                onclick="event.stopPropagation(); editarNotaCorrelacao('${id}', '${relItem.id}')">✏️</button>
+                        <button class="related-item-action" title="Remover vínculo" 
+                                onclick="event.stopPropagation(); desvincularItem('${id}', '${relItem.id}')">×</button>
+                    </span>
+                </div>
+                <div class="related-item-preview">${escaparHtml(truncateText(relItem.titulo || relItem.tese || relItem.nome || '', 100))}</div>
+                ${nota ? `<div class="related-item-note">💬 ${escaparHtml(nota)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function alternarSeletorVinculo() {
+    const picker = document.getElementById('vinculoPicker');
+    if (!picker) return;
+    
+    const abrir = picker.style.display === 'none';
+    picker.style.display = abrir ? 'block' : 'none';
+    if (abrir) {
+        document.getElementById('vinculoBusca').focus();
+    }
+}
+
+/**
+ * Candidatos do seletor: citação ("OJ 394 SBDI-1", "Tema 5") ou busca textual
+ * @param {string} id - Item aberto no modal
+ * @param {string} texto
+ */
+function buscarItensVinculo(id, texto) {
+    const container = document.getElementById('vinculoResultados');
+    if (!container) return;
+    
+    const jaVinculados = new Set([id, ...(correlacoes[id] || [])]);
+    const universo = todosItens.filter(item => !jaVinculados.has(item.id));
+    const consulta = texto.trim();
+    let candidatos = [];
+    
+    if (consulta) {
+        const citacao = interpretarCitacao(consulta);
+        const tema = normalizarTexto(consulta).match(/^tema\s*(\d+)$/);
+        
+        if (citacao) {
+            candidatos = resolverCitacao(citacao).filter(item => !jaVinculados.has(item.id));
+        } else if (tema) {
+            candidatos = universo.filter(item => item.source === 'tese' && String(item.tema) === tema[1]);
+        } else {
+            try {
+                const relevancia = avaliarConsulta(expandirSinonimos(analisarConsulta(consulta)), universo);
+                if (relevancia) {
+                    candidatos = universo
+                        .filter(item => relevancia.has(item.id))
+                        .sort((a, b) => relevancia.get(b.id) - relevancia.get(a.id));
+                }
+            } catch (error) {
+                // Consulta ainda incompleta ("(" sem fechar): aguardar mais digitação
+                candidatos = [];
+            }
+        }
+    }
+    
+    container.innerHTML = candidatos.slice(0, 8).map(item => `
+        <div class="vinculo-resultado" onclick="vincularItem('${id}', '${item.id}')">
+            <strong>${escaparHtml(rotuloCitacao(item))}</strong>
+            <span>${escaparHtml(truncateText(item.titulo || item.tese || item.nome || '', 90))}</span>
+        </div>
+    `).join('') || (consulta ? '<div class="related-empty">Nenhum item encontrado.</div>' : '');
+}
+
+function vincularItem(id, idRelacionado) {
+    const nota = document.getElementById('vinculoNota').value;
+    adicionarCorrelacao(id, idRelacionado, nota);
+    
+    document.getElementById('vinculoBusca').value = '';
+    document.getElementById('vinculoNota').value = '';
+    document.getElementById('vinculoResultados').innerHTML = '';
+    document.getElementById('vinculoPicker').style.display = 'none';
+    
+    renderizarCorrelacoes(id);
+    atualizarItensVinculados(id, idRelacionado);
+    mostrarToast('Itens vinculados', 'success');
+}
+
+function desvincularItem(id, idRelacionado) {
+    removerCorrelacao(id, idRelacionado);
+    renderizarCorrelacoes(id);
+    atualizarItensVinculados(id, idRelacionado);
+    mostrarToast('Vínculo removido', 'success');
+}
+
+function editarNotaCorrelacao(id, idRelacionado) {
+    const chave = chaveCorrelacao(id, idRelacionado);
+    const nota = prompt('Nota sobre a relação (deixe em branco para remover):', notasCorrelacoes[chave] || '');
+    if (nota === null) return;
+    
+    if (nota.trim()) {
+        notasCorrelacoes[chave] = nota.trim();
+    } else {
+        delete notasCorrelacoes[chave];
+    }
+    armazenamento.setItem('juristst_notas_correlacoes', JSON.stringify(notasCorrelacoes));
+    renderizarCorrelacoes(id);
+}
+
+// Os cards mostram o total de correlações; as listas continuam na página em que estavam
+function atualizarItensVinculados(id, idRelacionado) {
+    atualizarCardsItem(id);
+    atualizarCardsItem(idRelacionado);
+    if (currentTab === 'mapa') renderizarMapa();
 }
 
 // ========== MODAL DE DETALHES ==========
+/**
+ * Seção "Redações anteriores": cada versão substituída por uma atualização, com diff para o texto atual
+ * @param {Object} item
+ * @returns {string}
+ */
+function renderizarRedacoesAnteriores(item) {
+    const versoes = historicoRedacoes[item.id] || [];
+    if (versoes.length === 0) return '';
+    
+    const formatarData = iso => iso ? new Date(iso).toLocaleDateString('pt-BR') : null;
+    
+    // Mais recente primeiro
+    return `
+        <div class="modal-section">
+            <h3>📜 Redações anteriores (${versoes.length})</h3>
+            ${[...versoes].reverse().map(versao => {
+                const periodo = versao.vigenteDesde
+                    ? `${formatarData(versao.vigenteDesde)} a ${formatarData(versao.substituidaEm)}`
+                    : `até ${formatarData(versao.substituidaEm)}`;
+                const tituloMudou = (versao.titulo || '').trim() !== (item.titulo || '').trim();
+                return `
+                    <details class="redacao-anterior">
+                        <summary>
+                            Redação vigente ${periodo}
+                            ${versao.cancelada ? '<span class="canceled-badge">❌ CANCELADA</span>' : ''}
+                            ${versao.removida ? '<span class="canceled-badge">🗄️ RETIRADA DA BASE</span>' : ''}
+                        </summary>
+                        ${tituloMudou ? `
+                            <div class="redacao-campo">
+                                <strong>Título:</strong> ${diffParaHtml(diferencaPalavras(versao.titulo, item.titulo))}
+                            </div>
+                        ` : ''}
+                        <div class="redacao-campo">
+                            <strong>Texto desta redação:</strong>
+                            <div class="modal-text">${formatarTexto(versao.texto || 'Sem conteúdo')}</div>
+                        </div>
+                        <div class="redacao-campo">
+                            <strong>Diferenças para o texto atual:</strong>
+                            <div class="modal-text redacao-diff">${diffParaHtml(diferencaPalavras(versao.texto, item.texto))}</div>
+                        </div>
+                        ${versao.referencia ? `<div class="redacao-campo"><small>${escaparHtml(versao.referencia)}</small></div>` : ''}
+                    </details>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
 function abrirDetalhes(id) {
     console.log('🔍 abrirDetalhes chamado com ID:', id);
     const item = todosItens.find(i => i.id === id);
@@ -826,6 +3420,7 @@ function abrirDetalhes(id) {
         'oj': 'OJ',
         'precedente': 'Precedente Normativo',
         'informativo': 'Informativo',
+        'decisao': 'Decisão',
         'irr': 'IRR',
         'irdr': 'IRDR',
         'iac': 'IAC'
@@ -839,8 +3434,8 @@ function abrirDetalhes(id) {
         return;
     }
     
-    // Para informativos e documentos uploaded
-    if (item.source === 'informativo') {
+    // Para informativos e documentos uploaded (decisões separadas seguem o layout dos verbetes)
+    if (item.source === 'informativo' && item.tipo !== 'decisao') {
         modalTitle.innerHTML = `
             ${tipoDisplay} ${item.nome || ''}
         `;
@@ -858,11 +3453,26 @@ function abrirDetalhes(id) {
                     <div style="margin-bottom: 15px;">
                         <strong>Tamanho:</strong> ${item.tamanho}
                     </div>
+                    ${item.paginasOcr ? `
+                        <div style="margin-bottom: 15px;">
+                            <strong>🔍 Texto por OCR:</strong> páginas ${item.paginasOcr.map((ocr, index) => (ocr ? index + 1 : null)).filter(Boolean).join(', ')}
+                            <br><small>Reconhecimento automático de imagem: pode conter erros de leitura.</small>
+                        </div>
+                    ` : ''}
         `;
         
         // Se for PDF, mostrar visualizador
         if (item.nome && item.nome.toLowerCase().endsWith('.pdf')) {
-            if (item.conteudo) {
+            if (item.pdfArmazenado) {
+                bodyHtml += `
+                    <div style="margin-top: 15px;">
+                        <iframe id="visualizadorPdf" 
+                                style="width: 100%; height: 500px; border: 1px solid #ddd; border-radius: 4px;"
+                                frameborder="0">
+                        </iframe>
+                    </div>
+                `;
+            } else if (item.conteudo) {
                 bodyHtml += `
                     <div style="margin-top: 15px;">
                         <iframe src="${item.conteudo}" 
@@ -890,6 +3500,23 @@ ${item.texto}
         
         bodyHtml += `</div></div>`;
         
+        const decisoes = todosItens.filter(decisao => decisao.informativoId === item.id);
+        if (decisoes.length > 0) {
+            bodyHtml += `
+                <div class="modal-section">
+                    <h3>⚖️ Decisões (${decisoes.length})</h3>
+                    <ul class="decisoes-informativo">
+                        ${decisoes.map(decisao => `
+                            <li>
+                                <a href="#" onclick="abrirDetalhes('${decisao.id}'); return false;">${escaparHtml(decisao.titulo)}</a>
+                                <small>${escaparHtml(decisao.processo)} · ${escaparHtml(decisao.orgaoJulgador)}${decisao.pagina ? ` · p. ${decisao.pagina}` : ''}</small>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+        
         // Seção de Anotações
         const anotacao = anotacoes[item.id] || '';
         bodyHtml += `
@@ -933,7 +3560,11 @@ ${item.texto}
             </div>
         `;
         
+        bodyHtml += criarSecaoCorrelacoes(item.id);
+        
         modalBody.innerHTML = bodyHtml;
+        renderizarCorrelacoes(item.id);
+        if (item.pdfArmazenado) exibirPdfArmazenado(item.id);
         modal.style.display = 'flex';
         modal.classList.add('active');
         return;
@@ -984,6 +3615,8 @@ ${item.texto}
         </div>
     `;
     
+    bodyHtml += renderizarRedacoesAnteriores(item);
+    
     // Seção de Anotações
     const anotacao = anotacoes[item.id] || '';
     bodyHtml += `
@@ -1022,453 +3655,1312 @@ ${item.texto}
     `;
     
     // Seção de Itens Relacionados
-    const relacionados = correlacoes[item.id] || [];
-    if (relacionados.length > 0) {
+    bodyHtml += criarSecaoCorrelacoes(item.id);
+    
+    bodyHtml += renderizarDispositivosItem(item);
+    
+    // Citações extraídas dos textos (não editáveis, independentes das correlações)
+    bodyHtml += renderizarListaCitacoes('📚 Cita', citacoesAutomaticas.cita[item.id], 'cita');
+    bodyHtml += renderizarListaCitacoes('📚 Citado por', citacoesAutomaticas.citadoPor[item.id], 'citadoPor');
+    
+    // Informações adicionais
+    if (item.referencia || item.orgao || item.tipo === 'decisao') {
         bodyHtml += `
-            <div class="related-section">
-                <div class="related-title">
-                    🔗 Itens Relacionados
+            <div style="background: var(--bg-light); padding: 15px; border-radius: 8px; margin-top: 20px;">
+                ${item.referencia ? `
+                    <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                        <span style="font-weight: 600;">Referência:</span>
+                        <span>${item.referencia}</span>
+                    </div>
+                ` : ''}
+                ${item.orgao ? `
+                    <div style="display: flex; gap: 10px;">
+                        <span style="font-weight: 600;">Órgão:</span>
+                        <span>${item.orgao}</span>
+                    </div>
+                ` : ''}
+                ${renderizarMetadadosReferencia(item)}
+                ${item.tipo === 'decisao' ? renderizarOrigemDecisao(item) : ''}
+            </div>
+        `;
+    }
+    
+    modalBody.innerHTML = bodyHtml;
+    modal.classList.add('active');
+    
+    // Renderizar tags e correlações após criar o HTML
+    renderizarTags(item.id);
+    renderizarCorrelacoes(item.id);
+    
+    // Salvar texto atual no modal para cópia
+    modal.dataset.textoCompleto = item.texto_completo || item.texto || '';
+    
+    // CRÍTICO: Abrir o modal com display flex
+    modal.style.display = 'flex';
+    modal.classList.add('active');
+    
+    console.log('✅ Modal aberto para:', item.id);
+}
+
+// ✅ CORREÇÃO 4: Modal de Teses com fechamento correto e anotações/tags
+function abrirModalTese(tese) {
+    console.log('🎯 abrirModalTese chamado para:', tese.id, '| Tema:', tese.tema);
+    
+    currentModalItem = tese;
+    
+    const modal = document.getElementById('modal');
+    const modalTitle = document.getElementById('modalTitle');
+    const modalBody = document.getElementById('modalBody');
+    
+    // Título
+    const tipoBadge = {
+        'irr': '#3498db',
+        'irdr': '#e74c3c',
+        'iac': '#f39c12',
+        'rrag': '#9b59b6'
+    }[tese.tipo?.toLowerCase()] || '#3498db';
+    
+    modalTitle.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 15px;">
+            <span class="result-type" style="background: ${tipoBadge}; padding: 8px 16px; border-radius: 8px;">
+                ${tese.tipo || 'IRR'}
+            </span>
+            <span>Tema ${tese.tema}</span>
+        </div>
+    `;
+    
+    // Corpo do modal
+    let html = `
+        <div class="modal-section">
+            <h3 class="modal-section-title">📋 Processo Representativo</h3>
+            <p class="modal-text"><strong>${tese.numero_processo || 'Não informado'}</strong></p>
+            ${tese.acordao ? `<p class="modal-text" style="color: #7f8c8d;">${tese.acordao}</p>` : ''}
+        </div>
+    `;
+    
+    if (tese.relator) {
+        html += `
+            <div class="modal-section">
+                <h3 class="modal-section-title">👤 Relator(a)</h3>
+                <p class="modal-text">${tese.relator}</p>
+            </div>
+        `;
+    }
+    
+    html += `
+        <div class="modal-section">
+            <h3 class="modal-section-title">⚖️ Tese Jurídica</h3>
+            <div class="modal-text" style="text-align: justify; line-height: 1.8;">
+                ${tese.tese || 'Tese não disponível'}
+            </div>
+        </div>
+    `;
+    
+    if (tese.ultimo_movimento) {
+        html += `
+            <div class="modal-section">
+                <h3 class="modal-section-title">📊 Último Movimento</h3>
+                <p class="modal-text">${tese.ultimo_movimento}</p>
+            </div>
+        `;
+    }
+    
+    if (tese.removida) {
+        html += `
+            <div class="modal-section" style="background: #f8d7da; border-left: 4px solid #e74c3c;">
+                <h3 class="modal-section-title" style="color: #721c24;">🗑️ Removida do cadastro</h3>
+                <p class="modal-text" style="color: #721c24;">
+                    Este tema não veio na última atualização das teses${tese.removidaEm ? ` (${new Date(tese.removidaEm).toLocaleDateString('pt-BR')})` : ''}.
+                    Ele continua aqui para não perder seus favoritos, anotações e tags.
+                </p>
+            </div>
+        `;
+    }
+    
+    if (tese.decisao_suspensao) {
+        html += `
+            <div class="modal-section" style="background: #fff3cd; border-left: 4px solid #f39c12;">
+                <h3 class="modal-section-title" style="color: #856404;">⚠️ Decisão de Suspensão</h3>
+                <p class="modal-text" style="color: #856404;">
+                    Este tema possui decisão de suspensão de processos
+                </p>
+            </div>
+        `;
+    }
+    
+    // ✅ ADICIONANDO ANOTAÇÕES PARA TESES
+    const anotacao = anotacoes[tese.id] || '';
+    html += `
+        <div class="annotation-section">
+            <div class="annotation-header">
+                <div class="annotation-title">
+                    📝 Anotações Pessoais
                 </div>
-                <div class="related-list">
-                    ${relacionados.map(relId => {
-                        const relItem = todosItens.find(i => i.id === relId);
-                        if (!relItem) return '';
-                        
-                        const relTipo = {
-                            'sumula': 'Súmula',
-                            'oj': 'OJ',
-                            'precedente': 'Precedente',
-                            'informativo': 'Informativo',
-                            'irr': 'IRR',
-                            'irdr': 'IRDR',
-                            'iac': 'IAC'
-                        }[relItem.tipo] || relItem.tipo;
-                        
-                        return `
-                            <div class="related-item" onclick="abrirDetalhes('${relId}')">
-                                <div class="related-item-header">
-                                    <span class="related-item-title">${relTipo} ${relItem.numero || relItem.nome || ''}</span>
-                                    <span class="related-item-type">${relTipo}</span>
-                                </div>
-                                <div class="related-item-preview">${(relItem.titulo || '').substring(0, 100)}...</div>
-                            </div>
-                        `;
-                    }).join('')}
+            </div>
+            <textarea id="annotationTextarea" class="annotation-textarea" 
+                      placeholder="Adicione suas anotações sobre esta tese..." 
+                      onchange="salvarAnotacao('${tese.id}', this.value)">${anotacao}</textarea>
+            <div class="annotation-saved">✅ Anotação salva</div>
+        </div>
+    `;
+    
+    // ✅ ADICIONANDO TAGS PARA TESES
+    const itemTags = tags[tese.id] || [];
+    html += `
+        <div class="tags-section">
+            <div class="tags-header">
+                <div class="tags-title">
+                    🏷️ Tags
+                </div>
+            </div>
+            <div class="tags-input-group">
+                <input type="text" id="tagInput" class="tags-input" 
+                       placeholder="Digite uma tag e pressione Enter" 
+                       onkeypress="if(event.key==='Enter'){adicionarTag('${tese.id}', this.value); this.value=''}">
+                <button class="btn btn-primary btn-sm" 
+                        onclick="adicionarTag('${tese.id}', document.getElementById('tagInput').value); document.getElementById('tagInput').value=''">
+                    Adicionar
+                </button>
+            </div>
+            <div class="tags-list" id="tagsList"></div>
+        </div>
+    `;
+    
+    html += criarSecaoCorrelacoes(tese.id);
+    
+    html += renderizarListaCitacoes('📚 Cita', citacoesAutomaticas.cita[tese.id], 'cita');
+    
+    // Links - VALIDAR SE EXISTEM E SÃO VÁLIDOS
+    if ((tese.link_processo && tese.link_processo.startsWith('http')) || 
+        (tese.link_pdf && tese.link_pdf.startsWith('http'))) {
+        html += `
+            <div class="modal-section">
+                <h3 class="modal-section-title">🔗 Links Oficiais</h3>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+        `;
+        
+        if (tese.link_processo && tese.link_processo.startsWith('http')) {
+            html += `
+                <a href="${tese.link_processo}" target="_blank" class="btn btn-sm btn-secondary">
+                    📄 Ver Processo no TST
+                </a>
+            `;
+        }
+        
+        if (tese.link_pdf && tese.link_pdf.startsWith('http')) {
+            html += `
+                <a href="${tese.link_pdf}" target="_blank" class="btn btn-sm btn-secondary">
+                    📑 Baixar PDF
+                </a>
+            `;
+        }
+        
+        html += `
                 </div>
             </div>
         `;
     }
     
-    // Informações adicionais
-    if (item.referencia || item.orgao) {
-        bodyHtml += `
-            <div style="background: var(--bg-light); padding: 15px; border-radius: 8px; margin-top: 20px;">
-                ${item.referencia ? `
-                    <div style="display: flex; gap: 10px; margin-bottom: 10px;">
-                        <span style="font-weight: 600;">Referência:</span>
-                        <span>${item.referencia}</span>
-                    </div>
-                ` : ''}
-                ${item.orgao ? `
-                    <div style="display: flex; gap: 10px;">
-                        <span style="font-weight: 600;">Órgão:</span>
-                        <span>${item.orgao}</span>
-                    </div>
-                ` : ''}
-            </div>
-        `;
+    modalBody.innerHTML = html;
+    
+    // Renderizar tags e correlações após inserir HTML
+    renderizarTags(tese.id);
+    renderizarCorrelacoes(tese.id);
+    
+    // Atualizar botão de favorito
+    const isFavorito = favoritos.includes(tese.id);
+    const favBtn = document.getElementById('favoritoModalBtn');
+    if (favBtn) {
+        favBtn.textContent = isFavorito ? '⭐ Remover dos Favoritos' : '⭐ Favoritar';
     }
     
-    modalBody.innerHTML = bodyHtml;
+    // ✅ ABERTURA CORRETA DO MODAL
+    modal.style.display = 'flex';
     modal.classList.add('active');
     
-    // Renderizar tags após criar o HTML
-    renderizarTags(item.id);
+    console.log('✅ Modal de tese aberto:', tese.id);
+}
+
+// PDF guardado como Blob: o iframe recebe uma URL temporária, liberada ao fechar o modal
+let urlPdfAberto = null;
+
+function exibirPdfArmazenado(id) {
+    carregarPdf(id).then(blob => {
+        const iframe = document.getElementById('visualizadorPdf');
+        if (!iframe) return;
+        if (!blob) {
+            iframe.outerHTML = `
+                <div style="padding: 20px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px;">
+                    ⚠️ <strong>PDF não encontrado no armazenamento do navegador</strong>
+                </div>
+            `;
+            return;
+        }
+        liberarUrlPdf();
+        urlPdfAberto = URL.createObjectURL(blob);
+        iframe.src = urlPdfAberto;
+    }).catch(error => {
+        console.error('❌ Erro ao abrir PDF:', error);
+        mostrarToast('Erro ao abrir o PDF salvo', 'error');
+    });
+}
+
+function liberarUrlPdf() {
+    if (urlPdfAberto) {
+        URL.revokeObjectURL(urlPdfAberto);
+        urlPdfAberto = null;
+    }
+}
+
+// ✅ CORREÇÃO 4: Fechamento robusto do modal
+function fecharModal() {
+    const modal = document.getElementById('modal');
+    const modalBody = document.getElementById('modalBody');
     
-    // Salvar texto atual no modal para cópia
-    modal.dataset.textoCompleto = item.texto_completo || item.texto || '';
+    if (!modal) {
+        console.error('❌ Modal não encontrado');
+        return;
+    }
     
-    // CRÍTICO: Abrir o modal com display flex
-    modal.style.display = 'flex';
-    modal.classList.add('active');
+    console.log('🔄 Fechando modal...');
     
-    console.log('✅ Modal aberto para:', item.id);
+    // 1. Limpar iframes PRIMEIRO
+    if (modalBody) {
+        const iframes = modalBody.querySelectorAll('iframe');
+        iframes.forEach(iframe => {
+            iframe.src = 'about:blank';
+            iframe.remove();
+        });
+    }
+    liberarUrlPdf();
+    
+    // 2. Remover classe active (inicia animação)
+    modal.classList.remove('active');
+    
+    // 3. Aguardar animação antes de esconder completamente
+    setTimeout(() => {
+        modal.style.display = 'none';
+        
+        // 4. Limpar conteúdo do modal
+        if (modalBody) {
+            modalBody.innerHTML = '';
+        }
+        
+        // 5. Resetar estado
+        currentModalItem = null;
+        
+        console.log('✅ Modal fechado e limpo');
+    }, 300); // Tempo da animação CSS
 }
 
-// ✅ CORREÇÃO 4: Modal de Teses com fechamento correto e anotações/tags
-function abrirModalTese(tese) {
-    console.log('🎯 abrirModalTese chamado para:', tese.id, '| Tema:', tese.tema);
+// ========== UPLOAD DE ARQUIVOS ==========
+
+/**
+ * Extração na própria página (sem Worker, ex.: index.html aberto via file://)
+ * @returns {Promise<string[]>} Texto de cada página
+ */
+async function extrairTextoPDF(file, aoProgredir, cancelado) {
+    console.log('📄 Iniciando extração de texto do PDF:', file.name);
     
-    currentModalItem = tese;
+    const paginas = await extrairPaginasPdf(pdfjsLib, await file.arrayBuffer(), aoProgredir, cancelado);
     
-    const modal = document.getElementById('modal');
-    const modalTitle = document.getElementById('modalTitle');
-    const modalBody = document.getElementById('modalBody');
+    console.log(`✅ Extração concluída: ${paginas.length} páginas`);
+    return paginas;
+}
+
+function handleFileSelect(event, tipo) {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
     
-    // Título
-    const tipoBadge = {
-        'irr': '#3498db',
-        'irdr': '#e74c3c',
-        'iac': '#f39c12',
-        'rrag': '#9b59b6'
-    }[tese.tipo?.toLowerCase()] || '#3498db';
+    enfileirarArquivos(Array.from(files), tipo);
+    event.target.value = ''; // Permite selecionar o mesmo arquivo de novo
+}
+
+function handleDrop(event, tipo) {
+    event.preventDefault();
+    event.target.closest('.upload-area').classList.remove('dragover');
     
-    modalTitle.innerHTML = `
-        <div style="display: flex; align-items: center; gap: 15px;">
-            <span class="result-type" style="background: ${tipoBadge}; padding: 8px 16px; border-radius: 8px;">
-                ${tese.tipo || 'IRR'}
-            </span>
-            <span>Tema ${tese.tema}</span>
-        </div>
-    `;
+    const files = event.dataTransfer.files;
+    if (!files || files.length === 0) return;
     
-    // Corpo do modal
-    let html = `
-        <div class="modal-section">
-            <h3 class="modal-section-title">📋 Processo Representativo</h3>
-            <p class="modal-text"><strong>${tese.numero_processo || 'Não informado'}</strong></p>
-            ${tese.acordao ? `<p class="modal-text" style="color: #7f8c8d;">${tese.acordao}</p>` : ''}
-        </div>
-    `;
+    enfileirarArquivos(Array.from(files), tipo);
+}
+
+function handleDragOver(event) {
+    event.preventDefault();
+    event.target.closest('.upload-area').classList.add('dragover');
+}
+
+function handleDragLeave(event) {
+    event.target.closest('.upload-area').classList.remove('dragover');
+}
+
+// ========== FILA DE INGESTÃO DE PDFs ==========
+// Um arquivo por vez, extraído em um Web Worker (extrator-pdf.js). A fila só vive na
+// sessão: o que não terminou precisa ser enviado de novo depois de recarregar a página
+
+let filaIngestao = []; // [{id, arquivo, nome, tipo, estado, pagina, totalPaginas, erro, extracao?, metadados?}]
+let ingestaoAtiva = null; // {tarefa, cancelar()}
+let contadorIngestao = 0;
+
+// Cada aba mostra a fila dos seus arquivos
+const CONTAINERS_FILA_INGESTAO = {
+    informativo: 'filaIngestao',
+    tese: 'filaIngestaoTeses'
+};
+
+const ESTADOS_PENDENTES_INGESTAO = ['aguardando', 'extraindo', 'ocr', 'revisao', 'salvando'];
+
+const ROTULOS_ESTADO_INGESTAO = {
+    aguardando: '⏳ Na fila',
+    extraindo: '📖 Extraindo texto',
+    ocr: '🔍 OCR das páginas digitalizadas',
+    revisao: '📝 Aguardando revisão',
+    salvando: '💾 Salvando',
+    concluido: '✅ Concluído',
+    erro: '❌ Erro',
+    cancelado: '🚫 Cancelado'
+};
+
+/**
+ * Põe os PDFs na fila e inicia o processamento
+ * @param {File[]} arquivos
+ * @param {'informativo'|'tese'} tipo
+ */
+function enfileirarArquivos(arquivos, tipo) {
+    // Verificar se PDF.js está disponível
+    if (typeof pdfjsLib === 'undefined') {
+        mostrarToast('❌ PDF.js não carregado. Recarregue a página (Cmd+R).', 'error');
+        console.error('❌ PDF.js não disponível. Verifique se o script foi carregado.');
+        return;
+    }
     
-    if (tese.relator) {
-        html += `
-            <div class="modal-section">
-                <h3 class="modal-section-title">👤 Relator(a)</h3>
-                <p class="modal-text">${tese.relator}</p>
-            </div>
-        `;
+    arquivos.forEach(arquivo => {
+        // Apenas PDFs são suportados
+        if (!arquivo.type.includes('pdf')) {
+            mostrarToast(`${arquivo.name} ignorado: selecione apenas arquivos PDF`, 'error');
+            console.error('❌ Arquivo não é PDF:', arquivo.type);
+            return;
+        }
+        
+        filaIngestao.push({
+            id: `ingestao_${++contadorIngestao}`,
+            arquivo,
+            nome: arquivo.name,
+            tipo,
+            estado: 'aguardando',
+            pagina: 0,
+            totalPaginas: null,
+            erro: null
+        });
+        console.log('🔄 Na fila:', arquivo.name, 'Tipo:', tipo);
+    });
+    
+    renderizarFilaIngestao();
+    processarProximoDaFila();
+}
+
+function processarProximoDaFila() {
+    if (ingestaoAtiva) return;
+    
+    const tarefa = filaIngestao.find(t => t.estado === 'aguardando');
+    if (!tarefa) {
+        encerrarOcr();
+        return;
     }
     
-    html += `
-        <div class="modal-section">
-            <h3 class="modal-section-title">⚖️ Tese Jurídica</h3>
-            <div class="modal-text" style="text-align: justify; line-height: 1.8;">
-                ${tese.tese || 'Tese não disponível'}
-            </div>
-        </div>
-    `;
+    tarefa.estado = 'extraindo';
+    tarefa.pagina = 0;
+    tarefa.totalPaginas = null;
+    tarefa.erro = null;
+    renderizarFilaIngestao();
     
-    if (tese.ultimo_movimento) {
-        html += `
-            <div class="modal-section">
-                <h3 class="modal-section-title">📊 Último Movimento</h3>
-                <p class="modal-text">${tese.ultimo_movimento}</p>
-            </div>
-        `;
+    const aoProgredir = (pagina, totalPaginas) => {
+        tarefa.pagina = pagina;
+        tarefa.totalPaginas = totalPaginas;
+        atualizarProgressoIngestao(tarefa);
+    };
+    let cancelado = false;
+    const extracao = extrairEmSegundoPlano(tarefa, aoProgredir);
+    ingestaoAtiva = {
+        tarefa,
+        cancelar: () => {
+            cancelado = true;
+            extracao.cancelar();
+        }
+    };
+    
+    extracao.promessa
+        .then(paginas => complementarComOcr(tarefa, paginas, aoProgredir, () => cancelado))
+        .then(resultado => {
+            // Teses esperam o usuário conferir os campos; a fila segue com os outros arquivos
+            if (tarefa.tipo === 'tese') {
+                prepararRevisaoTese(tarefa, resultado);
+                return;
+            }
+            tarefa.estado = 'salvando';
+            renderizarFilaIngestao();
+            return processarArquivo(tarefa.arquivo, tarefa.tipo, resultado).then(() => concluirIngestao(tarefa));
+        })
+        .catch(error => {
+            // Falha ao salvar (ex.: cota) já vem com a mensagem pronta de armazenamento.js
+            const { codigo, mensagem } = tarefa.estado === 'salvando'
+                ? { codigo: 'falha', mensagem: error.message }
+                : classificarErroPdf(error);
+            
+            if (codigo === 'cancelado') {
+                tarefa.estado = 'cancelado';
+                return;
+            }
+            tarefa.estado = 'erro';
+            tarefa.erro = mensagem;
+            console.error(`❌ ${tarefa.nome}:`, error);
+            mostrarToast(`${tarefa.nome}: ${mensagem}`, 'error');
+        })
+        .finally(() => {
+            ingestaoAtiva = null;
+            renderizarFilaIngestao();
+            processarProximoDaFila();
+        });
+}
+
+/**
+ * Passa pelo OCR as páginas sem camada de texto
+ * @param {Object} tarefa
+ * @param {string[]} paginas - Texto extraído de cada página
+ * @param {Function} aoProgredir
+ * @param {Function} cancelado
+ * @returns {Promise<{paginas: string[], paginasOcr: boolean[]}>} paginasOcr[i]: texto da página i+1 veio do OCR
+ */
+async function complementarComOcr(tarefa, paginas, aoProgredir, cancelado) {
+    const semTexto = paginasSemTexto(paginas);
+    const paginasOcr = paginas.map(() => false);
+    let falhaOcr = null;
+    
+    if (semTexto.length > 0 && ocrDisponivel()) {
+        console.log(`🔍 ${tarefa.nome}: OCR em ${semTexto.length} de ${paginas.length} páginas`);
+        tarefa.estado = 'ocr';
+        tarefa.pagina = 0;
+        tarefa.totalPaginas = semTexto.length;
+        renderizarFilaIngestao();
+        
+        try {
+            const reconhecidos = await reconhecerPaginasPdf(pdfjsLib, await tarefa.arquivo.arrayBuffer(), semTexto, aoProgredir, cancelado);
+            reconhecidos.forEach((texto, numero) => {
+                if (!texto) return;
+                paginas[numero - 1] = texto;
+                paginasOcr[numero - 1] = true;
+            });
+        } catch (error) {
+            if (error.codigo === 'cancelado') throw error;
+            // Sem OCR o documento ainda vale pelas páginas que têm texto
+            falhaOcr = error;
+            console.warn(`⚠️ ${tarefa.nome}: OCR falhou`, error);
+        }
+    } else if (semTexto.length > 0) {
+        console.warn(`⚠️ ${tarefa.nome}: ${semTexto.length} páginas sem texto e OCR indisponível`);
+    }
+    
+    if (!paginas.some(texto => texto.trim())) {
+        let mensagem = '📷 Nenhum texto encontrado, nem pelo OCR. Verifique se a digitalização está legível.';
+        if (falhaOcr) mensagem = `📷 Nenhum texto encontrado e o OCR falhou: ${falhaOcr.message}`;
+        if (!ocrDisponivel()) mensagem = '📷 Nenhum texto encontrado. O PDF parece ser digitalizado e o OCR não foi carregado.';
+        throw Object.assign(new Error(mensagem), { codigo: 'sem-texto' });
+    }
+    
+    return { paginas, paginasOcr };
+}
+
+/**
+ * Extrai o texto no Worker; sem Worker disponível, na própria página
+ * @param {Object} tarefa
+ * @param {Function} aoProgredir - (pagina, totalPaginas)
+ * @returns {{promessa: Promise<string[]>, cancelar: Function}} Texto de cada página
+ */
+function extrairEmSegundoPlano(tarefa, aoProgredir) {
+    const erroCancelado = () => Object.assign(new Error('Extração cancelada'), { codigo: 'cancelado' });
+    
+    let worker = null;
+    try {
+        worker = new Worker('extrator-pdf.js');
+    } catch (error) {
+        console.warn('⚠️ Worker indisponível, extraindo na página:', error.message);
+    }
+    
+    if (!worker) {
+        let cancelado = false;
+        return {
+            promessa: extrairTextoPDF(tarefa.arquivo, aoProgredir, () => cancelado),
+            cancelar: () => { cancelado = true; }
+        };
     }
     
-    if (tese.decisao_suspensao) {
-        html += `
-            <div class="modal-section" style="background: #fff3cd; border-left: 4px solid #f39c12;">
-                <h3 class="modal-section-title" style="color: #856404;">⚠️ Decisão de Suspensão</h3>
-                <p class="modal-text" style="color: #856404;">
-                    Este tema possui decisão de suspensão de processos
-                </p>
-            </div>
-        `;
+    let rejeitar;
+    let cancelado = false;
+    let respondeu = false;
+    const promessa = new Promise((resolve, reject) => {
+        rejeitar = reject;
+        worker.onmessage = ({ data }) => {
+            respondeu = true;
+            if (data.tipo === 'progresso') {
+                aoProgredir(data.pagina, data.totalPaginas);
+            } else if (data.tipo === 'concluido') {
+                resolve(data.paginas);
+            } else if (data.tipo === 'erro') {
+                reject(Object.assign(new Error(data.mensagem), { codigo: data.codigo }));
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            if (respondeu) {
+                reject(new Error(event.message || 'Erro no worker de extração'));
+                return;
+            }
+            // O worker nem chegou a carregar o PDF.js: extrai na página mesmo
+            console.warn('⚠️ Worker de extração falhou ao iniciar, extraindo na página:', event.message);
+            resolve(extrairTextoPDF(tarefa.arquivo, aoProgredir, () => cancelado));
+        };
+        tarefa.arquivo.arrayBuffer()
+            .then(dados => worker.postMessage({ id: tarefa.id, dados }, [dados]))
+            .catch(reject);
+    }).finally(() => worker.terminate());
+    
+    return {
+        promessa,
+        cancelar: () => {
+            cancelado = true;
+            rejeitar(erroCancelado());
+        }
+    };
+}
+
+function concluirIngestao(tarefa) {
+    tarefa.estado = 'concluido';
+    tarefa.arquivo = null; // Libera o File: já está no armazenamento
+    tarefa.extracao = null;
+}
+
+function cancelarIngestao(id) {
+    const tarefa = filaIngestao.find(t => t.id === id);
+    if (!tarefa) return;
+    
+    if (ingestaoAtiva && ingestaoAtiva.tarefa === tarefa) {
+        ingestaoAtiva.cancelar();
+        return;
     }
+    if (['aguardando', 'revisao'].includes(tarefa.estado)) {
+        tarefa.estado = 'cancelado';
+        tarefa.extracao = null;
+        renderizarFilaIngestao();
+    }
+}
+
+function tentarNovamenteIngestao(id) {
+    const tarefa = filaIngestao.find(t => t.id === id);
+    if (!tarefa || !tarefa.arquivo || !['erro', 'cancelado'].includes(tarefa.estado)) return;
+    
+    tarefa.estado = 'aguardando';
+    tarefa.erro = null;
+    renderizarFilaIngestao();
+    processarProximoDaFila();
+}
+
+function limparFilaIngestao(tipo) {
+    filaIngestao = filaIngestao.filter(t => t.tipo !== tipo || ESTADOS_PENDENTES_INGESTAO.includes(t.estado));
+    renderizarFilaIngestao();
+}
+
+function criarLinhaIngestaoHTML(tarefa) {
+    const percentual = tarefa.totalPaginas ? Math.round(tarefa.pagina / tarefa.totalPaginas * 100) : 0;
+    const progresso = tarefa.totalPaginas
+        ? `${tarefa.pagina}/${tarefa.totalPaginas} páginas`
+        : (tarefa.estado === 'extraindo' ? 'Abrindo PDF...' : '');
+    const emAndamento = ['extraindo', 'ocr'].includes(tarefa.estado);
+    const podeCancelar = tarefa.estado === 'aguardando' || emAndamento;
+    const podeRepetir = ['erro', 'cancelado'].includes(tarefa.estado) && tarefa.arquivo;
     
-    // ✅ ADICIONANDO ANOTAÇÕES PARA TESES
-    const anotacao = anotacoes[tese.id] || '';
-    html += `
-        <div class="annotation-section">
-            <div class="annotation-header">
-                <div class="annotation-title">
-                    📝 Anotações Pessoais
-                </div>
-            </div>
-            <textarea id="annotationTextarea" class="annotation-textarea" 
-                      placeholder="Adicione suas anotações sobre esta tese..." 
-                      onchange="salvarAnotacao('${tese.id}', this.value)">${anotacao}</textarea>
-            <div class="annotation-saved">✅ Anotação salva</div>
-        </div>
-    `;
-    
-    // ✅ ADICIONANDO TAGS PARA TESES
-    const itemTags = tags[tese.id] || [];
-    html += `
-        <div class="tags-section">
-            <div class="tags-header">
-                <div class="tags-title">
-                    🏷️ Tags
+    return `
+        <div class="ingestao-item ingestao-${tarefa.estado}" data-id="${tarefa.id}">
+            <div class="ingestao-info">
+                <div class="ingestao-nome">${escaparHtml(tarefa.nome)}</div>
+                <div class="ingestao-estado">
+                    ${ROTULOS_ESTADO_INGESTAO[tarefa.estado]}
+                    <span class="ingestao-progresso">${emAndamento ? progresso : ''}</span>
                 </div>
+                ${emAndamento ? `
+                    <div class="ingestao-barra"><div style="width: ${percentual}%"></div></div>
+                ` : ''}
+                ${tarefa.erro ? `<div class="ingestao-mensagem-erro">${escaparHtml(tarefa.erro)}</div>` : ''}
             </div>
-            <div class="tags-input-group">
-                <input type="text" id="tagInput" class="tags-input" 
-                       placeholder="Digite uma tag e pressione Enter" 
-                       onkeypress="if(event.key==='Enter'){adicionarTag('${tese.id}', this.value); this.value=''}">
-                <button class="btn btn-primary btn-sm" 
-                        onclick="adicionarTag('${tese.id}', document.getElementById('tagInput').value); document.getElementById('tagInput').value=''">
-                    Adicionar
-                </button>
+            <div class="document-actions">
+                ${tarefa.estado === 'revisao' ? `
+                    <button class="btn btn-sm btn-primary" onclick="abrirRevisaoTese('${tarefa.id}')">📝 Revisar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="cancelarIngestao('${tarefa.id}')">🗑️ Descartar</button>
+                ` : ''}
+                ${podeCancelar ? `<button class="btn btn-sm btn-secondary" onclick="cancelarIngestao('${tarefa.id}')">🚫 Cancelar</button>` : ''}
+                ${podeRepetir ? `<button class="btn btn-sm btn-primary" onclick="tentarNovamenteIngestao('${tarefa.id}')">🔁 Tentar novamente</button>` : ''}
             </div>
-            <div class="tags-list" id="tagsList"></div>
         </div>
     `;
-    
-    // Links - VALIDAR SE EXISTEM E SÃO VÁLIDOS
-    if ((tese.link_processo && tese.link_processo.startsWith('http')) || 
-        (tese.link_pdf && tese.link_pdf.startsWith('http'))) {
-        html += `
-            <div class="modal-section">
-                <h3 class="modal-section-title">🔗 Links Oficiais</h3>
-                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
-        `;
+}
+
+function renderizarFilaIngestao() {
+    Object.entries(CONTAINERS_FILA_INGESTAO).forEach(([tipo, containerId]) => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
         
-        if (tese.link_processo && tese.link_processo.startsWith('http')) {
-            html += `
-                <a href="${tese.link_processo}" target="_blank" class="btn btn-sm btn-secondary">
-                    📄 Ver Processo no TST
-                </a>
-            `;
+        const tarefas = filaIngestao.filter(t => t.tipo === tipo);
+        if (tarefas.length === 0) {
+            container.innerHTML = '';
+            return;
         }
         
-        if (tese.link_pdf && tese.link_pdf.startsWith('http')) {
-            html += `
-                <a href="${tese.link_pdf}" target="_blank" class="btn btn-sm btn-secondary">
-                    📑 Baixar PDF
-                </a>
-            `;
-        }
+        const pendentes = tarefas.filter(t => ESTADOS_PENDENTES_INGESTAO.includes(t.estado)).length;
+        const finalizadas = tarefas.length - pendentes;
         
-        html += `
-                </div>
+        container.innerHTML = `
+            <div class="ingestao-cabecalho">
+                <strong>📥 Fila de processamento</strong>
+                <span>${pendentes > 0 ? `${pendentes} pendente(s)` : 'Nada pendente'}</span>
+                ${finalizadas > 0 ? `<button class="btn btn-sm btn-secondary" onclick="limparFilaIngestao('${tipo}')">🧹 Limpar finalizados</button>` : ''}
             </div>
+            ${tarefas.map(criarLinhaIngestaoHTML).join('')}
         `;
+    });
+}
+
+// Progresso página a página sem redesenhar a fila inteira
+function atualizarProgressoIngestao(tarefa) {
+    const linha = document.querySelector(`.ingestao-item[data-id="${tarefa.id}"]`);
+    if (!linha) {
+        renderizarFilaIngestao();
+        return;
     }
     
-    modalBody.innerHTML = html;
+    const barra = linha.querySelector('.ingestao-barra div');
+    const progresso = linha.querySelector('.ingestao-progresso');
+    if (barra && tarefa.totalPaginas) barra.style.width = `${Math.round(tarefa.pagina / tarefa.totalPaginas * 100)}%`;
+    if (progresso && tarefa.totalPaginas) progresso.textContent = `${tarefa.pagina}/${tarefa.totalPaginas} páginas`;
+}
+
+/**
+ * Salva o PDF já extraído como informativo ou tese
+ * @param {File} file
+ * @param {'informativo'|'tese'} tipo
+ * @param {{paginas: string[], paginasOcr: boolean[]}} extracao - Resultado de complementarComOcr
+ * @param {Object} [metadados] - Teses: campos conferidos na revisão {tema, tipo, numero_processo, relator, tese}
+ * @returns {Promise<Object>} O item criado
+ */
+function processarArquivo(file, tipo, extracao, metadados) {
+    const { paginas, paginasOcr } = extracao;
+    // textoExtraido guarda só a camada de texto do PDF; o OCR fica ao lado, em textoOcr
+    const textoExtraido = paginas.filter((_, index) => !paginasOcr[index]).join('\n\n');
+    const textoOcr = paginas.filter((_, index) => paginasOcr[index]).join('\n\n');
+    
+    // ✅ USANDO GERENCIADOR DE IDs (teses: o mesmo ID que o admin daria)
+    const novoId = tipo === 'tese' ? 
+        novoIdTese(metadados, new Set([...tesesVinculantes, ...todosItens].map(item => item.id))) :
+        gerarIdConsistente('informativo', Date.now());
+    
+    const novoItem = {
+        id: novoId,
+        nome: file.name,
+        ...(tipo === 'tese' ? metadados : {}),
+        tipo: tipo === 'tese' ? metadados.tipo : tipo,
+        dataUpload: new Date().toISOString(),
+        tamanho: formatarTamanho(file.size),
+        textoExtraido: textoExtraido, // ✅ TEXTO PARA BUSCA
+        texto: paginas.join('\n\n'), // ✅ Texto completo, na ordem das páginas (camada de texto + OCR)
+        source: tipo
+    };
     
-    // Renderizar tags após inserir HTML
-    renderizarTags(tese.id);
+    if (textoOcr) {
+        novoItem.textoOcr = textoOcr;
+        novoItem.paginasOcr = paginasOcr;
+    }
     
-    // Atualizar botão de favorito
-    const isFavorito = favoritos.includes(tese.id);
-    const favBtn = document.getElementById('favoritoModalBtn');
-    if (favBtn) {
-        favBtn.textContent = isFavorito ? '⭐ Remover dos Favoritos' : '⭐ Favoritar';
+    if (tipo === 'informativo') {
+        novoItem.numeroInformativo = numeroDoInformativo(paginas[0]);
+        novoItem.decisoes = separarDecisoesInformativo(paginas);
+        console.log(`⚖️ ${file.name}: ${novoItem.decisoes.length} decisões separadas`);
     }
     
-    // ✅ ABERTURA CORRETA DO MODAL
-    modal.style.display = 'flex';
-    modal.classList.add('active');
+    // PDF vai como Blob para o IndexedDB; sem ele, volta ao data URL dentro do JSON
+    if (armazenamentoSuportaPdf()) {
+        return salvarPdf(novoId, file).then(() => {
+            novoItem.pdfArmazenado = true;
+            // Sem a lista salva o Blob ficaria órfão no store de PDFs; a tarefa vai para "erro" e pode ser repetida
+            return adicionarDocumento(novoItem, tipo).catch(error => removerPdf(novoId).then(() => {
+                throw error;
+            }));
+        }).then(() => novoItem);
+    }
     
-    console.log('✅ Modal de tese aberto:', tese.id);
+    return blobParaDataUrl(file).then(conteudo => {
+        novoItem.conteudo = conteudo; // Data URL do PDF
+        return adicionarDocumento(novoItem, tipo);
+    }).then(() => novoItem);
 }
 
-// ✅ CORREÇÃO 4: Fechamento robusto do modal
-function fecharModal() {
-    const modal = document.getElementById('modal');
-    const modalBody = document.getElementById('modalBody');
-    
-    if (!modal) {
-        console.error('❌ Modal não encontrado');
-        return;
+/**
+ * Salva o documento enviado na lista do seu tipo e no índice de busca
+ * @param {Object} novoItem
+ * @param {'informativo'|'tese'} tipo
+ * @returns {Promise<void>} Rejeita com a mensagem de armazenamento.js se a lista não foi salva
+ */
+async function adicionarDocumento(novoItem, tipo) {
+    const lista = tipo === 'informativo' ? informativos : tesesVinculantes;
+    lista.push(novoItem);
+    try {
+        await armazenamento.gravar(tipo === 'informativo' ? 'juristst_informativos' : 'juristst_teses', JSON.stringify(lista));
+    } catch (error) {
+        lista.splice(lista.indexOf(novoItem), 1);
+        throw error;
     }
+    console.log('💾 Item criado:', novoItem.id);
     
-    console.log('🔄 Fechando modal...');
-    
-    // 1. Limpar iframes PRIMEIRO
-    if (modalBody) {
-        const iframes = modalBody.querySelectorAll('iframe');
-        iframes.forEach(iframe => {
-            iframe.src = 'about:blank';
-            iframe.remove();
-        });
+    if (tipo === 'informativo') {
+        renderizarInformativos();
+    } else if (tipo === 'tese') {
+        filtrarTeses();
     }
     
-    // 2. Remover classe active (inicia animação)
-    modal.classList.remove('active');
+    // Adicionar ao array geral e ao índice de busca
+    const decisoes = tipo === 'informativo' ? criarItensDecisoes(novoItem) : [];
+    [novoItem, ...decisoes].forEach(item => {
+        todosItens.push(item);
+        indexarItem(item);
+    });
     
-    // 3. Aguardar animação antes de esconder completamente
-    setTimeout(() => {
-        modal.style.display = 'none';
-        
-        // 4. Limpar conteúdo do modal
-        if (modalBody) {
-            modalBody.innerHTML = '';
-        }
-        
-        // 5. Resetar estado
-        currentModalItem = null;
-        
-        console.log('✅ Modal fechado e limpo');
-    }, 300); // Tempo da animação CSS
+    mostrarToast(`✅ ${novoItem.nome} adicionado com sucesso (texto extraído${decisoes.length ? `, ${decisoes.length} decisões` : ''})`, 'success');
 }
 
-// ========== UPLOAD DE ARQUIVOS ==========
+function formatarTamanho(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
 
-// Função para extrair texto de PDF usando PDF.js
-async function extrairTextoPDF(file) {
-    try {
-        console.log('📄 Iniciando extração de texto do PDF:', file.name);
-        
-        // Converter arquivo para ArrayBuffer
-        const arrayBuffer = await file.arrayBuffer();
-        
-        // Carregar PDF
-        const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-        const pdf = await loadingTask.promise;
-        
-        console.log(`📊 PDF carregado: ${pdf.numPages} páginas`);
-        
-        let textoCompleto = '';
-        
-        // Extrair texto de cada página
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-            const page = await pdf.getPage(pageNum);
-            const textContent = await page.getTextContent();
-            
-            // Combinar todos os items de texto da página
-            const pageText = textContent.items
-                .map(item => item.str)
-                .join(' ');
-            
-            textoCompleto += pageText + '\n\n';
-            
-            // Log de progresso
-            if (pageNum % 10 === 0 || pageNum === pdf.numPages) {
-                console.log(`📖 Extraídas ${pageNum}/${pdf.numPages} páginas`);
-            }
+// ========== METADADOS DE TESES ==========
+// Acórdãos de IRR/IRDR/IAC e dos recursos repetitivos (RR/RRAg) trazem no texto o tema,
+// o processo, o relator e a tese fixada. A leitura é só uma sugestão: o usuário confere
+// tudo no formulário de revisão antes de a tese entrar na lista
+
+const TIPOS_TESE = [
+    { valor: 'IRR', descricao: 'Incidente de Recursos Repetitivos' },
+    { valor: 'IRDR', descricao: 'Incidente de Resolução de Demandas Repetitivas' },
+    { valor: 'IAC', descricao: 'Incidente de Assunção de Competência' },
+    { valor: 'RR', descricao: 'Recurso de Revista' },
+    { valor: 'RRAg', descricao: 'Agravo em Recurso de Revista' }
+];
+
+const CAMPOS_OBRIGATORIOS_TESE = ['tipo', 'tema', 'tese'];
+
+// Classe processual antes do número: "TST-IRR-243-54.2013.5.03.0031"
+const REGEX_PROCESSO_TESE = /(?:TST-)?(?:[A-Z][A-Za-z]{0,5}-)+\d{1,7}-\d{2}\.\d{4}\.\d\.\d{2}\.\d{4}/g;
+const REGEX_PROCESSO_SEM_CLASSE = /\d{1,7}-\d{2}\.\d{4}\.\d\.\d{2}\.\d{4}/;
+const REGEX_TEMA_TESE = /\bTema\s+(?:Repetitivo\s+)?(?:n[º°o.]*\s*)?(\d{1,4})\b/gi;
+// "Tema 1046 da Tabela de Repercussão Geral do STF" é citação, não o tema julgado
+const REGEX_TEMA_DE_OUTRO_TRIBUNAL = /^[^\n]{0,60}?(?:STF|Supremo|Repercussão\s+Geral|STJ)/i;
+
+const PADROES_INCIDENTE_TESE = [
+    { tipo: 'IRDR', regex: /Incidente\s+de\s+Resolução\s+de\s+Demandas\s+Repetitivas|\bIRDR\b/gi },
+    { tipo: 'IAC', regex: /Incidente\s+de\s+Assunção\s+de\s+Competência|\bIAC\b/gi },
+    { tipo: 'IRR', regex: /Incidente\s+de\s+(?:Julgamento\s+de\s+)?Recursos?\s+(?:de\s+Revista\s+)?Repetitivos?|\bIRR\b/gi }
+];
+
+const CARGO_RELATOR = '(?:Ministr[oa]|Min\\.|Desembargador(?:a)?(?:\\s+Convocad[oa])?|Juiz(?:a)?\\s+Convocad[oa])';
+const PADROES_RELATOR_TESE = [
+    // "Relator: Ministro Fulano de Tal" / "Relatora a Ministra ..."
+    new RegExp(`Relator(?:a)?\\s*[:\\-–]?\\s*(?:(?:o|a)\\s+)?(?:Exm[oa]\\.?\\s+(?:Sr[a]?\\.?\\s+)?)?(${CARGO_RELATOR}\\s+[^\\n,;()]{3,80})`, 'i'),
+    // "rel. Min. Fulano de Tal," (mesmo formato das citações do informativo)
+    new RegExp(`\\brel\\.\\s+(${CARGO_RELATOR}\\s+[^\\n,;()]{3,80})`, 'i'),
+    // Assinatura no fim do acórdão: "FULANO DE TAL\nMinistro Relator"
+    /\n\s*([A-ZÀ-Ý][A-ZÀ-Ý .'-]{5,80}?)\s*\n\s*(Ministr[oa])\s+Relator/
+];
+
+// Onde começa a tese fixada; ela vai até o fim do parágrafo
+const REGEX_INICIO_TESE = /(?:TESES?\s+JUR[ÍI]DICAS?(?:\s+FIXADAS?)?|TESES?\s+FIRMADAS?|Tese\s+(?:jurídica\s+)?(?:fixada|firmada)|(?:fix|firm)(?:a|ar|ando|ada|ou)(?:-se)?\s+(?:a\s+)?(?:seguinte\s+)?tese(?:\s+jurídica)?(?:\s+vinculante)?|\bTese)\s*[:\-–]\s*/i;
+const REGEX_FIM_TESE = /\n\s*\n|\n\s*(?=[A-ZÀ-Ý][A-ZÀ-Ý\s,.-]{8,}\n)|\n\s*(?=(?:ISTO\s+POSTO|ANTE\s+O\s+EXPOSTO|Brasília,|Firmado\s+por))/;
+const TAMANHO_MAXIMO_TESE = 3000;
+
+/**
+ * Sugere os campos da tese a partir do texto do acórdão
+ * @param {string} texto - Texto completo do PDF
+ * @returns {{tema: string, tipo: string, numero_processo: string, relator: string, tese: string}} '' no que não foi encontrado
+ */
+function extrairMetadadosTese(texto) {
+    const numero_processo = processoDaTese(texto);
+    return {
+        tema: temaDaTese(texto),
+        tipo: tipoDaTese(texto, numero_processo),
+        numero_processo,
+        relator: relatorDaTese(texto),
+        tese: enunciadoDaTese(texto)
+    };
+}
+
+// O tema mais citado no documento, fora os de outros tribunais
+function temaDaTese(texto) {
+    const contagem = new Map();
+    for (const encontrado of texto.matchAll(REGEX_TEMA_TESE)) {
+        const depois = texto.slice(encontrado.index + encontrado[0].length);
+        if (REGEX_TEMA_DE_OUTRO_TRIBUNAL.test(depois)) continue;
+        const numero = normalizarNumeroTema(encontrado[1]);
+        contagem.set(numero, (contagem.get(numero) || 0) + 1);
+    }
+    let tema = '';
+    contagem.forEach((vezes, numero) => {
+        if (!tema || vezes > contagem.get(tema)) tema = numero;
+    });
+    return tema;
+}
+
+// O primeiro número com classe processual; sem classe, o primeiro número CNJ
+function processoDaTese(texto) {
+    const comClasse = texto.match(REGEX_PROCESSO_TESE);
+    if (comClasse) return comClasse[0];
+    const semClasse = texto.match(REGEX_PROCESSO_SEM_CLASSE);
+    return semClasse ? semClasse[0] : '';
+}
+
+// A classe do processo decide (IRR-, IAC-, RRAg-...); senão, o incidente mais citado
+function tipoDaTese(texto, processo) {
+    const classe = (processo.replace(/^TST-/, '').match(/^([A-Za-z]+)-/) || [])[1];
+    const pelaClasse = TIPOS_TESE.find(({ valor }) => valor === classe);
+    if (pelaClasse) return pelaClasse.valor;
+    
+    let tipo = '';
+    let maiorContagem = 0;
+    PADROES_INCIDENTE_TESE.forEach(({ tipo: candidato, regex }) => {
+        const vezes = (texto.match(regex) || []).length;
+        if (vezes > maiorContagem) {
+            tipo = candidato;
+            maiorContagem = vezes;
         }
-        
-        console.log(`✅ Extração concluída: ${textoCompleto.length} caracteres`);
-        return textoCompleto;
-        
-    } catch (error) {
-        console.error('❌ Erro na extração de texto:', error);
-        throw error;
+    });
+    return tipo;
+}
+
+function relatorDaTese(texto) {
+    for (const padrao of PADROES_RELATOR_TESE) {
+        const encontrado = texto.match(padrao);
+        if (!encontrado) continue;
+        // Assinatura vem em maiúsculas: "FULANO DE TAL" → "Ministro Fulano de Tal"
+        const relator = encontrado[2]
+            ? `${encontrado[2]} ${nomeProprio(encontrado[1])}`
+            : encontrado[1];
+        return relator.replace(/\s+/g, ' ').replace(/[\s.:-]+$/, '').trim();
     }
+    return '';
 }
 
-function handleFileSelect(event, tipo) {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
+function nomeProprio(nome) {
+    return nome.toLowerCase().trim().split(/\s+/)
+        .map(palavra => (/^(?:d[aeo]s?|e)$/.test(palavra) ? palavra : palavra.charAt(0).toUpperCase() + palavra.slice(1)))
+        .join(' ');
+}
+
+function enunciadoDaTese(texto) {
+    const inicio = texto.match(REGEX_INICIO_TESE);
+    if (!inicio) return '';
+    
+    let trecho = texto.slice(inicio.index + inicio[0].length, inicio.index + inicio[0].length + TAMANHO_MAXIMO_TESE);
+    const fim = trecho.search(REGEX_FIM_TESE);
+    if (fim > 0) trecho = trecho.slice(0, fim);
+    
+    return trecho
+        .replace(/-\n(?=[a-zà-ÿ])/g, '') // Palavra hifenizada na quebra de linha
+        .replace(/\s+/g, ' ')
+        .replace(/^["“”']+|["“”']+$/g, '')
+        .trim();
+}
+
+// ========== REVISÃO DE TESES ENVIADAS ==========
+let revisaoTeseAtual = null; // ID da tarefa da fila em revisão
+
+function prepararRevisaoTese(tarefa, extracao) {
+    tarefa.extracao = extracao;
+    tarefa.metadados = extrairMetadadosTese(extracao.paginas.join('\n\n'));
+    tarefa.estado = 'revisao';
+    console.log(`📝 ${tarefa.nome}: campos sugeridos`, tarefa.metadados);
+    mostrarToast(`📝 ${tarefa.nome}: confira os dados da tese antes de salvar`, 'warning');
+    abrirRevisaoTese(tarefa.id);
+}
+
+function abrirRevisaoTese(id) {
+    const tarefa = filaIngestao.find(t => t.id === id);
+    const modal = document.getElementById('revisaoTeseModal');
+    const body = document.getElementById('revisaoTeseBody');
+    if (!tarefa || tarefa.estado !== 'revisao' || !modal || !body) return;
+    
+    // Um formulário por vez: os outros PDFs esperam na fila com o botão "Revisar"
+    if (revisaoTeseAtual && revisaoTeseAtual !== id && modal.classList.contains('active')) return;
+    
+    revisaoTeseAtual = id;
+    const metadados = tarefa.metadados;
+    const naoEncontrados = ['tema', 'tipo', 'numero_processo', 'relator', 'tese'].filter(campo => !metadados[campo]);
+    const rotulos = { tema: 'tema', tipo: 'tipo', numero_processo: 'processo', relator: 'relator', tese: 'tese' };
+    
+    body.innerHTML = `
+        <p class="modal-text" style="margin-bottom: 20px;">
+            Dados lidos de <strong>${escaparHtml(tarefa.nome)}</strong>. Confira e corrija antes de salvar.
+            Campos com * são obrigatórios.
+        </p>
+        ${naoEncontrados.length > 0 ? `
+            <div class="revisao-tese-aviso">
+                ⚠️ Não encontrado no PDF: ${naoEncontrados.map(campo => rotulos[campo]).join(', ')}. Consulte o texto extraído abaixo.
+            </div>
+        ` : ''}
+        <div class="revisao-tese-grade">
+            <label class="revisao-tese-campo">
+                Tipo *
+                <select id="revisaoTese_tipo">
+                    <option value="">Selecione...</option>
+                    ${TIPOS_TESE.map(({ valor, descricao }) => `
+                        <option value="${valor}" ${metadados.tipo === valor ? 'selected' : ''}>${valor} - ${descricao}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="revisao-tese-campo">
+                Tema *
+                <input type="text" id="revisaoTese_tema" value="${escaparHtml(metadados.tema)}" placeholder="Ex.: 17">
+            </label>
+            <label class="revisao-tese-campo">
+                Processo
+                <input type="text" id="revisaoTese_numero_processo" value="${escaparHtml(metadados.numero_processo)}" placeholder="Ex.: IRR-243-54.2013.5.03.0031">
+            </label>
+            <label class="revisao-tese-campo">
+                Relator(a)
+                <input type="text" id="revisaoTese_relator" value="${escaparHtml(metadados.relator)}" placeholder="Ex.: Ministro Fulano de Tal">
+            </label>
+        </div>
+        <label class="revisao-tese-campo">
+            Tese jurídica *
+            <textarea id="revisaoTese_tese" rows="7">${escaparHtml(metadados.tese)}</textarea>
+        </label>
+        <details class="revisao-tese-texto">
+            <summary>📄 Texto extraído do PDF</summary>
+            <pre>${escaparHtml(tarefa.extracao.paginas.join('\n\n'))}</pre>
+        </details>
+    `;
+    
+    modal.style.display = 'flex';
+    modal.classList.add('active');
+}
+
+/**
+ * Lê o formulário de revisão
+ * @returns {{metadados: Object, faltando: string[]}} faltando: campos obrigatórios vazios
+ */
+function lerFormularioRevisaoTese() {
+    const metadados = {};
+    ['tipo', 'tema', 'numero_processo', 'relator', 'tese'].forEach(campo => {
+        const campoForm = document.getElementById(`revisaoTese_${campo}`);
+        metadados[campo] = campoForm ? campoForm.value.replace(/\s+/g, ' ').trim() : '';
+    });
+    metadados.tema = normalizarNumeroTema(metadados.tema);
     
-    Array.from(files).forEach(file => {
-        processarArquivo(file, tipo);
+    const faltando = CAMPOS_OBRIGATORIOS_TESE.filter(campo => !metadados[campo]);
+    ['tipo', 'tema', 'tese'].forEach(campo => {
+        document.getElementById(`revisaoTese_${campo}`)?.classList.toggle('campo-invalido', faltando.includes(campo));
     });
+    return { metadados, faltando };
 }
 
-function handleDrop(event, tipo) {
-    event.preventDefault();
-    event.target.classList.remove('dragover');
+function confirmarRevisaoTese() {
+    const tarefa = filaIngestao.find(t => t.id === revisaoTeseAtual);
+    if (!tarefa || tarefa.estado !== 'revisao') {
+        fecharRevisaoTese();
+        return;
+    }
     
-    const files = event.dataTransfer.files;
-    if (!files || files.length === 0) return;
+    const { metadados, faltando } = lerFormularioRevisaoTese();
+    if (faltando.length > 0) {
+        mostrarToast(`Preencha os campos obrigatórios: ${faltando.join(', ')}`, 'warning');
+        return;
+    }
+    
+    tarefa.estado = 'salvando';
+    fecharRevisaoTese();
+    renderizarFilaIngestao();
+    
+    processarArquivo(tarefa.arquivo, 'tese', tarefa.extracao, metadados)
+        .then(() => concluirIngestao(tarefa))
+        .catch(error => {
+            tarefa.estado = 'erro';
+            tarefa.erro = error.message;
+            console.error(`❌ ${tarefa.nome}:`, error);
+            mostrarToast(`${tarefa.nome}: ${error.message}`, 'error');
+        })
+        .finally(() => {
+            renderizarFilaIngestao();
+            abrirProximaRevisaoTese();
+        });
+}
+
+function descartarRevisaoTese() {
+    const id = revisaoTeseAtual;
+    fecharRevisaoTese();
+    cancelarIngestao(id);
+    abrirProximaRevisaoTese();
+}
+
+// Fecha sem decidir: a tese continua na fila com o botão "Revisar"
+function fecharRevisaoTese() {
+    revisaoTeseAtual = null;
+    const modal = document.getElementById('revisaoTeseModal');
+    if (!modal) return;
+    modal.classList.remove('active');
+    modal.style.display = 'none';
+}
+
+function abrirProximaRevisaoTese() {
+    const proxima = filaIngestao.find(t => t.estado === 'revisao');
+    if (proxima) abrirRevisaoTese(proxima.id);
+}
+
+// ========== DECISÕES DOS INFORMATIVOS ==========
+// Cada notícia do Informativo TST termina com a citação do julgado:
+// "TST-E-RR-1234-56.2015.5.03.0001, SBDI-I, rel. Min. Fulano de Tal, 12.3.2020."
+// O texto entre duas citações é uma decisão: título em destaque e depois o resumo,
+// que começa pelo colegiado ("A SBDI-I, por unanimidade, ...")
+
+const REGEX_CITACAO_DECISAO = new RegExp(
+    '(TST-[A-Za-z]+(?:\\s?-\\s?[A-Za-z]+)*\\s?-\\s?\\d[\\d.\\-/]*\\d)' + // processo
+    ',\\s*([^,]{2,60}?)' + // órgão julgador
+    ',\\s*rel\\.\\s*([^,]{3,120}?)' + // relator
+    '(?:,\\s*red\\.\\s*p\\/\\s*(?:o\\s+)?ac[óo]rd[ãa]o\\s*[^,]*?)?' +
+    ',\\s*(?:julgado\\s+em\\s+)?(\\d{1,2})[./](\\d{1,2})[./](\\d{2,4})',
+    'g'
+);
+const REGEX_INICIO_RESUMO = /(?:^|[.:;)\s])\s*((?:A|O)\s+(?:SBDI-?(?:I{1,2}|[12])|SDI-?(?:I{1,2}|[12])|SDC|Tribunal\s+Pleno|Pleno|Órgão\s+Especial|Seção\s+Especializada|Subseção|\d{1,2}ª\s+Turma|Turma|Colegiado|Corte)\b)/;
+const REGEX_SECAO_INFORMATIVO = /^\s*(?:SUBSEÇÃO\s+I{1,2}\s+ESPECIALIZADA\s+EM\s+DISSÍDIOS\s+INDIVIDUAIS|SEÇÃO\s+ESPECIALIZADA\s+EM\s+DISSÍDIOS\s+COLETIVOS|TRIBUNAL\s+PLENO|ÓRGÃO\s+ESPECIAL|TURMAS)\s*/;
+// Só valem para linhas curtas: texto antigo, extraído sem quebras, é uma linha só
+const LINHAS_DESCARTAVEIS_INFORMATIVO = [
+    /^\s*Informativo\s+TST\b/i, // Cabeçalho repetido em cada página
+    /Este Informativo não constitui repositório oficial/i,
+    /^\s*Período:/i,
+    /^\s*\d{1,3}\s*$/ // Número da página
+];
+// As mesmas marcas no meio do texto (páginas antigas sem quebras de linha)
+const TRECHOS_DESCARTAVEIS_INFORMATIVO = [
+    /Informativo\s+TST\s*[-–]?\s*n\.?\s*[º°o]?\s*\d{1,4}/gi,
+    /Período:\s*.{0,60}?\d{4}/gi,
+    /Este Informativo não constitui repositório oficial de jurisprudência\.?/gi
+];
+
+/**
+ * Número do informativo a partir do cabeçalho ("Informativo TST nº 250")
+ * @param {string} texto
+ * @returns {string|null}
+ */
+function numeroDoInformativo(texto) {
+    const encontrado = String(texto || '').match(/Informativo\s+TST\s*[-–]?\s*n\.?\s*[º°o]?\s*(\d{1,4})/i);
+    return encontrado ? encontrado[1] : null;
+}
+
+/**
+ * Separa o informativo em decisões
+ * @param {string[]} paginas - Texto de cada página
+ * @returns {Array<{titulo, ementa, processo, orgaoJulgador, relator, dataSessao, pagina}>}
+ *          pagina: 1..n onde a decisão começa
+ */
+function separarDecisoesInformativo(paginas) {
+    // Linhas de cabeçalho/rodapé saem antes; inicios guarda onde cada página começa no texto unido
+    const inicios = [];
+    let texto = '';
+    paginas.forEach(pagina => {
+        inicios.push(texto.length);
+        texto += String(pagina || '')
+            .split('\n')
+            .filter(linha => linha.length > 200 || !LINHAS_DESCARTAVEIS_INFORMATIVO.some(regex => regex.test(linha)))
+            .join('\n') + '\n';
+    });
+    const paginaDoTrecho = posicao => {
+        let pagina = 1;
+        inicios.forEach((inicio, index) => {
+            if (inicio <= posicao) pagina = index + 1;
+        });
+        return pagina;
+    };
+    
+    const decisoes = [];
+    
+    for (const { citacao, bruto, descartados, limpo } of trechosDecisoes(texto)) {
+        if (!citacao || limpo.length < 20) continue;
+        
+        const [, processo, orgao, relator, dia, mes, ano] = citacao;
+        decisoes.push({
+            ...dividirTituloResumo(limpo),
+            processo: processo.replace(/\s+/g, ''),
+            orgaoJulgador: orgao.trim(),
+            relator: relator.trim(),
+            dataSessao: montarDataIso(dia, mes, ano),
+            pagina: paginaDoTrecho(citacao.index - bruto.length + descartados)
+        });
+    }
+    
+    return decisoes;
+}
+
+/**
+ * Percorre o texto de citação em citação
+ * @param {string} texto
+ * @returns {Generator<{citacao: Array|null, bruto: string, descartados: number, limpo: string}>}
+ *          O último trecho (depois da última citação) vem com citacao null
+ */
+function* trechosDecisoes(texto) {
+    let fimAnterior = 0;
+    const limpar = trecho => TRECHOS_DESCARTAVEIS_INFORMATIVO
+        .reduce((resultado, regex) => resultado.replace(regex, ' '), trecho)
+        .replace(new RegExp(REGEX_SECAO_INFORMATIVO.source.replace(/^\^/, ''), 'g'), ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    for (const citacao of texto.matchAll(REGEX_CITACAO_DECISAO)) {
+        const bruto = texto.slice(fimAnterior, citacao.index);
+        fimAnterior = citacao.index + citacao[0].length;
+        
+        const { trecho, descartados } = limparInicioDecisao(bruto);
+        yield { citacao, bruto, descartados, limpo: limpar(trecho) };
+    }
     
-    Array.from(files).forEach(file => {
-        processarArquivo(file, tipo);
-    });
+    const resto = texto.slice(fimAnterior);
+    yield { citacao: null, bruto: resto, descartados: 0, limpo: limpar(resto) };
 }
 
-function handleDragOver(event) {
-    event.preventDefault();
-    event.target.closest('.upload-area').classList.add('dragover');
+/**
+ * O que a separação em decisões deixou de fora: texto depois da última citação,
+ * trechos curtos demais e o que limparInicioDecisao tirou do começo de cada decisão.
+ * Continua indexado no próprio informativo
+ * @param {string} texto - Texto completo do informativo
+ * @returns {string}
+ */
+function textoForaDasDecisoes(texto) {
+    const sobras = [];
+    for (const { citacao, bruto, descartados, limpo } of trechosDecisoes(String(texto || ''))) {
+        sobras.push(!citacao || limpo.length < 20 ? bruto : bruto.slice(0, descartados));
+    }
+    return sobras.join(' ').replace(/\s+/g, ' ').trim();
 }
 
-function handleDragLeave(event) {
-    event.target.closest('.upload-area').classList.remove('dragover');
+/**
+ * Tira do começo do trecho o que sobrou da decisão anterior ("(*Cf. Informativo ...)")
+ * e os títulos de seção em maiúsculas
+ * @param {string} bruto
+ * @returns {{trecho: string, descartados: number}} descartados: caracteres removidos do início
+ */
+function limparInicioDecisao(bruto) {
+    let trecho = bruto;
+    let anterior;
+    do {
+        anterior = trecho;
+        trecho = TRECHOS_DESCARTAVEIS_INFORMATIVO
+            .reduce((resultado, regex) => resultado.replace(new RegExp(`^\\s*(?:${regex.source})`, 'i'), ''), trecho)
+            .replace(/^[\s.;]*\([^)]{0,300}\)\s*\.?/, '')
+            .replace(/^\s*\d{1,3}\s+(?=[A-ZÀ-Ý])/, '') // Número de página solto
+            .replace(REGEX_SECAO_INFORMATIVO, '')
+            // Linha inteira em maiúsculas (título de seção sem padrão conhecido)
+            .replace(/^\s*[^\na-zà-ÿ]*[A-ZÀ-Ý]{3}[^\na-zà-ÿ]*\n/, '')
+            .replace(/^[\s.;]+/, '');
+    } while (trecho !== anterior);
+    
+    return { trecho, descartados: bruto.length - trecho.length };
 }
 
-function processarArquivo(file, tipo) {
-    console.log('🔄 Processando arquivo:', file.name, 'Tipo:', file.type);
-    
-    // Apenas PDFs são suportados
-    if (!file.type.includes('pdf')) {
-        mostrarToast('Por favor, selecione apenas arquivos PDF', 'error');
-        console.error('❌ Arquivo não é PDF:', file.type);
-        return;
+/**
+ * @param {string} texto - Decisão sem a citação final
+ * @returns {{titulo: string, ementa: string}}
+ */
+function dividirTituloResumo(texto) {
+    const inicio = texto.match(REGEX_INICIO_RESUMO);
+    if (inicio) {
+        const posicao = inicio.index + inicio[0].indexOf(inicio[1]);
+        const titulo = texto.slice(0, posicao).trim();
+        if (titulo && titulo.length <= 400) {
+            return { titulo, ementa: texto.slice(posicao).trim() };
+        }
     }
     
-    // Verificar se PDF.js está disponível
-    if (typeof pdfjsLib === 'undefined') {
-        mostrarToast('❌ PDF.js não carregado. Recarregue a página (Cmd+R).', 'error');
-        console.error('❌ PDF.js não disponível. Verifique se o script foi carregado.');
+    // Sem colegiado reconhecível: a primeira frase serve de título
+    const primeiraFrase = texto.match(/^.{20,200}?[.!?](?=\s|$)/);
+    return {
+        titulo: primeiraFrase ? primeiraFrase[0] : `${texto.slice(0, 160)}...`,
+        ementa: texto
+    };
+}
+
+/**
+ * Decisões do informativo como itens de todosItens
+ * @param {Object} info - Informativo salvo
+ * @returns {Array}
+ */
+function criarItensDecisoes(info) {
+    return (info.decisoes || []).map((decisao, index) => ({
+        ...decisao,
+        id: `${info.id}_decisao_${index + 1}`,
+        numero: decisao.processo,
+        orgao: decisao.orgaoJulgador,
+        texto: decisao.ementa,
+        texto_completo: `${decisao.titulo}\n\n${decisao.ementa}\n\n${decisao.processo}, ${decisao.orgaoJulgador}, rel. ${decisao.relator}`,
+        tipo: 'decisao',
+        source: 'informativo',
+        informativoId: info.id,
+        informativoNome: info.numeroInformativo ? `Informativo TST nº ${info.numeroInformativo}` : info.nome
+    }));
+}
+
+/**
+ * Abre o PDF de origem na página da decisão (#page funciona nos visualizadores do Chrome e do Firefox)
+ * @param {string} informativoId
+ * @param {number|null} pagina
+ */
+async function abrirPdfInformativo(informativoId, pagina) {
+    const info = informativos.find(i => i.id === informativoId);
+    if (!info) {
+        mostrarToast('Informativo de origem não encontrado', 'error');
         return;
     }
     
-    console.log('✅ PDF.js disponível, iniciando extração...');
-    mostrarToast('📄 Extraindo texto do PDF... Aguarde...', 'info');
-    
-    // Extrair texto do PDF
-    extrairTextoPDF(file).then(textoExtraido => {
-        console.log(`✅ Texto extraído: ${textoExtraido.length} caracteres`);
-        
-        const reader = new FileReader();
-        
-        reader.onload = function(e) {
-            // ✅ USANDO GERENCIADOR DE IDs
-            const timestamp = Date.now();
-            const novoId = tipo === 'tese' ? 
-                gerarIdConsistente('tese', `upload_${timestamp}`) :
-                gerarIdConsistente('informativo', timestamp);
-            
-            const novoItem = {
-                id: novoId,
-                nome: file.name,
-                tipo: tipo === 'tese' ? obterTipoTese() : tipo,
-                dataUpload: new Date().toISOString(),
-                tamanho: formatarTamanho(file.size),
-                conteudo: e.target.result, // Data URL do PDF
-                textoExtraido: textoExtraido, // ✅ TEXTO PARA BUSCA
-                texto: textoExtraido, // ✅ Também salvar como 'texto' para compatibilidade
-                source: tipo
-            };
-            
-            console.log('💾 Item criado:', novoItem.id);
-            
-            if (tipo === 'informativo') {
-                informativos.push(novoItem);
-                localStorage.setItem('juristst_informativos', JSON.stringify(informativos));
-                renderizarInformativos();
-            } else if (tipo === 'tese') {
-                tesesVinculantes.push(novoItem);
-                localStorage.setItem('juristst_teses', JSON.stringify(tesesVinculantes));
-                filtrarTeses();
-            }
-            
-            // Adicionar ao array geral
-            todosItens.push(novoItem);
-            
-            mostrarToast(`✅ ${file.name} adicionado com sucesso (texto extraído)`, 'success');
-        };
-        
-        reader.onerror = function() {
-            mostrarToast(`Erro ao ler o arquivo ${file.name}`, 'error');
-        };
+    // A janela abre já, dentro do clique; senão o bloqueador de pop-ups a barra
+    const janela = window.open('', '_blank');
+    try {
+        const blob = info.pdfArmazenado ? await carregarPdf(info.id) : (info.conteudo ? dataUrlParaBlob(info.conteudo) : null);
+        if (!blob) throw new Error('PDF não encontrado no armazenamento do navegador');
         
-        reader.readAsDataURL(file);
-    }).catch(error => {
-        console.error('❌ Erro ao extrair texto:', error);
-        mostrarToast('Erro ao extrair texto do PDF. Tente novamente.', 'error');
-    });
-}
-
-function obterTipoTese() {
-    const select = document.getElementById('filterTipoTese');
-    if (select && select.value !== 'todos') {
-        return select.value;
+        const url = URL.createObjectURL(blob);
+        janela.location.href = pagina ? `${url}#page=${pagina}` : url;
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        if (janela) janela.close();
+        console.error('❌ Erro ao abrir PDF do informativo:', error);
+        mostrarToast(error.message, 'error');
     }
-    
-    // Perguntar ao usuário
-    const tipos = ['irr', 'irdr', 'iac'];
-    const escolha = prompt('Tipo de tese:\n1 - IRR (Incidente de Recursos Repetitivos)\n2 - IRDR (Incidente de Resolução de Demandas Repetitivas)\n3 - IAC (Incidente de Assunção de Competência)\n\nDigite o número:');
-    
-    if (escolha === '1') return 'irr';
-    if (escolha === '2') return 'irdr';
-    if (escolha === '3') return 'iac';
-    
-    return 'irr'; // padrão
 }
 
-function formatarTamanho(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+function renderizarOrigemDecisao(item) {
+    return `
+        <div style="display: flex; gap: 10px; margin: 10px 0;">
+            <span style="font-weight: 600;">Relator:</span>
+            <span>${escaparHtml(item.relator)}</span>
+        </div>
+        ${item.dataSessao ? `
+            <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                <span style="font-weight: 600;">Sessão:</span>
+                <span>${formatarDataIso(item.dataSessao)}</span>
+            </div>
+        ` : ''}
+        <div style="display: flex; gap: 10px; align-items: center;">
+            <span style="font-weight: 600;">Fonte:</span>
+            <span>${escaparHtml(item.informativoNome)}${item.pagina ? `, p. ${item.pagina}` : ''}</span>
+            <button class="btn btn-primary btn-sm" onclick="abrirPdfInformativo('${item.informativoId}', ${item.pagina || 'null'})">
+                📄 Abrir PDF${item.pagina ? ' na página' : ''}
+            </button>
+        </div>
+    `;
 }
 
 // ========== RENDERIZAÇÃO DE INFORMATIVOS ==========
@@ -1497,6 +4989,8 @@ function renderizarInformativos() {
                     <div class="document-meta">
                         📅 ${new Date(info.dataUpload).toLocaleDateString('pt-BR')} | 
                         📁 ${info.tamanho}
+                        ${info.paginasOcr ? ` | 🔍 OCR em ${info.paginasOcr.filter(Boolean).length} de ${info.paginasOcr.length} páginas` : ''}
+                        ${info.decisoes && info.decisoes.length ? ` | ⚖️ ${info.decisoes.length} decisões` : ''}
                     </div>
                 </div>
                 <div class="document-actions">
@@ -1549,7 +5043,7 @@ function filtrarTeses() {
         });
     }
     
-    renderizarTeses(tesesFiltradas);
+    renderizarTeses(ordenarItens([...tesesFiltradas], ordenacaoDaAba('teses')));
 }
 
 function renderizarTeses(teses = tesesVinculantes) {
@@ -1565,121 +5059,577 @@ function renderizarTeses(teses = tesesVinculantes) {
         container.innerHTML = `
             <div class="empty-state">
                 <h3>📋 Nenhuma tese encontrada</h3>
-                <p>Use o painel Admin para adicionar teses vinculantes</p>
+                <p>Envie o PDF do acórdão acima ou use o painel Admin para adicionar teses vinculantes</p>
             </div>
         `;
         return;
     }
     
-    let html = '<div class="results-grid">';
+    renderizarListaPaginada('teses', container, teses, criarCardTeseHTML, 'results-grid');
+}
+
+function criarCardTeseHTML(tese) {
+    const isFavorito = favoritos.includes(tese.id);
+    let statusClass = tese.decisao_suspensao ? 'suspended' : 'active';
+    let statusIcon = tese.decisao_suspensao ? '⏸️' : '✅';
+    let statusText = tese.decisao_suspensao ? 'Com Suspensão' : 'Ativo';
+    // Ausente da última importação do admin: continua aqui por causa dos favoritos e anotações
+    if (tese.removida) {
+        statusClass = 'removed';
+        statusIcon = '🗑️';
+        statusText = 'Removida do cadastro';
+    }
     
-    teses.forEach(tese => {
-        const isFavorito = favoritos.includes(tese.id);
-        const statusClass = tese.decisao_suspensao ? 'suspended' : 'active';
-        const statusIcon = tese.decisao_suspensao ? '⏸️' : '✅';
-        const statusText = tese.decisao_suspensao ? 'Com Suspensão' : 'Ativo';
-        
-        const itemTags = tags[tese.id] || [];
-        const hasAnotacao = anotacoes[tese.id] && anotacoes[tese.id].trim() !== '';
-        
-        let tipoBadgeColor = '#3498db';
-        if (tese.tipo === 'IRDR') tipoBadgeColor = '#e74c3c';
-        if (tese.tipo === 'IAC') tipoBadgeColor = '#f39c12';
-        if (tese.tipo === 'RRAg') tipoBadgeColor = '#9b59b6';
-        
-        html += `
-            <div class="card" onclick="abrirDetalhes('${tese.id}')">
-                <div class="card-header">
-                    <div class="card-number">
-                        <span class="card-badge" style="background: ${tipoBadgeColor};">${tese.tipo || 'IRR'}</span>
-                        Tema ${tese.tema}
-                    </div>
-                    <button class="card-action favorite ${isFavorito ? 'active' : ''}" 
-                            onclick="event.stopPropagation(); toggleFavorito('${tese.id}')">
-                        ${isFavorito ? '⭐' : '☆'}
-                    </button>
-                </div>
-                
-                ${hasAnotacao ? `
-                    <div class="card-indicators">
-                        <div class="indicator indicator-note">📝 Anotação</div>
-                    </div>
-                ` : ''}
-                
-                <div class="card-title">${tese.numero_processo || 'Sem processo'}</div>
-                
-                <div class="card-preview">
-                    ${truncateText(tese.tese || 'Sem tese disponível', 150)}
+    const itemTags = tags[tese.id] || [];
+    const hasAnotacao = anotacoes[tese.id] && anotacoes[tese.id].trim() !== '';
+    
+    let tipoBadgeColor = '#3498db';
+    if (tese.tipo === 'IRDR') tipoBadgeColor = '#e74c3c';
+    if (tese.tipo === 'IAC') tipoBadgeColor = '#f39c12';
+    if (tese.tipo === 'RRAg') tipoBadgeColor = '#9b59b6';
+    
+    return `
+        <div class="card" data-id="${tese.id}" onclick="abrirDetalhes('${tese.id}')">
+            <div class="card-header">
+                <div class="card-number">
+                    <span class="card-badge" style="background: ${tipoBadgeColor};">${tese.tipo || 'IRR'}</span>
+                    Tema ${tese.tema}
                 </div>
-                
-                <div class="card-footer">
-                    <span class="status-badge ${statusClass}">
-                        ${statusIcon} ${statusText}
-                    </span>
-                    ${tese.acordao ? `<span style="color: var(--text-light); font-size: 0.85em;">${tese.acordao}</span>` : ''}
+                <button class="card-action favorite ${isFavorito ? 'active' : ''}" 
+                        onclick="event.stopPropagation(); toggleFavorito('${tese.id}')">
+                    ${isFavorito ? '⭐' : '☆'}
+                </button>
+            </div>
+            
+            ${hasAnotacao ? `
+                <div class="card-indicators">
+                    <div class="indicator indicator-note">📝 Anotação</div>
                 </div>
-                
-                ${itemTags.length > 0 ? `
-                    <div class="card-tags">
-                        ${itemTags.slice(0, 3).map(tag => 
-                            `<span class="tag">${tag}</span>`
-                        ).join('')}
-                    </div>
-                ` : ''}
+            ` : ''}
+            
+            <div class="card-title">${tese.numero_processo || 'Sem processo'}</div>
+            
+            <div class="card-preview">
+                ${truncateText(tese.tese || 'Sem tese disponível', 150)}
+            </div>
+            
+            <div class="card-footer">
+                <span class="status-badge ${statusClass}">
+                    ${statusIcon} ${statusText}
+                </span>
+                ${tese.acordao ? `<span style="color: var(--text-light); font-size: 0.85em;">${tese.acordao}</span>` : ''}
             </div>
+            
+            ${itemTags.length > 0 ? `
+                <div class="card-tags">
+                    ${itemTags.slice(0, 3).map(tag => 
+                        `<span class="tag">${tag}</span>`
+                    ).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ========== MAPA DE RELAÇÕES ==========
+// Grafo de forças desenhado em SVG, sem bibliotecas externas.
+// Arestas: correlações do usuário (contínuas) e citações automáticas (tracejadas)
+
+const CORES_MAPA = {
+    sumula: '#3498db',
+    oj: '#27ae60',
+    precedente: '#f39c12',
+    tese: '#9b59b6',
+    informativo: '#2874a6'
+};
+const COR_MAPA_CANCELADA = '#e74c3c';
+const MAX_NOS_MAPA = 600; // Acima disso o layout fica lento demais no navegador
+const DISTANCIA_ARESTA_MAPA = 70;
+const REPULSAO_MAPA = 1800;
+
+let mapaFoco = new Set(); // Nós expandidos; vazio = visão geral
+let mapaPosicoes = new Map(); // id → {x, y}, preservadas entre redesenhos
+let mapaSimulacao = null; // {nos, arestas, alfa, quadro}
+let mapaViewBox = { x: -400, y: -300, w: 800, h: 600 };
+
+/**
+ * Categoria de cor do item no mapa
+ * @param {Object} item
+ * @returns {string} Chave de CORES_MAPA
+ */
+function categoriaMapa(item) {
+    if (item.source === 'tese') return 'tese';
+    if (item.source === 'informativo') return 'informativo';
+    if (String(item.tipo || '').startsWith('precedente')) return 'precedente';
+    return item.tipo === 'oj' ? 'oj' : 'sumula';
+}
+
+/**
+ * Todas as arestas do mapa, sem repetir pares
+ * @param {boolean} incluirCitacoes
+ * @returns {Map<string, {origem: string, destino: string, tipo: string}>}
+ */
+function coletarArestasMapa(incluirCitacoes) {
+    const arestas = new Map();
+    
+    Object.entries(correlacoes).forEach(([id, relacionados]) => {
+        (relacionados || []).forEach(relId => {
+            arestas.set(chaveCorrelacao(id, relId), { origem: id, destino: relId, tipo: 'correlacao' });
+        });
+    });
+    
+    if (incluirCitacoes) {
+        Object.entries(citacoesAutomaticas.cita).forEach(([id, ligacoes]) => {
+            ligacoes.forEach(({ id: citadoId }) => {
+                const chave = chaveCorrelacao(id, citadoId);
+                // Vínculo do usuário prevalece sobre a citação automática
+                if (!arestas.has(chave)) {
+                    arestas.set(chave, { origem: id, destino: citadoId, tipo: 'citacao' });
+                }
+            });
+        });
+    }
+    
+    return arestas;
+}
+
+/**
+ * Decide quais itens aparecem, conforme filtros e nós expandidos
+ * @returns {{nos: Array, arestas: Array}}
+ */
+function montarGrafoMapa() {
+    const tipoFiltro = document.getElementById('mapaTipo')?.value || 'todos';
+    const tagFiltro = document.getElementById('mapaTag')?.value.trim() || '';
+    const incluirCitacoes = document.getElementById('mapaCitacoes')?.checked ?? true;
+    
+    const porId = new Map(todosItens.map(item => [item.id, item]));
+    const arestas = [...coletarArestasMapa(incluirCitacoes).values()]
+        .filter(aresta => porId.has(aresta.origem) && porId.has(aresta.destino));
+    
+    const vizinhos = new Map();
+    arestas.forEach(({ origem, destino }) => {
+        if (!vizinhos.has(origem)) vizinhos.set(origem, new Set());
+        if (!vizinhos.has(destino)) vizinhos.set(destino, new Set());
+        vizinhos.get(origem).add(destino);
+        vizinhos.get(destino).add(origem);
+    });
+    
+    const passaTipo = item => tipoFiltro === 'todos' || categoriaMapa(item) === tipoFiltro;
+    const passaTag = item => !tagFiltro || (tags[item.id] || []).some(tag => contemTermoNormalizado(tag, tagFiltro));
+    
+    const visiveis = new Set();
+    if (mapaFoco.size > 0) {
+        // Vizinhança dos nós expandidos
+        mapaFoco.forEach(id => {
+            if (!porId.has(id)) return;
+            visiveis.add(id);
+            (vizinhos.get(id) || new Set()).forEach(vizinho => {
+                if (passaTipo(porId.get(vizinho))) visiveis.add(vizinho);
+            });
+        });
+    } else {
+        todosItens.forEach(item => {
+            if (!passaTipo(item) || !passaTag(item)) return;
+            // Itens soltos só entram quando o usuário filtrou por tag
+            if (vizinhos.has(item.id) || tagFiltro) visiveis.add(item.id);
+        });
+        // Com filtro de tag, os vizinhos dão o contexto do agrupamento
+        if (tagFiltro) {
+            [...visiveis].forEach(id => (vizinhos.get(id) || new Set()).forEach(vizinho => visiveis.add(vizinho)));
+        }
+    }
+    
+    const nos = [...visiveis].slice(0, MAX_NOS_MAPA).map(id => porId.get(id));
+    const incluidos = new Set(nos.map(item => item.id));
+    
+    return {
+        nos,
+        arestas: arestas.filter(({ origem, destino }) => incluidos.has(origem) && incluidos.has(destino)),
+        truncado: visiveis.size > MAX_NOS_MAPA
+    };
+}
+
+function renderizarMapa() {
+    const svg = document.getElementById('mapaSvg');
+    if (!svg) return;
+    
+    if (mapaSimulacao && mapaSimulacao.quadro) {
+        cancelAnimationFrame(mapaSimulacao.quadro);
+    }
+    
+    const { nos, arestas, truncado } = montarGrafoMapa();
+    
+    const info = document.getElementById('mapaInfo');
+    if (info) {
+        info.textContent = `${nos.length} itens, ${arestas.length} ligações` +
+            (mapaFoco.size > 0 ? ` - vizinhança de ${mapaFoco.size} item(ns)` : '') +
+            (truncado ? ` (limitado a ${MAX_NOS_MAPA}; use os filtros)` : '');
+    }
+    
+    if (nos.length === 0) {
+        svg.innerHTML = `
+            <text x="0" y="0" text-anchor="middle" class="mapa-vazio">
+                Nenhuma ligação para exibir. Vincule itens no modal de detalhes ou ajuste os filtros.
+            </text>
         `;
+        mapaViewBox = { x: -400, y: -300, w: 800, h: 600 };
+        aplicarViewBoxMapa();
+        mapaSimulacao = null;
+        return;
+    }
+    
+    const grau = new Map();
+    arestas.forEach(({ origem, destino }) => {
+        grau.set(origem, (grau.get(origem) || 0) + 1);
+        grau.set(destino, (grau.get(destino) || 0) + 1);
+    });
+    
+    // Nós novos nascem perto de um vizinho já posicionado (ou em círculo)
+    const indices = new Map(nos.map((item, i) => [item.id, i]));
+    const simNos = nos.map((item, i) => {
+        let posicao = mapaPosicoes.get(item.id);
+        if (!posicao) {
+            const aresta = arestas.find(a => (a.origem === item.id && mapaPosicoes.has(a.destino)) ||
+                                             (a.destino === item.id && mapaPosicoes.has(a.origem)));
+            const ancora = aresta && mapaPosicoes.get(aresta.origem === item.id ? aresta.destino : aresta.origem);
+            const angulo = (2 * Math.PI * i) / nos.length;
+            posicao = ancora
+                ? { x: ancora.x + (Math.random() - 0.5) * 40, y: ancora.y + (Math.random() - 0.5) * 40 }
+                : { x: Math.cos(angulo) * 15 * Math.sqrt(nos.length), y: Math.sin(angulo) * 15 * Math.sqrt(nos.length) };
+        }
+        return { id: item.id, item, x: posicao.x, y: posicao.y, vx: 0, vy: 0, raio: 6 + Math.min(10, Math.sqrt(grau.get(item.id) || 0) * 2) };
+    });
+    const simArestas = arestas.map(aresta => ({
+        ...aresta,
+        a: simNos[indices.get(aresta.origem)],
+        b: simNos[indices.get(aresta.destino)]
+    }));
+    
+    const mostrarRotulos = nos.length <= 150;
+    svg.innerHTML = `
+        <g class="mapa-arestas">
+            ${simArestas.map(aresta => `
+                <line class="mapa-aresta mapa-aresta-${aresta.tipo}"></line>
+            `).join('')}
+        </g>
+        <g class="mapa-nos">
+            ${simNos.map(no => {
+                const cor = CORES_MAPA[categoriaMapa(no.item)];
+                return `
+                    <g class="mapa-no${no.item.cancelada ? ' mapa-no-cancelado' : ''}${mapaFoco.has(no.id) ? ' mapa-no-foco' : ''}" 
+                       data-id="${no.id}" onclick="cliqueNoMapa(event, this.dataset.id)">
+                        <circle r="${no.raio}" fill="${cor}" 
+                                stroke="${no.item.cancelada ? COR_MAPA_CANCELADA : 'white'}"></circle>
+                        ${mostrarRotulos ? `<text dy="${no.raio + 11}" text-anchor="middle">${escaparHtml(rotuloCitacao(no.item))}</text>` : ''}
+                        <title>${escaparHtml(rotuloCitacao(no.item))}${no.item.cancelada ? ' (cancelada)' : ''} - ${escaparHtml(truncateText(no.item.titulo || no.item.tese || no.item.nome || '', 120))}</title>
+                    </g>
+                `;
+            }).join('')}
+        </g>
+    `;
+    
+    const linhas = svg.querySelectorAll('.mapa-aresta');
+    const grupos = svg.querySelectorAll('.mapa-no');
+    mapaSimulacao = { nos: simNos, arestas: simArestas, linhas, grupos, alfa: 1, quadro: null };
+    
+    // Só reenquadrar quando todos os nós são novos (evita "pular" ao expandir)
+    const ajustarAoFim = simNos.every(no => !mapaPosicoes.has(no.id));
+    animarMapa(ajustarAoFim);
+}
+
+/**
+ * Um passo do layout: repulsão entre todos, molas nas arestas e leve atração ao centro
+ * @param {Object} simulacao
+ */
+function passoMapa(simulacao) {
+    const { nos, arestas } = simulacao;
+    
+    for (let i = 0; i < nos.length; i++) {
+        for (let j = i + 1; j < nos.length; j++) {
+            const a = nos[i];
+            const b = nos[j];
+            let dx = a.x - b.x;
+            let dy = a.y - b.y;
+            let dist2 = dx * dx + dy * dy;
+            if (dist2 < 0.01) {
+                dx = Math.random() - 0.5;
+                dy = Math.random() - 0.5;
+                dist2 = 0.01;
+            }
+            if (dist2 > 250000) continue; // Longe demais para importar
+            const forca = REPULSAO_MAPA / dist2;
+            const dist = Math.sqrt(dist2);
+            a.vx += (dx / dist) * forca;
+            a.vy += (dy / dist) * forca;
+            b.vx -= (dx / dist) * forca;
+            b.vy -= (dy / dist) * forca;
+        }
+    }
+    
+    arestas.forEach(({ a, b }) => {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const forca = (dist - DISTANCIA_ARESTA_MAPA) * 0.05;
+        a.vx += (dx / dist) * forca;
+        a.vy += (dy / dist) * forca;
+        b.vx -= (dx / dist) * forca;
+        b.vy -= (dy / dist) * forca;
+    });
+    
+    nos.forEach(no => {
+        no.vx -= no.x * 0.005;
+        no.vy -= no.y * 0.005;
+        // Deslocamento limitado por passo, encolhendo com o "resfriamento"
+        const limite = 30 * simulacao.alfa;
+        no.x += Math.max(-limite, Math.min(limite, no.vx * simulacao.alfa));
+        no.y += Math.max(-limite, Math.min(limite, no.vy * simulacao.alfa));
+        no.vx *= 0.6;
+        no.vy *= 0.6;
+    });
+    
+    simulacao.alfa *= 0.985;
+}
+
+function desenharPosicoesMapa(simulacao) {
+    simulacao.arestas.forEach((aresta, i) => {
+        const linha = simulacao.linhas[i];
+        linha.setAttribute('x1', aresta.a.x.toFixed(1));
+        linha.setAttribute('y1', aresta.a.y.toFixed(1));
+        linha.setAttribute('x2', aresta.b.x.toFixed(1));
+        linha.setAttribute('y2', aresta.b.y.toFixed(1));
+    });
+    simulacao.nos.forEach((no, i) => {
+        simulacao.grupos[i].setAttribute('transform', `translate(${no.x.toFixed(1)},${no.y.toFixed(1)})`);
+        mapaPosicoes.set(no.id, { x: no.x, y: no.y });
     });
+}
+
+/**
+ * Roda o layout quadro a quadro até estabilizar
+ * @param {boolean} ajustarAoFim - Reenquadrar a visão quando terminar
+ */
+function animarMapa(ajustarAoFim) {
+    const simulacao = mapaSimulacao;
+    // Grafos grandes fazem menos passos por quadro para não travar a página
+    const passosPorQuadro = simulacao.nos.length > 300 ? 1 : 3;
+    
+    const quadro = () => {
+        if (mapaSimulacao !== simulacao) return;
+        for (let i = 0; i < passosPorQuadro && simulacao.alfa > 0.02; i++) {
+            passoMapa(simulacao);
+        }
+        desenharPosicoesMapa(simulacao);
+        
+        if (simulacao.alfa > 0.02) {
+            simulacao.quadro = requestAnimationFrame(quadro);
+        } else {
+            simulacao.quadro = null;
+            if (ajustarAoFim) enquadrarMapa();
+        }
+    };
+    
+    if (ajustarAoFim) enquadrarMapa();
+    quadro();
+}
+
+function enquadrarMapa() {
+    if (!mapaSimulacao || mapaSimulacao.nos.length === 0) return;
+    
+    const xs = mapaSimulacao.nos.map(no => no.x);
+    const ys = mapaSimulacao.nos.map(no => no.y);
+    const margem = 40;
+    const minX = Math.min(...xs) - margem;
+    const minY = Math.min(...ys) - margem;
+    mapaViewBox = {
+        x: minX,
+        y: minY,
+        w: Math.max(200, Math.max(...xs) + margem - minX),
+        h: Math.max(150, Math.max(...ys) + margem - minY)
+    };
+    aplicarViewBoxMapa();
+}
+
+function aplicarViewBoxMapa() {
+    const svg = document.getElementById('mapaSvg');
+    if (!svg) return;
+    const { x, y, w, h } = mapaViewBox;
+    svg.setAttribute('viewBox', `${x} ${y} ${w} ${h}`);
+}
+
+/**
+ * Clique abre os detalhes; Shift+clique expande a vizinhança do nó
+ * @param {MouseEvent} event
+ * @param {string} id
+ */
+function cliqueNoMapa(event, id) {
+    if (event.shiftKey) {
+        expandirNoMapa(id);
+    } else {
+        abrirDetalhes(id);
+    }
+}
+
+function expandirNoMapa(id) {
+    mapaFoco.add(id);
+    renderizarMapa();
+}
+
+/**
+ * Centraliza o mapa num verbete digitado ("Súmula 331", "OJ 394 SBDI-1", "Tema 5")
+ */
+function focarItemMapa() {
+    const campo = document.getElementById('mapaFocoInput');
+    const texto = campo ? campo.value.trim() : '';
+    if (!texto) return;
+    
+    const citacao = interpretarCitacao(texto);
+    const tema = normalizarTexto(texto).match(/^tema\s*(\d+)$/);
+    let itens = [];
+    if (citacao) {
+        itens = resolverCitacao(citacao);
+    } else if (tema) {
+        itens = todosItens.filter(item => item.source === 'tese' && String(item.tema) === tema[1]);
+    }
+    
+    if (itens.length === 0) {
+        mostrarToast('Item não encontrado. Use, por exemplo, "Súmula 331" ou "Tema 5"', 'warning');
+        return;
+    }
     
-    html += '</div>';
-    container.innerHTML = html;
+    mapaFoco = new Set(itens.map(item => item.id));
+    mapaPosicoes = new Map();
+    renderizarMapa();
+}
+
+function mostrarVisaoGeralMapa() {
+    mapaFoco = new Set();
+    const campo = document.getElementById('mapaFocoInput');
+    if (campo) campo.value = '';
+    renderizarMapa();
+}
+
+/**
+ * Zoom com a roda do mouse, centrado no cursor
+ * @param {WheelEvent} event
+ */
+function zoomMapa(event) {
+    event.preventDefault();
+    const svg = document.getElementById('mapaSvg');
+    const rect = svg.getBoundingClientRect();
+    const fator = event.deltaY > 0 ? 1.15 : 1 / 1.15;
+    const px = mapaViewBox.x + ((event.clientX - rect.left) / rect.width) * mapaViewBox.w;
+    const py = mapaViewBox.y + ((event.clientY - rect.top) / rect.height) * mapaViewBox.h;
+    
+    mapaViewBox = {
+        x: px - (px - mapaViewBox.x) * fator,
+        y: py - (py - mapaViewBox.y) * fator,
+        w: mapaViewBox.w * fator,
+        h: mapaViewBox.h * fator
+    };
+    aplicarViewBoxMapa();
+}
+
+/**
+ * Arrastar o fundo do mapa desloca a visão
+ * @param {MouseEvent} event
+ */
+function iniciarArrasteMapa(event) {
+    if (event.target.closest && event.target.closest('.mapa-no')) return;
+    
+    const svg = document.getElementById('mapaSvg');
+    const rect = svg.getBoundingClientRect();
+    const inicio = { x: event.clientX, y: event.clientY, viewBox: { ...mapaViewBox } };
+    
+    const mover = e => {
+        mapaViewBox = {
+            ...inicio.viewBox,
+            x: inicio.viewBox.x - ((e.clientX - inicio.x) / rect.width) * inicio.viewBox.w,
+            y: inicio.viewBox.y - ((e.clientY - inicio.y) / rect.height) * inicio.viewBox.h
+        };
+        aplicarViewBoxMapa();
+    };
+    const soltar = () => {
+        document.removeEventListener('mousemove', mover);
+        document.removeEventListener('mouseup', soltar);
+    };
+    document.addEventListener('mousemove', mover);
+    document.addEventListener('mouseup', soltar);
 }
 
 // ========== REMOÇÃO DE DOCUMENTOS ==========
-function removerDocumento(id, tipo) {
+async function removerDocumento(id, tipo) {
     if (!confirm('Tem certeza que deseja remover este documento?')) {
         return;
     }
     
+    // Se a lista não for salva, o documento continua (a mensagem vem do armazenamento.aoFalhar)
     if (tipo === 'informativo') {
-        informativos = informativos.filter(info => info.id !== id);
-        localStorage.setItem('juristst_informativos', JSON.stringify(informativos));
+        const restantes = informativos.filter(info => info.id !== id);
+        if (!(await armazenamento.setItem('juristst_informativos', JSON.stringify(restantes)))) return;
+        informativos = restantes;
         renderizarInformativos();
     } else if (tipo === 'tese') {
-        tesesVinculantes = tesesVinculantes.filter(tese => tese.id !== id);
-        localStorage.setItem('juristst_teses', JSON.stringify(tesesVinculantes));
+        const restantes = tesesVinculantes.filter(tese => tese.id !== id);
+        if (!(await armazenamento.setItem('juristst_teses', JSON.stringify(restantes)))) return;
+        tesesVinculantes = restantes;
         filtrarTeses();
     }
     
-    // Remover do array geral
-    todosItens = todosItens.filter(item => item.id !== id);
+    removerPdf(id);
+    
+    // As decisões separadas do informativo saem junto com ele
+    const ids = [id, ...todosItens.filter(item => item.informativoId === id).map(item => item.id)];
+    
+    // Remover do array geral e do índice de busca
+    todosItens = todosItens.filter(item => !ids.includes(item.id));
+    ids.forEach(removerItemDoIndice);
     
     // Remover dos favoritos se estiver lá
-    if (favoritos.includes(id)) {
-        favoritos = favoritos.filter(fav => fav !== id);
-        localStorage.setItem('juristst_favoritos', JSON.stringify(favoritos));
+    if (favoritos.some(fav => ids.includes(fav))) {
+        favoritos = favoritos.filter(fav => !ids.includes(fav));
+        armazenamento.setItem('juristst_favoritos', JSON.stringify(favoritos));
     }
     
     // Remover anotações
-    if (anotacoes[id]) {
-        delete anotacoes[id];
-        localStorage.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
+    if (ids.some(itemId => anotacoes[itemId])) {
+        ids.forEach(itemId => {
+            delete anotacoes[itemId];
+            delete datasAnotacoes[itemId];
+        });
+        armazenamento.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
+        armazenamento.setItem('juristst_anotacoes_datas', JSON.stringify(datasAnotacoes));
     }
     
     // Remover tags
-    if (tags[id]) {
-        delete tags[id];
-        localStorage.setItem('juristst_tags', JSON.stringify(tags));
+    if (ids.some(itemId => tags[itemId])) {
+        ids.forEach(itemId => delete tags[itemId]);
+        armazenamento.setItem('juristst_tags', JSON.stringify(tags));
     }
     
-    // Remover correlações
-    if (correlacoes[id]) {
-        delete correlacoes[id];
-        localStorage.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
-    }
+    // Remover correlações (dos dois lados, com as notas)
+    ids.forEach(itemId => {
+        [...(correlacoes[itemId] || [])].forEach(relId => removerCorrelacao(itemId, relId));
+    });
     
     mostrarToast('Documento removido com sucesso', 'success');
 }
 
+// ========== CONFIGURAÇÕES ==========
+async function exibirUsoArmazenamento() {
+    const area = document.getElementById('usoArmazenamento');
+    if (!area) return;
+    
+    area.innerHTML = '<p class="configuracao-descricao">⏳ Calculando...</p>';
+    try {
+        area.innerHTML = htmlUsoArmazenamento(await calcularUsoArmazenamento());
+    } catch (error) {
+        console.error('❌ Erro ao calcular uso do armazenamento:', error);
+        area.innerHTML = '';
+        mostrarToast(`Erro ao calcular o uso do armazenamento: ${error.message}`, 'error');
+    }
+}
+
 // ========== UTILITÁRIOS ==========
 function formatarTexto(texto) {
     if (!texto) return '';
@@ -1768,9 +5718,16 @@ function limparFiltros() {
     document.getElementById('filterOrgao').value = 'todos';
     document.getElementById('filterNumero').value = '';
     document.getElementById('filterTags').value = '';
+    document.getElementById('filterDispositivo').value = 'todos';
+    document.getElementById('filterResolucao').value = 'todos';
+    document.getElementById('filterDataInicio').value = '';
+    document.getElementById('filterDataFim').value = '';
     document.getElementById('statusTodos').checked = true;
     
     searchTerm = '';
+    termosDestaque = [];
+    mostrarSugestaoBusca(null);
+    mostrarDicaCitacao([]);
     statusFiltro = 'todos';
     
     realizarBusca();
@@ -1908,14 +5865,26 @@ window.debugStats = function() {
     });
 };
 
-window.exportarDados = function() {
+window.exportarDados = async function() {
+    // O backup continua autossuficiente: PDFs guardados como Blob voltam como data URL
+    const embutirPdfs = itens => Promise.all(itens.map(async item => {
+        if (!item.pdfArmazenado) return item;
+        const blob = await carregarPdf(item.id);
+        if (!blob) return item;
+        const { pdfArmazenado, ...semMarca } = item;
+        return { ...semMarca, conteudo: await blobParaDataUrl(blob) };
+    }));
+    
     const dados = {
         favoritos,
         anotacoes,
+        datasAnotacoes,
         tags,
         correlacoes,
-        informativos,
-        tesesVinculantes
+        notasCorrelacoes,
+        historicoRedacoes,
+        informativos: await embutirPdfs(informativos),
+        tesesVinculantes: await embutirPdfs(tesesVinculantes)
     };
     
     const blob = new Blob([JSON.stringify(dados, null, 2)], { type: 'application/json' });
@@ -1929,36 +5898,57 @@ window.exportarDados = function() {
 
 window.importarDados = function(arquivo) {
     const reader = new FileReader();
-    reader.onload = function(e) {
+    reader.onload = async function(e) {
         try {
             const dados = JSON.parse(e.target.result);
             
             // Importar dados
+            const gravacoes = [];
             if (dados.favoritos) {
                 favoritos = dados.favoritos;
-                localStorage.setItem('juristst_favoritos', JSON.stringify(favoritos));
+                gravacoes.push(armazenamento.setItem('juristst_favoritos', JSON.stringify(favoritos)));
             }
             if (dados.anotacoes) {
                 anotacoes = dados.anotacoes;
-                localStorage.setItem('juristst_anotacoes', JSON.stringify(anotacoes));
+                gravacoes.push(armazenamento.setItem('juristst_anotacoes', JSON.stringify(anotacoes)));
+            }
+            if (dados.datasAnotacoes) {
+                datasAnotacoes = dados.datasAnotacoes;
+                gravacoes.push(armazenamento.setItem('juristst_anotacoes_datas', JSON.stringify(datasAnotacoes)));
             }
             if (dados.tags) {
                 tags = dados.tags;
-                localStorage.setItem('juristst_tags', JSON.stringify(tags));
+                gravacoes.push(armazenamento.setItem('juristst_tags', JSON.stringify(tags)));
             }
             if (dados.correlacoes) {
                 correlacoes = dados.correlacoes;
-                localStorage.setItem('juristst_correlacoes', JSON.stringify(correlacoes));
+                gravacoes.push(armazenamento.setItem('juristst_correlacoes', JSON.stringify(correlacoes)));
+            }
+            if (dados.notasCorrelacoes) {
+                notasCorrelacoes = dados.notasCorrelacoes;
+                gravacoes.push(armazenamento.setItem('juristst_notas_correlacoes', JSON.stringify(notasCorrelacoes)));
+            }
+            if (dados.historicoRedacoes) {
+                historicoRedacoes = dados.historicoRedacoes;
+                gravacoes.push(armazenamento.setItem('juristst_historico', JSON.stringify(historicoRedacoes)));
             }
             if (dados.informativos) {
-                informativos = dados.informativos;
-                localStorage.setItem('juristst_informativos', JSON.stringify(informativos));
+                informativos = await separarPdfsEmbutidos(dados.informativos);
+                gravacoes.push(armazenamento.setItem('juristst_informativos', JSON.stringify(informativos)));
             }
             if (dados.tesesVinculantes) {
-                tesesVinculantes = dados.tesesVinculantes;
-                localStorage.setItem('juristst_teses', JSON.stringify(tesesVinculantes));
+                tesesVinculantes = await separarPdfsEmbutidos(dados.tesesVinculantes);
+                gravacoes.push(armazenamento.setItem('juristst_teses', JSON.stringify(tesesVinculantes)));
+            }
+            
+            if ((await Promise.all(gravacoes)).includes(false)) {
+                mostrarToast('Importação incompleta: parte dos dados não foi salva', 'error');
+                return;
             }
             
+            // Backups antigos podem conter IDs de OJ sem órgão
+            armazenamento.removeItem('juristst_versao_ids');
+            
             console.log('✅ Dados importados com sucesso');
             mostrarToast('Dados importados com sucesso. Recarregue a página.', 'success');
             
@@ -1968,7 +5958,7 @@ window.importarDados = function(arquivo) {
             }, 2000);
         } catch (error) {
             console.error('❌ Erro ao importar dados:', error);
-            mostrarToast('Erro ao importar dados', 'error');
+            mostrarToast(`Erro ao importar dados: ${error.message}`, 'error');
         }
     };
     reader.readAsText(arquivo);
@@ -1983,19 +5973,24 @@ window.limparTodosDados = function() {
         return;
     }
     
-    // Limpar localStorage
-    localStorage.removeItem('juristst_favoritos');
-    localStorage.removeItem('juristst_anotacoes');
-    localStorage.removeItem('juristst_tags');
-    localStorage.removeItem('juristst_correlacoes');
-    localStorage.removeItem('juristst_informativos');
-    localStorage.removeItem('juristst_teses');
+    // Limpar armazenamento local
+    armazenamento.removeItem('juristst_favoritos');
+    armazenamento.removeItem('juristst_anotacoes');
+    armazenamento.removeItem('juristst_anotacoes_datas');
+    armazenamento.removeItem('juristst_tags');
+    armazenamento.removeItem('juristst_correlacoes');
+    armazenamento.removeItem('juristst_notas_correlacoes');
+    armazenamento.removeItem('juristst_informativos');
+    armazenamento.removeItem('juristst_teses');
+    limparPdfs();
     
     // Limpar variáveis
     favoritos = [];
     anotacoes = {};
+    datasAnotacoes = {};
     tags = {};
     correlacoes = {};
+    notasCorrelacoes = {};
     informativos = [];
     tesesVinculantes = [];
     
@@ -2008,6 +6003,46 @@ window.limparTodosDados = function() {
     }, 2000);
 };
 
+// ========== NOVA VERSÃO (MODO OFFLINE) ==========
+// O sw.js serve tudo do cache e avisa quando baixou arquivos novos; a página só
+// passa a usá-los depois do "Atualizar" (ver offline.js)
+
+/**
+ * Mostra a faixa "nova versão disponível"
+ * @param {string[]} arquivos - Arquivos que mudaram, informados pelo service worker
+ */
+function mostrarAvisoNovaVersao(arquivos) {
+    const soBase = arquivos.every(arquivo => arquivo === 'tst_data_complete.json');
+    // Com a base aplicada pelo admin, carregarJurisprudencia não lê o JSON publicado
+    const baseDoAdmin = arquivos.includes('tst_data_complete.json') && armazenamento.getItem('juristst_data') !== null;
+    
+    let texto = soBase
+        ? '🔄 Nova versão da base de jurisprudência disponível'
+        : '🔄 Nova versão do JurisTST disponível';
+    if (baseDoAdmin) {
+        texto += '. Este navegador usa a base aplicada no admin e continua com ela até você escolher a publicada';
+    }
+    
+    document.getElementById('avisoNovaVersaoTexto').textContent = texto;
+    document.getElementById('avisoNovaVersaoAtualizar').style.display = soBase && baseDoAdmin ? 'none' : '';
+    document.getElementById('avisoNovaVersaoBasePublicada').style.display = baseDoAdmin ? '' : 'none';
+    document.getElementById('avisoNovaVersao').classList.add('show');
+    console.log(`🔄 Nova versão disponível (${arquivos.join(', ')})`);
+}
+
+// Descarta a base aplicada pelo admin neste navegador e passa para a versão nova
+async function usarBasePublicada() {
+    await Promise.all([
+        armazenamento.removeItem('juristst_data'),
+        armazenamento.removeItem('juristst_data_updated')
+    ]);
+    atualizarParaNovaVersao();
+}
+
+function fecharAvisoNovaVersao() {
+    document.getElementById('avisoNovaVersao').classList.remove('show');
+}
+
 // ========== INICIALIZAÇÃO ==========
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 JurisTST - Sistema Inteligente de Busca de Jurisprudência');
@@ -2020,7 +6055,9 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('  3. Anotações e tags em teses vinculantes');
     console.log('  4. Modal com fechamento robusto');
     
-    carregarDados();
+    armazenamento.aoFalhar = mensagem => mostrarToast(mensagem, 'error');
+    iniciarArmazenamento().then(carregarDados);
+    registrarServiceWorker(mostrarAvisoNovaVersao);
     
     // Event Listener: Fechar modal com ESC
     document.addEventListener('keydown', function(e) {
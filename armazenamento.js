@@ -0,0 +1,375 @@
+// JurisTST - Armazenamento local em IndexedDB
+// Compartilhado entre index.html e admin.html. Depois de iniciarArmazenamento() os dados
+// ficam em memória e `armazenamento` responde como o localStorage (leitura síncrona);
+// cada gravação segue para o IndexedDB e devolve uma Promise com o resultado. PDFs
+// ficam como Blobs em um store próprio, fora dos JSONs
+
+const NOME_BANCO = 'juristst';
+const VERSAO_BANCO = 1;
+const STORE_DADOS = 'dados'; // 'juristst_*' → string JSON (mesmo formato que ficava no localStorage)
+const STORE_PDFS = 'pdfs';   // id do documento → Blob
+
+// Listas que podiam guardar o PDF como data URL no campo "conteudo"
+const CHAVES_COM_PDF = ['juristst_informativos', 'juristst_teses'];
+
+const ROTULOS_ARMAZENAMENTO = {
+    juristst_data: 'Base de jurisprudência (atualização do admin)',
+    juristst_informativos: 'Informativos',
+    juristst_teses: 'Teses vinculantes',
+    juristst_historico: 'Redações anteriores',
+    juristst_base_vista: 'Última base vista (para as redações anteriores)',
+    juristst_favoritos: 'Favoritos',
+    juristst_anotacoes: 'Anotações',
+    juristst_anotacoes_datas: 'Datas das anotações',
+    juristst_tags: 'Tags',
+    juristst_correlacoes: 'Correlações',
+    juristst_notas_correlacoes: 'Notas das correlações',
+    juristst_tesauro: 'Tesauro',
+    juristst_ordenacao: 'Ordem das listas'
+};
+
+let bancoDados = null;
+let usandoLocalStorage = false; // Sem IndexedDB (navegadores antigos, alguns modos privados)
+const chavesNaoMigradas = new Set(); // Ficaram no localStorage porque a cópia para o banco falhou
+const cacheArmazenamento = new Map();
+
+const armazenamento = {
+    getItem(chave) {
+        return cacheArmazenamento.has(chave) ? cacheArmazenamento.get(chave) : null;
+    },
+
+    /**
+     * Grava e avisa a página se falhar
+     * @returns {Promise<boolean>} Se o valor foi salvo; quem informa "salvo" ao usuário espera o resultado
+     */
+    setItem(chave, valor) {
+        return armazenamento.gravar(chave, valor).then(() => true, error => {
+            armazenamento.aoFalhar(error.message);
+            return false;
+        });
+    },
+
+    /**
+     * Grava no cache e no IndexedDB. Se a gravação falhar, o cache volta ao valor anterior
+     * @returns {Promise<void>} Rejeita com a mensagem pronta (ver mensagemErroArmazenamento)
+     */
+    gravar(chave, valor) {
+        const texto = String(valor);
+        const anterior = cacheArmazenamento.get(chave);
+        cacheArmazenamento.set(chave, texto);
+
+        const gravacao = usandoLocalStorage
+            ? new Promise(resolve => resolve(localStorage.setItem(chave, texto)))
+            : executarNoStore(STORE_DADOS, 'readwrite', store => store.put(texto, chave));
+
+        return gravacao.then(() => {
+            // Gravado no banco: a cópia que a migração não conseguiu levar ficou para trás
+            if (chavesNaoMigradas.delete(chave)) localStorage.removeItem(chave);
+        }, error => {
+            // Só desfaz se nenhuma gravação mais nova passou por cima
+            if (cacheArmazenamento.get(chave) === texto) {
+                if (anterior === undefined) cacheArmazenamento.delete(chave);
+                else cacheArmazenamento.set(chave, anterior);
+            }
+            throw new Error(mensagemErroArmazenamento(error, chave));
+        });
+    },
+
+    /**
+     * @returns {Promise<void>} Quando a remoção chegou ao banco
+     */
+    removeItem(chave) {
+        cacheArmazenamento.delete(chave);
+        if (usandoLocalStorage) {
+            localStorage.removeItem(chave);
+            return Promise.resolve();
+        }
+        return executarNoStore(STORE_DADOS, 'readwrite', store => store.delete(chave))
+            .catch(error => console.error(`❌ Erro ao remover ${chave}:`, error));
+    },
+
+    // Cada página troca pelo seu jeito de avisar (toast no app, alerta no admin)
+    aoFalhar(mensagem) {
+        console.error(mensagem);
+        alert(mensagem);
+    }
+};
+
+/**
+ * Mensagem para o usuário quando uma gravação falha
+ * @param {Error} error
+ * @param {string} chave
+ * @returns {string}
+ */
+function mensagemErroArmazenamento(error, chave) {
+    const rotulo = ROTULOS_ARMAZENAMENTO[chave] || chave;
+    const cotaEsgotada = error && (error.name === 'QuotaExceededError' || error.code === 22);
+    if (cotaEsgotada) {
+        return `💾 Espaço do navegador esgotado: "${rotulo}" não foi salvo. ` +
+            'Exclua informativos que não usa mais ou exporte um backup antes de continuar ' +
+            '(o espaço ocupado aparece em ⚙️ Configurações).';
+    }
+    return `❌ Não foi possível salvar "${rotulo}": ${error ? error.message : 'erro desconhecido'}`;
+}
+
+function abrirBanco() {
+    return new Promise((resolve, reject) => {
+        const pedido = indexedDB.open(NOME_BANCO, VERSAO_BANCO);
+        pedido.onupgradeneeded = () => {
+            const banco = pedido.result;
+            if (!banco.objectStoreNames.contains(STORE_DADOS)) banco.createObjectStore(STORE_DADOS);
+            if (!banco.objectStoreNames.contains(STORE_PDFS)) banco.createObjectStore(STORE_PDFS);
+        };
+        pedido.onsuccess = () => {
+            // Uma aba com versão mais nova do banco não fica esperando por esta
+            pedido.result.onversionchange = () => pedido.result.close();
+            resolve(pedido.result);
+        };
+        pedido.onerror = () => reject(pedido.error);
+        // Outra aba ainda usa a versão anterior: o pedido continua e termina quando ela fechar
+        pedido.onblocked = () => armazenamento.aoFalhar('⏳ Feche as outras abas do JurisTST para terminar de abrir os dados salvos.');
+    });
+}
+
+/**
+ * Executa operações em um store e espera a transação terminar
+ * @param {string} nomeStore
+ * @param {'readonly'|'readwrite'} modo
+ * @param {Function} operacao - store → IDBRequest (ou array de IDBRequest)
+ * @returns {Promise<*>} result do(s) pedido(s)
+ */
+function executarNoStore(nomeStore, modo, operacao) {
+    return new Promise((resolve, reject) => {
+        const transacao = bancoDados.transaction(nomeStore, modo);
+        const pedidos = operacao(transacao.objectStore(nomeStore));
+        transacao.oncomplete = () => resolve(Array.isArray(pedidos) ? pedidos.map(p => p.result) : pedidos && pedidos.result);
+        transacao.onerror = () => reject(transacao.error);
+        transacao.onabort = () => reject(transacao.error || new Error('Transação cancelada'));
+    });
+}
+
+function chavesLocalStorage() {
+    const chaves = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const chave = localStorage.key(i);
+        if (chave && chave.startsWith('juristst_')) chaves.push(chave);
+    }
+    return chaves;
+}
+
+/**
+ * Abre o banco, carrega tudo para a memória e migra o que ainda estiver no localStorage.
+ * Precisa terminar antes de qualquer leitura
+ * @returns {Promise<void>}
+ */
+async function iniciarArmazenamento() {
+    if (bancoDados || usandoLocalStorage) return;
+
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB não suportado');
+        bancoDados = await abrirBanco();
+
+        const [chaves, valores] = await executarNoStore(STORE_DADOS, 'readonly', store => [store.getAllKeys(), store.getAll()]);
+        chaves.forEach((chave, index) => cacheArmazenamento.set(chave, valores[index]));
+    } catch (error) {
+        // Só sem banco nenhum: o que já está no IndexedDB nunca é trocado pelo localStorage
+        console.warn('⚠️ IndexedDB indisponível, usando localStorage:', error.message);
+        bancoDados = null;
+        usandoLocalStorage = true;
+        cacheArmazenamento.clear();
+        chavesLocalStorage().forEach(chave => cacheArmazenamento.set(chave, localStorage.getItem(chave)));
+        return;
+    }
+
+    await migrarLocalStorage();
+    console.log(`💾 Armazenamento pronto (IndexedDB): ${cacheArmazenamento.size} chaves`);
+}
+
+/**
+ * Copia as chaves 'juristst_*' do localStorage para o IndexedDB (PDFs viram Blobs)
+ * e libera cada uma no localStorage assim que chega ao banco. O que ainda está no
+ * localStorage é mais novo que o banco (versão anterior do app ou visita sem IndexedDB).
+ * Se a cópia falhar (cota, por exemplo), a chave fica no localStorage para a próxima
+ * visita e a sessão segue com o valor que já estava no banco
+ */
+async function migrarLocalStorage() {
+    const chaves = chavesLocalStorage();
+    if (chaves.length === 0) return;
+
+    const falhas = [];
+    for (const chave of chaves) {
+        let valor = localStorage.getItem(chave);
+        try {
+            if (CHAVES_COM_PDF.includes(chave)) {
+                try {
+                    valor = JSON.stringify(await separarPdfsEmbutidos(JSON.parse(valor)));
+                } catch (error) {
+                    console.warn(`⚠️ Migração: ${chave} copiado sem separar PDFs`, error);
+                }
+            }
+            await executarNoStore(STORE_DADOS, 'readwrite', store => store.put(valor, chave));
+            cacheArmazenamento.set(chave, valor);
+            localStorage.removeItem(chave);
+        } catch (error) {
+            console.error(`❌ Migração: ${chave} continua no localStorage`, error);
+            chavesNaoMigradas.add(chave);
+            falhas.push(mensagemErroArmazenamento(error, chave));
+        }
+    }
+
+    console.log(`🔄 Migração: ${chaves.length - falhas.length} de ${chaves.length} chaves movidas do localStorage para o IndexedDB`);
+    if (falhas.length > 0) {
+        armazenamento.aoFalhar(`Dados antigos não puderam ser copiados para o novo armazenamento e continuam guardados à parte:\n${falhas.join('\n')}`);
+    }
+}
+
+/**
+ * Move para o store de PDFs os data URLs guardados em "conteudo"
+ * @param {Array} itens - Informativos ou teses
+ * @returns {Promise<Array>} Itens sem o data URL, marcados com pdfArmazenado
+ */
+async function separarPdfsEmbutidos(itens) {
+    if (!Array.isArray(itens)) return itens;
+
+    const resultado = [];
+    for (const item of itens) {
+        if (item && typeof item.conteudo === 'string' && item.conteudo.startsWith('data:') && item.id && bancoDados) {
+            await salvarPdf(item.id, dataUrlParaBlob(item.conteudo));
+            const { conteudo, ...semConteudo } = item;
+            resultado.push({ ...semConteudo, pdfArmazenado: true });
+        } else {
+            resultado.push(item);
+        }
+    }
+    return resultado;
+}
+
+function dataUrlParaBlob(dataUrl) {
+    const [cabecalho, dados] = dataUrl.split(',');
+    const tipo = (cabecalho.match(/^data:([^;,]+)/) || [])[1] || 'application/pdf';
+    const binario = atob(dados || '');
+    const bytes = new Uint8Array(binario.length);
+    for (let i = 0; i < binario.length; i++) bytes[i] = binario.charCodeAt(i);
+    return new Blob([bytes], { type: tipo });
+}
+
+function blobParaDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ========== PDFs ==========
+
+/**
+ * @returns {boolean} Se os PDFs podem ser guardados como Blob
+ */
+function armazenamentoSuportaPdf() {
+    return Boolean(bancoDados);
+}
+
+/**
+ * @param {string} id - ID do informativo/tese
+ * @param {Blob} blob
+ * @returns {Promise<void>} Rejeita com a mensagem pronta quando falta espaço
+ */
+async function salvarPdf(id, blob) {
+    try {
+        await executarNoStore(STORE_PDFS, 'readwrite', store => store.put(blob, id));
+    } catch (error) {
+        throw new Error(mensagemErroArmazenamento(error, 'PDF'));
+    }
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Blob|null>}
+ */
+async function carregarPdf(id) {
+    if (!bancoDados) return null;
+    const blob = await executarNoStore(STORE_PDFS, 'readonly', store => store.get(id));
+    return blob || null;
+}
+
+function removerPdf(id) {
+    if (!bancoDados) return Promise.resolve();
+    return executarNoStore(STORE_PDFS, 'readwrite', store => store.delete(id))
+        .catch(error => console.error(`❌ Erro ao remover PDF ${id}:`, error));
+}
+
+function limparPdfs() {
+    if (!bancoDados) return Promise.resolve();
+    return executarNoStore(STORE_PDFS, 'readwrite', store => store.clear());
+}
+
+// ========== USO DO ESPAÇO ==========
+
+/**
+ * Espaço ocupado por chave e pelos PDFs, mais a cota informada pelo navegador
+ * @returns {Promise<{modo: string, usado: number|null, cota: number|null, chaves: Array<{chave, rotulo, bytes}>, pdfs: {quantidade: number, bytes: number}}>}
+ */
+async function calcularUsoArmazenamento() {
+    const chaves = [...cacheArmazenamento.entries()]
+        .map(([chave, valor]) => ({ chave, rotulo: ROTULOS_ARMAZENAMENTO[chave] || chave, bytes: new Blob([valor || '']).size }))
+        .sort((a, b) => b.bytes - a.bytes);
+
+    const pdfs = { quantidade: 0, bytes: 0 };
+    if (bancoDados) {
+        const blobs = await executarNoStore(STORE_PDFS, 'readonly', store => store.getAll());
+        blobs.forEach(blob => {
+            pdfs.quantidade++;
+            pdfs.bytes += blob && blob.size ? blob.size : 0;
+        });
+    }
+
+    let usado = null;
+    let cota = null;
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        const estimativa = await navigator.storage.estimate();
+        usado = estimativa.usage ?? null;
+        cota = estimativa.quota ?? null;
+    }
+
+    return { modo: usandoLocalStorage ? 'localStorage' : 'IndexedDB', usado, cota, chaves, pdfs };
+}
+
+/**
+ * Painel de uso do espaço (barra da cota e tabela por conteúdo), o mesmo no app e no admin
+ * @param {Object} uso - Retorno de calcularUsoArmazenamento
+ * @returns {string} HTML
+ */
+function htmlUsoArmazenamento(uso) {
+    const percentual = uso.usado !== null && uso.cota ? Math.min(100, uso.usado / uso.cota * 100) : null;
+
+    return `
+        <p><strong>Modo:</strong> ${uso.modo}${uso.modo === 'localStorage' ? ' (IndexedDB indisponível neste navegador; limite de poucos MB)' : ''}</p>
+        ${percentual !== null ? `
+            <div class="armazenamento-barra ${percentual > 90 ? 'cheia' : ''}"><div style="width: ${percentual.toFixed(1)}%"></div></div>
+            <p class="armazenamento-total">${formatarBytes(uso.usado)} de ${formatarBytes(uso.cota)} (${percentual.toFixed(1)}%)</p>
+        ` : ''}
+        <div class="armazenamento-tabela">
+            <table>
+                <thead><tr><th>Conteúdo</th><th>Chave</th><th>Tamanho</th></tr></thead>
+                <tbody>
+                    ${uso.chaves.map(({ chave, rotulo, bytes }) => `
+                        <tr><td>${rotulo}</td><td><code>${chave}</code></td><td>${formatarBytes(bytes)}</td></tr>
+                    `).join('')}
+                    ${uso.pdfs.quantidade > 0 ? `
+                        <tr><td>PDFs (${uso.pdfs.quantidade})</td><td><code>pdfs</code></td><td>${formatarBytes(uso.pdfs.bytes)}</td></tr>
+                    ` : ''}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function formatarBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
@@ -0,0 +1,268 @@
+// JurisTST - Comparação entre versões da base de jurisprudência
+// Compartilhado entre admin.html (relatório "o que mudou") e index.html (redações anteriores)
+
+const LIMITE_CELULAS_DIFF = 4000000; // Acima disso o diff palavra a palavra fica lento demais
+
+/**
+ * Achata o JSON da base em verbetes com os IDs de gerarIdConsistente (sumula_6, oj_sbdi1_102, precedente_6)
+ * @param {Object} dados - {sumulas, ojs: {grupo: []}, precedentes_normativos}
+ * @returns {Map<string, Object>} id → {id, rotulo, tipo, numero, orgao, titulo, texto, cancelada, referencia}
+ */
+function listarVerbetesBase(dados) {
+    const verbetes = new Map();
+    if (!dados || typeof dados !== 'object') return verbetes;
+
+    const adicionar = (item, tipo, orgao) => {
+        const id = gerarIdConsistente(tipo, item.numero, orgao);
+        verbetes.set(id, {
+            id,
+            rotulo: rotuloCitacao({ tipo, numero: item.numero, orgao }),
+            tipo,
+            numero: String(item.numero ?? ''),
+            orgao: orgao || null,
+            titulo: item.titulo || '',
+            texto: item.texto || '',
+            cancelada: Boolean(item.cancelada ?? item.cancelado ?? false),
+            referencia: item.referencia || ''
+        });
+    };
+
+    (Array.isArray(dados.sumulas) ? dados.sumulas : []).forEach(item => {
+        adicionar(item, 'sumula');
+    });
+
+    if (dados.ojs && typeof dados.ojs === 'object') {
+        Object.entries(dados.ojs).forEach(([grupo, ojs]) => {
+            if (!Array.isArray(ojs)) return;
+            const orgao = formatarGrupoOJ(grupo);
+            ojs.forEach(item => adicionar(item, 'oj', orgao));
+        });
+    }
+
+    (Array.isArray(dados.precedentes_normativos) ? dados.precedentes_normativos : []).forEach(item => {
+        adicionar(item, 'precedente');
+    });
+
+    return verbetes;
+}
+
+/**
+ * Compara duas versões da base, verbete a verbete
+ * @param {Object} atual
+ * @param {Object} nova
+ * @returns {{adicionados: Array, removidos: Array, cancelados: Array, restabelecidos: Array, alterados: Array}}
+ *          alterados: [{anterior, novo, titulo: boolean, texto: boolean}]
+ */
+function compararBases(atual, nova) {
+    const anteriores = listarVerbetesBase(atual);
+    const novos = listarVerbetesBase(nova);
+    const relatorio = { adicionados: [], removidos: [], cancelados: [], restabelecidos: [], alterados: [] };
+
+    // Espaços e quebras de linha diferentes não contam como alteração
+    const limpar = texto => String(texto || '').replace(/\s+/g, ' ').trim();
+
+    novos.forEach((novo, id) => {
+        const anterior = anteriores.get(id);
+        if (!anterior) {
+            relatorio.adicionados.push(novo);
+            return;
+        }
+        if (!anterior.cancelada && novo.cancelada) relatorio.cancelados.push(novo);
+        if (anterior.cancelada && !novo.cancelada) relatorio.restabelecidos.push(novo);
+
+        const titulo = limpar(anterior.titulo) !== limpar(novo.titulo);
+        const texto = limpar(anterior.texto) !== limpar(novo.texto);
+        if (titulo || texto) relatorio.alterados.push({ anterior, novo, titulo, texto });
+    });
+
+    anteriores.forEach((anterior, id) => {
+        if (!novos.has(id)) relatorio.removidos.push(anterior);
+    });
+
+    return relatorio;
+}
+
+// ========== REDAÇÕES ANTERIORES ==========
+// A última base vista fica guardada; quando a base muda (JSON republicado ou atualização
+// aplicada no admin), a redação substituída de cada verbete vai para juristst_historico
+
+/**
+ * Acrescenta ao histórico a versão anterior de cada verbete alterado, cancelado, restabelecido ou retirado da base
+ * @param {Object} historico - {itemId: [versões]}, alterado no lugar
+ * @param {Object} baseAnterior
+ * @param {Object} baseNova
+ * @param {string|null} vigenteDesde - ISO de quando a base anterior passou a valer (null = desde a primeira vista)
+ * @param {string} substituidaEm - ISO
+ * @returns {number} Verbetes com redação guardada
+ */
+function guardarRedacoesAnteriores(historico, baseAnterior, baseNova, vigenteDesde, substituidaEm) {
+    const relatorio = compararBases(baseAnterior, baseNova);
+    const anteriores = listarVerbetesBase(baseAnterior);
+    const removidos = new Set(relatorio.removidos.map(verbete => verbete.id));
+
+    const ids = new Set([
+        ...relatorio.alterados.map(({ novo }) => novo.id),
+        ...relatorio.cancelados.map(verbete => verbete.id),
+        ...relatorio.restabelecidos.map(verbete => verbete.id),
+        ...removidos
+    ]);
+
+    ids.forEach(id => {
+        const anterior = anteriores.get(id);
+        if (!historico[id]) historico[id] = [];
+        historico[id].push({
+            titulo: anterior.titulo,
+            texto: anterior.texto,
+            cancelada: anterior.cancelada,
+            referencia: anterior.referencia,
+            vigenteDesde,
+            substituidaEm,
+            ...(removidos.has(id) ? { removida: true } : {})
+        });
+    });
+
+    return ids.size;
+}
+
+/**
+ * Compara a base em uso com a última vista e guarda as redações que ela substituiu
+ * @param {string} textoBase - JSON da base, como veio do arquivo ou do armazenamento
+ * @param {Object} [baseEmUso] - Admin: base atual, para quando o app ainda não guardou nenhuma
+ * @returns {Promise<number>} Verbetes com redação guardada
+ */
+async function registrarBaseVista(textoBase, baseEmUso) {
+    const vista = armazenamento.getItem('juristst_base_vista');
+    if (vista === textoBase) return 0;
+
+    const agora = new Date().toISOString();
+    let guardadas = 0;
+    try {
+        const anterior = vista ? JSON.parse(vista) : baseEmUso;
+        if (anterior) {
+            const historico = JSON.parse(armazenamento.getItem('juristst_historico') || '{}');
+            guardadas = guardarRedacoesAnteriores(historico, anterior, JSON.parse(textoBase),
+                armazenamento.getItem('juristst_base_vista_em'), agora);
+            // Sem o histórico salvo a base vista continua a anterior, e a próxima carga tenta de novo
+            if (guardadas > 0 && !(await armazenamento.setItem('juristst_historico', JSON.stringify(historico)))) return 0;
+        }
+    } catch (error) {
+        console.error('❌ Erro ao comparar com a última base vista:', error);
+    }
+
+    const vistaSalva = await armazenamento.setItem('juristst_base_vista', textoBase);
+    if (vistaSalva && (vista || baseEmUso)) {
+        armazenamento.setItem('juristst_base_vista_em', agora);
+    }
+    return guardadas;
+}
+
+/**
+ * Diferença palavra a palavra (maior subsequência comum)
+ * @param {string} antigo
+ * @param {string} novo
+ * @returns {Array<{tipo: 'igual'|'removido'|'adicionado', texto: string}>}
+ */
+function diferencaPalavras(antigo, novo) {
+    // Palavras e espaços viram tokens separados para preservar a formatação
+    const a = String(antigo || '').split(/(\s+)/).filter(Boolean);
+    const b = String(novo || '').split(/(\s+)/).filter(Boolean);
+
+    // Prefixo e sufixo comuns saem da tabela, que costuma ficar pequena
+    let inicio = 0;
+    while (inicio < a.length && inicio < b.length && a[inicio] === b[inicio]) inicio++;
+    let fimA = a.length;
+    let fimB = b.length;
+    while (fimA > inicio && fimB > inicio && a[fimA - 1] === b[fimB - 1]) {
+        fimA--;
+        fimB--;
+    }
+
+    const partes = [];
+    const empilhar = (tipo, texto) => {
+        const ultima = partes[partes.length - 1];
+        if (ultima && ultima.tipo === tipo) {
+            ultima.texto += texto;
+        } else {
+            partes.push({ tipo, texto });
+        }
+    };
+
+    a.slice(0, inicio).forEach(token => empilhar('igual', token));
+
+    const meioA = a.slice(inicio, fimA);
+    const meioB = b.slice(inicio, fimB);
+    const n = meioA.length;
+    const m = meioB.length;
+
+    if ((n + 1) * (m + 1) > LIMITE_CELULAS_DIFF) {
+        meioA.forEach(token => empilhar('removido', token));
+        meioB.forEach(token => empilhar('adicionado', token));
+    } else {
+        // tabela[i][j] = tamanho da subsequência comum de meioA[i..] e meioB[j..]
+        const tabela = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                tabela[i * (m + 1) + j] = meioA[i] === meioB[j]
+                    ? tabela[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(tabela[(i + 1) * (m + 1) + j], tabela[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (meioA[i] === meioB[j]) {
+                empilhar('igual', meioA[i]);
+                i++;
+                j++;
+            } else if (tabela[(i + 1) * (m + 1) + j] >= tabela[i * (m + 1) + j + 1]) {
+                empilhar('removido', meioA[i++]);
+            } else {
+                empilhar('adicionado', meioB[j++]);
+            }
+        }
+        while (i < n) empilhar('removido', meioA[i++]);
+        while (j < m) empilhar('adicionado', meioB[j++]);
+    }
+
+    a.slice(fimA).forEach(token => empilhar('igual', token));
+    return partes;
+}
+
+// Também usado pelo app (cards, modais) e pelo admin (relatórios, tabelas)
+function escaparHtml(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {Array<{tipo: string, texto: string}>} partes - Resultado de diferencaPalavras
+ * @returns {string} HTML com <del>/<ins>
+ */
+function diffParaHtml(partes) {
+    return partes.map(({ tipo, texto }) => {
+        if (tipo === 'removido') return `<del class="diff-removido">${escaparHtml(texto)}</del>`;
+        if (tipo === 'adicionado') return `<ins class="diff-adicionado">${escaparHtml(texto)}</ins>`;
+        return escaparHtml(texto);
+    }).join('');
+}
+
+/**
+ * @param {Array<{tipo: string, texto: string}>} partes - Resultado de diferencaPalavras
+ * @returns {string} Markdown com ~~removido~~ e **adicionado**
+ */
+function diffParaMarkdown(partes) {
+    // Marcadores não podem encostar em espaços, senão o Markdown não os reconhece
+    const marcar = (texto, marcador) => texto.replace(/^(\s*)([\s\S]*?)(\s*)$/, (_, antes, meio, depois) =>
+        meio ? `${antes}${marcador}${meio}${marcador}${depois}` : antes + depois
+    );
+    return partes.map(({ tipo, texto }) => {
+        if (tipo === 'removido') return marcar(texto, '~~');
+        if (tipo === 'adicionado') return marcar(texto, '**');
+        return texto;
+    }).join('').replace(/\n/g, '  \n');
+}
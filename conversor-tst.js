@@ -0,0 +1,348 @@
+// JurisTST - Conversão da publicação oficial do TST para o formato da base
+// Usado pelo admin.html: a página de súmulas, OJs e precedentes normativos do TST, salva
+// em HTML ou como texto do PDF, vira o JSON {sumulas, ojs, precedentes_normativos} que
+// segue pela mesma validação, relatório "o que mudou" e aplicação do arquivo JSON
+
+// Grupos de OJs da base, com o órgão e a sigla usados em "orgao" e "texto_completo"
+const GRUPOS_OJ_OFICIAIS = {
+    pleno_especial: { orgao: 'Tribunal Pleno/Órgão Especial', sigla: 'TP/OE' },
+    sbdi1: { orgao: 'SBDI-1', sigla: 'SBDI-1' },
+    sbdi1_transitoria: { orgao: 'SBDI-1-TRANSITORIA', sigla: 'SBDI-1-TRANSITORIA' },
+    sbdi2: { orgao: 'SBDI-2', sigla: 'SBDI-2' },
+    sdc: { orgao: 'SDC', sigla: 'SDC' }
+};
+
+// Cabeçalhos de cada verbete: "Súmula nº 437 do TST", "SUM-437", "OJ-SDI1-394",
+// "Orientação Jurisprudencial nº 12 da SBDI-2", "PN-119", "Precedente Normativo nº 1"
+const REGEX_CABECALHO_SUMULA = /^(?:S[ÚU]MULA\s+(?:N[º°o.]*\s*)?|SUM\s*[-–]\s*)(\d{1,4})(?:\s+DO\s+(?:TST|TRIBUNAL\s+SUPERIOR\s+DO\s+TRABALHO))?\b\s*[-–.:]?\s*(.*)$/i;
+const REGEX_CABECALHO_OJ_SIGLA = /^OJ\s*[-–]\s*(SDI-?1T|SBDI-?1T|SDI-?1|SBDI-?1|SDI-?2|SBDI-?2|SDC|TP\/OE|TP|OE)\s*[-–]\s*(\d{1,4})\b\s*[-–.:]?\s*(.*)$/i;
+const REGEX_CABECALHO_OJ = /^(?:ORIENTAÇÃO\s+JURISPRUDENCIAL|OJ)\s+(?:N[º°o.]*\s*)?(\d{1,4})\b(?:\s+(?:DA|DO)\s+((?:SBDI|SDI)-?(?:1|I{1,2}|2)(?:\s+TRANSITÓRIA)?|SDC|TRIBUNAL\s+PLENO|ÓRGÃO\s+ESPECIAL))?\s*[-–.:]?\s*(.*)$/i;
+const REGEX_CABECALHO_PN = /^(?:PN|PRECEDENTE\s+NORMATIVO)\s*(?:[-–]\s*|N[º°o.]*\s*)(\d{1,4})\b(?:\s+DA\s+SDC)?\s*[-–.:]?\s*(.*)$/i;
+
+// Títulos de seção da publicação: encerram o verbete anterior e, nas OJs, dizem o órgão
+const REGEX_SECAO_SUMULAS = /^S[ÚU]MULAS(?:\s+DO\s+TST|\s+DA\s+JURISPRUDÊNCIA.*)?$/i;
+const REGEX_SECAO_OJS = /^ORIENTAÇÕES\s+JURISPRUDENCIAIS\b/i;
+const REGEX_SECAO_PNS = /^PRECEDENTES\s+NORMATIVOS\b/i;
+
+// " - Res. 121/2003, DJ 19, 20 e 21.11.2003": onde começa a referência no cabeçalho
+const REGEX_INICIO_REFERENCIA = /\s[-–]\s*(?=(?:Res\.|Resolução|DJ\b|DEJT|DO-GB|Inserid|Republicad|RA\s|Ato\b|Redação\s+original))/gi;
+const REGEX_CONTINUA_REFERENCIA = /^(?:[-–]\s*)?(?:Res\.|Resolução|DJ\b|DEJT|DO-GB|Inserid|Republicad|divulgad|RA\s|e\s+\d)/i;
+// Referência entre parênteses no fim do título: "IMPOSSIBILIDADE. (DEJT divulgado em 12, 13 e 16.04.2012)"
+const REGEX_REFERENCIA_ENTRE_PARENTESES = /^(?:Res\.|Resolução|DJ\b|DEJT|DO-GB|Inserid|Republicad|RA\s)/i;
+// "(incorporada à Súmula nº 437)" cancela; "(incorporadas as Orientações Jurisprudenciais nºs 252 e 298 da SBDI-1)"
+// é a súmula vigente que absorveu as OJs
+const REGEX_SITUACAO_CANCELADA = /^(?:cancelad[ao]|convertid[ao]s?\s+(?:em|n[ao])\s|incorporad[ao]s?\s+(?:à|ao)s?\s+(?:s[úu]mula|orienta[çc][ãa]o|oj|precedente|pn)\b)/i;
+// Itens (I -, a)...) e o histórico começam parágrafo próprio no texto
+const REGEX_INICIO_PARAGRAFO = /^(?:[IVXL]+\s*[-–.)]\s|[a-z]\)\s|Hist[óo]rico\b|Reda[çc][ãa]o\s+original\b|Nº\s+\d+)/;
+const REGEX_HISTORICO = /^Hist[óo]rico:?$/i;
+
+/**
+ * Texto de uma página HTML salva, um parágrafo por linha
+ * @param {string} html
+ * @returns {string[]}
+ */
+function linhasDeHtml(html) {
+    // Quebras do código-fonte não contam; só os blocos (p, div, li, br...) viram linha
+    const marcado = html
+        .replace(/\s+/g, ' ')
+        .replace(/<(?:br|\/p|\/div|\/h[1-6]|\/li|\/tr|\/td|\/blockquote|\/section|\/article)\b[^>]*>/gi, '$&\n');
+    const documento = new DOMParser().parseFromString(marcado, 'text/html');
+    documento.querySelectorAll('script, style, noscript').forEach(elemento => elemento.remove());
+    return (documento.body ? documento.body.textContent : '').split('\n');
+}
+
+/**
+ * Texto do PDF sem cabeçalhos e rodapés que se repetem de página em página
+ * @param {string[]} paginas - Resultado de extrairPaginasPdf
+ * @returns {string[]}
+ */
+function linhasDePaginasPdf(paginas) {
+    const porPagina = paginas.map(texto => texto.split('\n').map(linha => linha.trim()).filter(Boolean));
+    const chave = linha => linha.replace(/\d+/g, '#');
+    const bordas = linhas => [...linhas.slice(0, 2), ...linhas.slice(-2)];
+
+    const repeticoes = new Map();
+    porPagina.forEach(linhas => {
+        new Set(bordas(linhas).map(chave)).forEach(c => repeticoes.set(c, (repeticoes.get(c) || 0) + 1));
+    });
+    const minimo = Math.max(3, Math.ceil(paginas.length * 0.3));
+    const repetidas = new Set([...repeticoes].filter(([, vezes]) => vezes >= minimo).map(([c]) => c));
+
+    return porPagina.flatMap(linhas => linhas.filter((linha, index) => {
+        const naBorda = index < 2 || index >= linhas.length - 2;
+        return !(naBorda && (repetidas.has(chave(linha)) || /^\d{1,4}$/.test(linha)));
+    }));
+}
+
+// Títulos vêm em maiúsculas ("DEPÓSITO RECURSAL E CUSTAS processuais" ainda conta);
+// situação "(mantida)" e referência "- Res. ..." ficam de fora
+function pareceTitulo(texto) {
+    REGEX_INICIO_REFERENCIA.lastIndex = 0;
+    const titulo = texto.replace(/\([^()]*\)?/g, ' ').split(REGEX_INICIO_REFERENCIA)[0];
+    const palavras = titulo.match(/[A-Za-zÀ-ÿ]{2,}/g) || [];
+    if (palavras.length === 0 || palavras[0] !== palavras[0].toUpperCase()) return false;
+    const letras = palavras.join('').slice(0, 40);
+    const maiusculas = letras.replace(/[^A-ZÀ-Ý]/g, '').length;
+    return maiusculas / letras.length >= 0.5;
+}
+
+/**
+ * @param {string} texto - Nome do órgão como aparece na publicação ("SDI1T", "SBDI-1 Transitória", "Tribunal Pleno"...)
+ * @returns {string|null} Grupo de OJs da base
+ */
+function grupoOjDoOrgao(texto) {
+    const orgao = String(texto || '').toUpperCase().replace(/\s+/g, ' ');
+    if (/TRANSIT|SB?DI-?1T\b/.test(orgao)) return 'sbdi1_transitoria';
+    if (/SB?DI-?(?:2|II)\b|SUBSEÇÃO II\b/.test(orgao)) return 'sbdi2';
+    if (/SB?DI-?(?:1|I)\b|SUBSEÇÃO I\b/.test(orgao)) return 'sbdi1';
+    if (/\bSDC\b|DISSÍDIOS COLETIVOS/.test(orgao)) return 'sdc';
+    if (/PLENO|ÓRGÃO ESPECIAL|\bTP\b|\bOE\b/.test(orgao)) return 'pleno_especial';
+    return null;
+}
+
+/**
+ * Reconhece a linha que abre um verbete
+ * @param {string} linha
+ * @param {string} proxima - Próxima linha não vazia (o título pode vir nela)
+ * @param {string|null} grupoSecao - Grupo de OJs da seção atual
+ * @returns {{secao: 'sumulas'|'ojs'|'precedentes_normativos', grupo: string|null, numero: string, resto: string}|null}
+ */
+function reconhecerCabecalho(linha, proxima, grupoSecao) {
+    let cabecalho = null;
+    let encontrado;
+
+    if ((encontrado = linha.match(REGEX_CABECALHO_SUMULA))) {
+        cabecalho = { secao: 'sumulas', grupo: null, numero: encontrado[1], resto: encontrado[2] };
+    } else if ((encontrado = linha.match(REGEX_CABECALHO_OJ_SIGLA))) {
+        cabecalho = { secao: 'ojs', grupo: grupoOjDoOrgao(encontrado[1]), numero: encontrado[2], resto: encontrado[3] };
+    } else if ((encontrado = linha.match(REGEX_CABECALHO_OJ))) {
+        const grupo = encontrado[2] ? grupoOjDoOrgao(encontrado[2]) : grupoSecao;
+        cabecalho = { secao: 'ojs', grupo, numero: encontrado[1], resto: encontrado[3] };
+    } else if ((encontrado = linha.match(REGEX_CABECALHO_PN))) {
+        cabecalho = { secao: 'precedentes_normativos', grupo: null, numero: encontrado[1], resto: encontrado[2] };
+    }
+
+    if (!cabecalho || (cabecalho.secao === 'ojs' && !cabecalho.grupo)) return null;
+
+    // "Súmula nº 83 do TST" no meio de um parágrafo não é cabeçalho: o verbete abre com o título em
+    // maiúsculas na mesma linha ou, quando o cabeçalho ocupa a linha sozinho, com o título na seguinte
+    const valido = cabecalho.resto.trim()
+        ? pareceTitulo(cabecalho.resto)
+        : /^[A-ZÀ-Ý0-9]/.test(proxima || '');
+    if (!valido) return null;
+
+    cabecalho.numero = String(Number(cabecalho.numero));
+    cabecalho.resto = cabecalho.resto.trim();
+    return cabecalho;
+}
+
+// O título e a referência podem ocupar várias linhas (PDF)
+function continuaCabecalho(linhasCabecalho, linha) {
+    if (linhasCabecalho.length === 0) return true;
+
+    const bloco = linhasCabecalho.join(' ');
+    const parentesesAbertos = (bloco.match(/\(/g) || []).length - (bloco.match(/\)/g) || []).length;
+    if (parentesesAbertos > 0 && linhasCabecalho.length < 4) return true; // Parêntese sem fechamento não engole o texto
+    if (/[-–,]$/.test(bloco)) return true;
+    if (/\b(?:Res\.|Resolução|DJ|DEJT|RA|nº|em|de|e)$/i.test(bloco)) return true; // "- Res." + "185/2012, DEJT..."
+    if (REGEX_CONTINUA_REFERENCIA.test(linha)) return true;
+
+    REGEX_INICIO_REFERENCIA.lastIndex = 0;
+    const temReferencia = REGEX_INICIO_REFERENCIA.test(bloco);
+    return !temReferencia && pareceTitulo(linha) && !REGEX_INICIO_PARAGRAFO.test(linha);
+}
+
+/**
+ * "TÍTULO (situação) - Res. 121/2003, DJ 21.11.2003" → partes
+ * @param {string} bloco
+ * @returns {{titulo: string, situacoes: string[], referencia: string}}
+ */
+function separarCabecalhoVerbete(bloco) {
+    // A referência começa no primeiro " - Res./DJ..." fora de parênteses
+    let inicioReferencia = -1;
+    REGEX_INICIO_REFERENCIA.lastIndex = 0;
+    for (const encontrado of bloco.matchAll(REGEX_INICIO_REFERENCIA)) {
+        const antes = bloco.slice(0, encontrado.index);
+        if ((antes.match(/\(/g) || []).length === (antes.match(/\)/g) || []).length) {
+            inicioReferencia = encontrado.index;
+            break;
+        }
+    }
+
+    let titulo = (inicioReferencia >= 0 ? bloco.slice(0, inicioReferencia) : bloco).trim();
+    let referencia = inicioReferencia >= 0 ? bloco.slice(inicioReferencia).replace(/^\s*[-–]\s*/, '').trim() : '';
+
+    // Parênteses no fim do título: situação em minúsculas ("(cancelada)", "(nova redação)")
+    // ou a referência, quando ela não veio depois de " - "
+    const situacoes = [];
+    let referenciaEntreParenteses = false;
+    let parenteses;
+    while ((parenteses = titulo.match(/\s*\(([^()]*(?:\([^()]*\)[^()]*)*)\)\s*$/))) {
+        const conteudo = parenteses[1].trim();
+        if (/^[a-zà-ÿ]/.test(conteudo)) {
+            situacoes.unshift(conteudo);
+        } else if (!referencia && REGEX_REFERENCIA_ENTRE_PARENTESES.test(conteudo)) {
+            referencia = conteudo;
+            referenciaEntreParenteses = true;
+        } else {
+            break;
+        }
+        titulo = titulo.slice(0, parenteses.index).trim();
+    }
+    // "IMPOSSIBILIDADE. (DEJT ...)": o ponto antes da referência não é do título
+    if (referenciaEntreParenteses) titulo = titulo.replace(/\.$/, '');
+
+    return { titulo: titulo.replace(/\s*[-–]$/, '').trim(), situacoes, referencia };
+}
+
+/**
+ * Junta as linhas quebradas do PDF; itens e histórico continuam em linhas próprias
+ * @param {string[]} linhas
+ * @returns {string}
+ */
+function juntarLinhasVerbete(linhas) {
+    const paragrafos = [];
+    linhas.forEach(linha => {
+        const anterior = paragrafos[paragrafos.length - 1];
+        if (anterior === undefined || REGEX_INICIO_PARAGRAFO.test(linha) || /:$/.test(anterior)) {
+            paragrafos.push(linha);
+        } else {
+            paragrafos[paragrafos.length - 1] = juntarComHifenizacao(anterior, linha);
+        }
+    });
+    return paragrafos.join('\n');
+}
+
+// "ANO LE-" + "TIVO" → "ANO LETIVO"; "RSR -" + "INTEGRAÇÃO" continua separado
+function juntarComHifenizacao(anterior, linha) {
+    return /[A-Za-zÀ-ÿ]-$/.test(anterior) && /^[A-Za-zÀ-ÿ]/.test(linha)
+        ? anterior.slice(0, -1) + linha
+        : `${anterior} ${linha}`;
+}
+
+function montarVerbete(bruto) {
+    const { titulo, situacoes, referencia } = separarCabecalhoVerbete(bruto.cabecalho.reduce(juntarComHifenizacao, '').trim());
+    const inicioHistorico = bruto.corpo.findIndex(linha => REGEX_HISTORICO.test(linha));
+    const vigente = inicioHistorico >= 0 ? bruto.corpo.slice(0, inicioHistorico) : bruto.corpo;
+    const historico = inicioHistorico >= 0 ? bruto.corpo.slice(inicioHistorico) : [];
+    const texto = juntarLinhasVerbete(vigente);
+    const cancelado = situacoes.some(situacao => REGEX_SITUACAO_CANCELADA.test(situacao));
+
+    const rotulos = {
+        sumulas: `Súmula ${bruto.numero}`,
+        ojs: `OJ ${bruto.numero} (${bruto.grupo && GRUPOS_OJ_OFICIAIS[bruto.grupo].sigla})`,
+        precedentes_normativos: `PN ${bruto.numero}`
+    };
+    const verbete = {
+        tipo: { sumulas: 'sumula', ojs: 'oj', precedentes_normativos: 'precedente_normativo' }[bruto.secao],
+        numero: bruto.numero,
+        titulo,
+        texto,
+        // Precedentes normativos usam "cancelado"; súmulas e OJs, "cancelada"
+        [bruto.secao === 'precedentes_normativos' ? 'cancelado' : 'cancelada']: cancelado
+    };
+    if (bruto.secao === 'ojs') verbete.orgao = GRUPOS_OJ_OFICIAIS[bruto.grupo].orgao;
+    if (referencia) verbete.referencia = referencia;
+    const relevantes = situacoes.filter(situacao => !/^mantid[ao]$/i.test(situacao));
+    if (relevantes.length > 0) {
+        const observacoes = relevantes.join('; ');
+        verbete.observacoes = observacoes.charAt(0).toUpperCase() + observacoes.slice(1);
+    }
+    verbete.texto_completo = [`${rotulos[bruto.secao]} - ${titulo}`, texto, juntarLinhasVerbete(historico)].filter(Boolean).join('\n');
+    return verbete;
+}
+
+/**
+ * Converte o texto da publicação oficial nos verbetes da base
+ * @param {string[]} linhas - linhasDeHtml, linhasDePaginasPdf ou o texto dividido em linhas
+ * @returns {{sumulas: Array, ojs: Object<string, Array>, precedentes_normativos: Array, avisos: string[]}}
+ *          Só as seções e grupos encontrados no arquivo
+ */
+function converterPublicacaoTst(linhas) {
+    const resultado = { sumulas: [], ojs: {}, precedentes_normativos: [], avisos: [] };
+    const vistos = new Set(); // "secao|grupo|numero"
+    const limpas = linhas.map(linha => linha.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+    let atual = null;
+    let grupoSecao = null;
+
+    const concluir = () => {
+        if (!atual) return;
+        const chave = `${atual.secao}|${atual.grupo || ''}|${atual.numero}`;
+        const verbete = montarVerbete(atual);
+        if (vistos.has(chave)) {
+            resultado.avisos.push(`${verbete.texto_completo.split('\n')[0]}: aparece mais de uma vez; mantida a primeira`);
+        } else {
+            vistos.add(chave);
+            if (atual.secao === 'ojs') {
+                (resultado.ojs[atual.grupo] = resultado.ojs[atual.grupo] || []).push(verbete);
+            } else {
+                resultado[atual.secao].push(verbete);
+            }
+        }
+        atual = null;
+    };
+
+    limpas.forEach((linha, index) => {
+        if (REGEX_SECAO_OJS.test(linha) || REGEX_SECAO_SUMULAS.test(linha) || REGEX_SECAO_PNS.test(linha)) {
+            concluir();
+            grupoSecao = REGEX_SECAO_OJS.test(linha) ? grupoOjDoOrgao(linha) : null;
+            return;
+        }
+
+        // Linha logo após um cabeçalho sozinho é o título, mesmo que comece com "SÚMULA Nº 239."
+        const esperandoTitulo = atual && atual.noCabecalho && atual.cabecalho.length === 0;
+        const cabecalho = !esperandoTitulo && reconhecerCabecalho(linha, limpas[index + 1], grupoSecao);
+        if (cabecalho) {
+            concluir();
+            atual = { ...cabecalho, cabecalho: cabecalho.resto ? [cabecalho.resto] : [], corpo: [], noCabecalho: true };
+            return;
+        }
+        if (!atual) return;
+
+        if (atual.noCabecalho && continuaCabecalho(atual.cabecalho, linha)) {
+            atual.cabecalho.push(linha);
+            return;
+        }
+        atual.noCabecalho = false;
+        atual.corpo.push(linha);
+    });
+    concluir();
+
+    return resultado;
+}
+
+/**
+ * Seções e grupos de OJs que não vieram no arquivo continuam como estão na base atual
+ * @param {Object} convertido - Resultado de converterPublicacaoTst
+ * @param {Object|null} atual - Base atual
+ * @returns {{dados: Object, mantidas: string[]}} mantidas: o que veio da base atual
+ */
+function completarComBaseAtual(convertido, atual) {
+    const base = atual && typeof atual === 'object' ? atual : {};
+    const mantidas = [];
+    const dados = { sumulas: convertido.sumulas, ojs: {}, precedentes_normativos: convertido.precedentes_normativos };
+
+    if (convertido.sumulas.length === 0) {
+        dados.sumulas = Array.isArray(base.sumulas) ? base.sumulas : [];
+        mantidas.push('Súmulas');
+    }
+
+    const grupos = new Set([...Object.keys(GRUPOS_OJ_OFICIAIS), ...Object.keys(base.ojs || {})]);
+    grupos.forEach(grupo => {
+        if (convertido.ojs[grupo] && convertido.ojs[grupo].length > 0) {
+            dados.ojs[grupo] = convertido.ojs[grupo];
+        } else if (base.ojs && Array.isArray(base.ojs[grupo])) {
+            dados.ojs[grupo] = base.ojs[grupo];
+            mantidas.push(`OJs ${GRUPOS_OJ_OFICIAIS[grupo] ? GRUPOS_OJ_OFICIAIS[grupo].orgao : grupo}`);
+        }
+    });
+
+    if (convertido.precedentes_normativos.length === 0) {
+        dados.precedentes_normativos = Array.isArray(base.precedentes_normativos) ? base.precedentes_normativos : [];
+        mantidas.push('Precedentes Normativos');
+    }
+
+    return { dados, mantidas };
+}
+
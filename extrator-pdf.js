@@ -0,0 +1,179 @@
+// JurisTST - Extração de texto de PDFs
+// Carregado como script comum em index.html (extração na própria página, quando não há
+// Worker) e como Web Worker pela fila de ingestão, para a interface não travar.
+// Páginas sem camada de texto (digitalizadas) passam pelo OCR na página: o PDF.js
+// desenha a página num canvas e o Tesseract.js (vendor/tesseract, offline) lê a imagem
+
+// PDF.js 3.11.174 vem com o app (vendor/pdfjs): upload de PDF funciona sem internet
+const URL_PDFJS = 'vendor/pdfjs/pdf.min.js';
+const URL_PDFJS_WORKER = 'vendor/pdfjs/pdf.worker.min.js';
+
+/**
+ * Traduz as exceções do PDF.js em estados que o usuário entende
+ * @param {Error} error
+ * @returns {{codigo: 'protegido'|'corrompido'|'sem-texto'|'cancelado'|'falha', mensagem: string}}
+ */
+function classificarErroPdf(error) {
+    const nome = error && error.name;
+    if (error && error.codigo) {
+        return { codigo: error.codigo, mensagem: error.message };
+    }
+    if (nome === 'PasswordException') {
+        return { codigo: 'protegido', mensagem: '🔒 PDF protegido por senha. Remova a proteção e envie de novo.' };
+    }
+    if (nome === 'InvalidPDFException' || nome === 'MissingPDFException') {
+        return { codigo: 'corrompido', mensagem: '💔 Arquivo corrompido ou não é um PDF válido.' };
+    }
+    return { codigo: 'falha', mensagem: `❌ Falha na extração: ${error ? error.message : 'erro desconhecido'}` };
+}
+
+/**
+ * Extrai o texto página a página
+ * @param {Object} pdfjs - pdfjsLib
+ * @param {ArrayBuffer} dados - Conteúdo do PDF
+ * @param {Function} [aoProgredir] - (pagina, totalPaginas) a cada página lida
+ * @param {Function} [cancelado] - Retorna true para interromper entre páginas
+ * @returns {Promise<string[]>} Texto de cada página
+ */
+async function extrairPaginasPdf(pdfjs, dados, aoProgredir, cancelado) {
+    const pdf = await pdfjs.getDocument({ data: dados }).promise;
+    const paginas = [];
+
+    try {
+        if (aoProgredir) aoProgredir(0, pdf.numPages);
+
+        for (let numero = 1; numero <= pdf.numPages; numero++) {
+            if (cancelado && cancelado()) {
+                throw Object.assign(new Error('Extração cancelada'), { codigo: 'cancelado' });
+            }
+
+            const pagina = await pdf.getPage(numero);
+            const conteudo = await pagina.getTextContent();
+            // Quebras de linha preservadas: separam cabeçalhos e títulos no informativo
+            paginas.push(conteudo.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+            pagina.cleanup();
+
+            if (aoProgredir) aoProgredir(numero, pdf.numPages);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    return paginas;
+}
+
+// ========== OCR ==========
+// Tesseract.js 5.1.1 com o modelo português "best_int" (só LSTM). Nada vem da rede:
+// worker, núcleo WebAssembly e dados do idioma ficam em vendor/tesseract
+
+const CAMINHOS_OCR = {
+    workerPath: 'vendor/tesseract/worker.min.js',
+    corePath: 'vendor/tesseract/core',
+    langPath: 'vendor/tesseract/lang'
+};
+const MINIMO_CARACTERES_PAGINA = 20; // Abaixo disso (número de página, carimbo) a página não tem texto de verdade
+const ESCALA_OCR = 2; // ~150 dpi: bom para o Tesseract sem estourar a memória
+
+let workerOcr = null; // Promise do worker do Tesseract, reaproveitado entre arquivos
+
+/**
+ * @param {string[]} paginas - Texto de cada página
+ * @returns {number[]} Números (1..n) das páginas sem camada de texto
+ */
+function paginasSemTexto(paginas) {
+    return paginas
+        .map((texto, index) => (texto.replace(/\s/g, '').length < MINIMO_CARACTERES_PAGINA ? index + 1 : null))
+        .filter(numero => numero !== null);
+}
+
+function ocrDisponivel() {
+    return typeof Tesseract !== 'undefined' && typeof document !== 'undefined';
+}
+
+function obterWorkerOcr() {
+    if (!workerOcr) {
+        workerOcr = Tesseract.createWorker('por', Tesseract.OEM.LSTM_ONLY, {
+            ...CAMINHOS_OCR,
+            workerBlobURL: false,
+            cacheMethod: 'none' // Os dados já estão no próprio site
+        }).catch(error => {
+            workerOcr = null;
+            throw error;
+        });
+    }
+    return workerOcr;
+}
+
+/**
+ * Libera o worker do Tesseract (~100 MB) quando a fila esvazia
+ */
+function encerrarOcr() {
+    if (!workerOcr) return;
+    const pendente = workerOcr;
+    workerOcr = null;
+    pendente.then(worker => worker.terminate()).catch(() => {});
+}
+
+/**
+ * Reconhece o texto das páginas indicadas
+ * @param {Object} pdfjs - pdfjsLib
+ * @param {ArrayBuffer} dados - Conteúdo do PDF
+ * @param {number[]} numeros - Páginas a reconhecer
+ * @param {Function} [aoProgredir] - (feitas, total) a cada página reconhecida
+ * @param {Function} [cancelado] - Retorna true para interromper entre páginas
+ * @returns {Promise<Map<number, string>>} número da página → texto reconhecido
+ */
+async function reconhecerPaginasPdf(pdfjs, dados, numeros, aoProgredir, cancelado) {
+    const worker = await obterWorkerOcr();
+    const pdf = await pdfjs.getDocument({ data: dados }).promise;
+    const textos = new Map();
+
+    try {
+        if (aoProgredir) aoProgredir(0, numeros.length);
+
+        for (const numero of numeros) {
+            if (cancelado && cancelado()) {
+                throw Object.assign(new Error('OCR cancelado'), { codigo: 'cancelado' });
+            }
+
+            const pagina = await pdf.getPage(numero);
+            const viewport = pagina.getViewport({ scale: ESCALA_OCR });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await pagina.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            pagina.cleanup();
+
+            const { data } = await worker.recognize(canvas);
+            textos.set(numero, data.text.trim());
+            canvas.width = canvas.height = 0; // Devolve a memória do bitmap
+
+            if (aoProgredir) aoProgredir(textos.size, numeros.length);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    return textos;
+}
+
+// ========== MODO WORKER ==========
+// Mensagens: {id, dados: ArrayBuffer} → {id, tipo: 'progresso', pagina, totalPaginas}
+//                                      → {id, tipo: 'concluido', paginas}
+//                                      → {id, tipo: 'erro', codigo, mensagem}
+if (typeof document === 'undefined' && typeof importScripts === 'function') {
+    // O worker do PDF.js roda aqui mesmo: já estamos fora da thread da página
+    importScripts(URL_PDFJS, URL_PDFJS_WORKER);
+
+    self.onmessage = async ({ data }) => {
+        const { id, dados } = data;
+        try {
+            const paginas = await extrairPaginasPdf(self.pdfjsLib, dados, (pagina, totalPaginas) => {
+                self.postMessage({ id, tipo: 'progresso', pagina, totalPaginas });
+            });
+            self.postMessage({ id, tipo: 'concluido', paginas });
+        } catch (error) {
+            self.postMessage({ id, tipo: 'erro', ...classificarErroPdf(error) });
+        }
+    };
+}
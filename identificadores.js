@@ -0,0 +1,98 @@
+// JurisTST - IDs e rótulos dos itens (súmulas, OJs, PNs, informativos, teses)
+// Compartilhado entre index.html e admin.html: o que o admin compara e cadastra precisa
+// ter o mesmo ID e o mesmo nome de órgão que o app dá aos itens
+
+// ========== GERENCIADOR CENTRAL DE IDs ==========
+// ✅ CORREÇÃO 1: IDs sempre consistentes em todo o sistema
+
+/**
+ * Gera ID consistente para qualquer tipo de item
+ * @param {string} tipo - 'sumula', 'oj', 'precedente', 'informativo', 'tese'
+ * @param {string|number} identificador - número ou tema da tese
+ * @param {string} [orgao] - órgão da OJ (ex: 'SBDI-1'); OJs de órgãos diferentes repetem números
+ * @returns {string} ID padronizado
+ */
+function gerarIdConsistente(tipo, identificador, orgao) {
+    // Remove espaços e caracteres especiais do identificador
+    const idLimpo = String(identificador).trim().replace(/[^a-zA-Z0-9]/g, '');
+
+    switch(tipo.toLowerCase()) {
+        case 'sumula':
+            return `sumula_${idLimpo}`;
+        case 'oj': {
+            // ✅ Ex: 'SBDI-1' + 1 → oj_sbdi1_1
+            const orgaoLimpo = String(orgao || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+            if (!orgaoLimpo) {
+                console.warn(`⚠️ OJ ${idLimpo} sem órgão, ID pode colidir com outras OJs`);
+                return `oj_${idLimpo}`;
+            }
+            return `oj_${orgaoLimpo}_${idLimpo}`;
+        }
+        case 'precedente':
+        case 'precedente_normativo':
+            return `precedente_${idLimpo}`;
+        case 'informativo':
+            return `informativo_${idLimpo}`;
+        case 'tese':
+        case 'irr':
+        case 'irdr':
+        case 'iac':
+            return `tese-${idLimpo}`;
+        default:
+            console.warn(`⚠️ Tipo desconhecido: ${tipo}, usando genérico`);
+            return `${tipo}_${idLimpo}`;
+    }
+}
+
+// "Tema nº 0055" é o tema 55: mesmo ID e mesma chave tema+tipo no app e no admin
+function normalizarNumeroTema(tema) {
+    const texto = String(tema ?? '').trim();
+    return /^\d+$/.test(texto) ? String(Number(texto)) : texto;
+}
+
+/**
+ * ID para uma tese que ainda não tem: "tese-<tema>"; mesmo tema em outro tipo (ex.: IRR 1 e IAC 1)
+ * ganha o tipo no ID. O admin (cadastro e importação) e o app (PDF enviado) usam este
+ * @param {{tema: string|number, tipo?: string}} tese
+ * @param {Set<string>} idsEmUso
+ * @returns {string}
+ */
+function novoIdTese(tese, idsEmUso) {
+    const id = gerarIdConsistente('tese', tese.tema);
+    if (!idsEmUso.has(id)) return id;
+
+    // Mesmo tema e tipo mais de uma vez (o PDF enviado de novo, por exemplo): as cópias ganham número
+    const comTipo = gerarIdConsistente('tese', `${String(tese.tipo || 'IRR').toLowerCase()}${tese.tema}`);
+    let candidato = comTipo;
+    for (let copia = 2; idsEmUso.has(candidato); copia++) candidato = `${comTipo}_${copia}`;
+    return candidato;
+}
+
+// ========== ÓRGÃOS E RÓTULOS ==========
+
+/**
+ * Nome do órgão a partir da chave do grupo de OJs no JSON: 'sbdi1_transitoria' → 'SBDI-1-TRANSITORIA'
+ * @param {string} grupo
+ * @returns {string}
+ */
+function formatarGrupoOJ(grupo) {
+    return grupo.toUpperCase()
+        .replace('SBDI1_', 'SBDI-1-')
+        .replace('SBDI2_', 'SBDI-2-')
+        .replace('SBDI1', 'SBDI-1')
+        .replace('SBDI2', 'SBDI-2')
+        .replace(/_/g, '-');
+}
+
+/**
+ * Rótulo curto de um item: "Súmula 331", "OJ 394 (SBDI-1)", "PN 119", "Tema 5"
+ * @param {Object} item
+ * @returns {string}
+ */
+function rotuloCitacao(item) {
+    if (item.source === 'tese' || item.tema) return `${item.tipo || 'IRR'} Tema ${item.tema}`;
+    if (item.tipo === 'sumula') return `Súmula ${item.numero}`;
+    if (item.tipo === 'oj') return `OJ ${item.numero}${item.orgao ? ` (${item.orgao})` : ''}`;
+    if (String(item.tipo || '').startsWith('precedente')) return `PN ${item.numero}`;
+    return item.nome || `${item.tipo} ${item.numero || ''}`.trim();
+}
@@ -0,0 +1,66 @@
+// JurisTST - Registro do service worker (sw.js), que deixa o app funcionando sem internet
+// Compartilhado entre index.html e admin.html. Cada página mostra a "nova versão
+// disponível" do seu jeito (faixa no app, alerta no admin) e chama atualizarParaNovaVersao
+
+let registroServiceWorker = null;
+
+/**
+ * Registra o sw.js e avisa uma única vez quando houver versão nova
+ * @param {Function} aoHaverNovaVersao - Recebe os arquivos que mudaram (['tst_data_complete.json'], ['app.js', 'index.html']...) ou ['sw.js']
+ */
+function registrarServiceWorker(aoHaverNovaVersao) {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        console.warn('⚠️ Service worker indisponível: o app não vai funcionar sem internet');
+        return;
+    }
+
+    let avisado = false;
+    const avisar = arquivos => {
+        if (avisado) return;
+        avisado = true;
+        aoHaverNovaVersao(arquivos);
+    };
+
+    // O próprio sw.js mudou: a versão nova fica esperando até o usuário aceitar.
+    // Sem controller é a primeira instalação, não uma atualização
+    const acompanhar = worker => worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) avisar(['sw.js']);
+    });
+
+    navigator.serviceWorker.addEventListener('message', ({ data }) => {
+        if (data && data.tipo === 'nova-versao') avisar(data.arquivos);
+    });
+    navigator.serviceWorker.startMessages();
+
+    navigator.serviceWorker.register('sw.js').then(registro => {
+        registroServiceWorker = registro;
+        if (registro.waiting && navigator.serviceWorker.controller) avisar(['sw.js']);
+        if (registro.installing) acompanhar(registro.installing);
+        registro.addEventListener('updatefound', () => acompanhar(registro.installing));
+        console.log('📴 Modo offline pronto (service worker registrado)');
+    }).catch(error => {
+        console.warn('⚠️ Service worker não registrado:', error.message);
+    });
+}
+
+/**
+ * Passa para a versão nova: ativa o sw.js que está esperando ou, quando só os
+ * arquivos mudaram, pede ao sw.js que troque todos no cache e recarrega a página
+ */
+function atualizarParaNovaVersao() {
+    const esperando = registroServiceWorker && registroServiceWorker.waiting;
+    if (esperando) {
+        navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+        esperando.postMessage({ tipo: 'ativar' });
+        return;
+    }
+
+    const controlador = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!controlador) {
+        location.reload();
+        return;
+    }
+    const canal = new MessageChannel();
+    canal.port1.onmessage = () => location.reload();
+    controlador.postMessage({ tipo: 'aplicar-nova-versao' }, [canal.port2]);
+}
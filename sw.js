@@ -0,0 +1,188 @@
+// JurisTST - Service worker: o app inteiro funciona sem internet
+// Tudo que o app usa fica no Cache Storage e é servido de lá. Com rede, cada acesso confere
+// em segundo plano se as páginas, os scripts ou tst_data_complete.json mudaram (a base também
+// a cada página aberta): as cópias novas ficam à parte, em CACHE_NOVA_VERSAO, e as abas
+// recebem {tipo: 'nova-versao'}.
+// Só quando o usuário aceita ({tipo: 'aplicar-nova-versao'}) elas entram todas juntas no
+// cache em uso: nenhuma aba mistura um app.js novo com um index.html antigo.
+// vendor/ e os ícones não são conferidos: a versão das bibliotecas está no próprio arquivo
+
+const CACHE_APP = 'juristst-v1'; // Trocar ao mudar as listas abaixo ou algo em vendor/
+const CACHE_NOVA_VERSAO = `${CACHE_APP}-nova-versao`;
+
+const ARQUIVOS_CONFERIDOS = [
+    './',
+    'index.html',
+    'admin.html',
+    'app.js',
+    'armazenamento.js',
+    'extrator-pdf.js',
+    'tesauro.js',
+    'comparacao.js',
+    'conversor-tst.js',
+    'offline.js',
+    'identificadores.js',
+    'manifest.webmanifest',
+    'tst_data_complete.json'
+];
+
+const ARQUIVO_BASE = 'tst_data_complete.json';
+
+const ARQUIVOS_FIXOS = [
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tesseract/lang/por.traineddata.gz',
+    'icones/icone.svg',
+    'icones/icone-192.png',
+    'icones/icone-512.png'
+];
+
+const INTERVALO_CONFERENCIA = 60 * 1000; // Várias abas abertas juntas não baixam a base várias vezes
+const ultimaConferencia = new Map(); // caminho → Date.now()
+
+self.addEventListener('install', event => {
+    // cache: 'reload' passa por cima do cache HTTP: o que entra aqui é o que está publicado
+    const pedidos = [...ARQUIVOS_CONFERIDOS, ...ARQUIVOS_FIXOS].map(caminho => new Request(caminho, { cache: 'reload' }));
+    event.waitUntil(caches.open(CACHE_APP).then(cache => cache.addAll(pedidos)));
+    // Sem skipWaiting: uma versão nova só assume quando o usuário aceita (mensagem 'ativar')
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(nomes => Promise.all(nomes
+                .filter(nome => nome.startsWith('juristst-') && nome !== CACHE_APP)
+                .map(nome => caches.delete(nome))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    const { data } = event;
+    if (data && data.tipo === 'ativar') self.skipWaiting();
+    if (data && data.tipo === 'aplicar-nova-versao') {
+        // A aba só recarrega depois da resposta, com todos os arquivos novos já no cache
+        const responder = () => event.ports[0] && event.ports[0].postMessage({ tipo: 'nova-versao-aplicada' });
+        event.waitUntil(aplicarNovaVersao().then(responder, responder));
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(responderDoCache(event, url));
+});
+
+/**
+ * Caminho relativo ao escopo ('./' para a raiz), como nas listas acima
+ * @param {URL} url
+ * @returns {string}
+ */
+function caminhoNoEscopo(url) {
+    const escopo = new URL(self.registration.scope).pathname;
+    return url.pathname.startsWith(escopo) ? (url.pathname.slice(escopo.length) || './') : url.pathname;
+}
+
+async function responderDoCache(event, url) {
+    const cache = await caches.open(CACHE_APP);
+    const caminho = caminhoNoEscopo(url);
+    // ?v=... e afins não criam cópias novas no cache
+    const emCache = await cache.match(event.request, { ignoreSearch: true });
+
+    if (!emCache) {
+        try {
+            return await fetch(event.request);
+        } catch (error) {
+            // Sem rede e fora do cache: páginas abrem o app, o resto falha como falharia
+            if (event.request.mode === 'navigate') return cache.match('index.html');
+            throw error;
+        }
+    }
+
+    // Com juristst_data (base aplicada no admin) nenhuma página baixa a base: abrir uma página confere a base também
+    const conferir = [caminho, ...(event.request.mode === 'navigate' ? [ARQUIVO_BASE] : [])]
+        .filter(arquivo => ARQUIVOS_CONFERIDOS.includes(arquivo));
+    if (conferir.length > 0) {
+        event.waitUntil(conferirAtualizacao(cache, conferir));
+    }
+    return emCache;
+}
+
+/**
+ * Baixa de novo arquivos do cache e, se algum mudou, separa a versão nova de todos os
+ * arquivos conferidos. Havendo versão separada, avisa as abas
+ * @param {Cache} cache - Cache em uso
+ * @param {string[]} caminhos - De ARQUIVOS_CONFERIDOS
+ */
+async function conferirAtualizacao(cache, caminhos) {
+    const agora = Date.now();
+    const pendentes = caminhos.filter(caminho => agora - (ultimaConferencia.get(caminho) || 0) >= INTERVALO_CONFERENCIA);
+    if (pendentes.length === 0) return;
+    pendentes.forEach(caminho => ultimaConferencia.set(caminho, agora));
+
+    try {
+        const novaVersao = await caches.open(CACHE_NOVA_VERSAO);
+        const mudaram = await Promise.all(pendentes.map(caminho => separarSeMudou(cache, novaVersao, caminho)));
+        if (mudaram.includes(true)) {
+            // Um arquivo mudou: os outros são conferidos agora, para a versão nova ir completa
+            const outros = ARQUIVOS_CONFERIDOS.filter(outro => !pendentes.includes(outro));
+            await Promise.all(outros.map(outro => separarSeMudou(cache, novaVersao, outro)));
+            outros.forEach(outro => ultimaConferencia.set(outro, agora));
+        }
+
+        // A versão separada continua sendo oferecida enquanto o usuário não aceitar
+        const arquivos = (await novaVersao.keys()).map(pedido => caminhoNoEscopo(new URL(pedido.url)));
+        if (arquivos.length === 0) return;
+
+        const abas = await self.clients.matchAll({ type: 'window' });
+        abas.forEach(aba => aba.postMessage({ tipo: 'nova-versao', arquivos }));
+    } catch (error) {
+        // Sem rede: fica a cópia do cache, confere no próximo acesso
+        pendentes.forEach(caminho => ultimaConferencia.delete(caminho));
+    }
+}
+
+/**
+ * Guarda em CACHE_NOVA_VERSAO a cópia publicada do arquivo, se for diferente da que está em uso
+ * @param {Cache} cache - Cache em uso
+ * @param {Cache} novaVersao
+ * @param {string} caminho
+ * @returns {Promise<boolean>} Se a cópia separada agora é nova
+ */
+async function separarSeMudou(cache, novaVersao, caminho) {
+    const resposta = await fetch(caminho, { cache: 'no-cache' });
+    if (!resposta.ok) return false;
+
+    const [emUso, separada] = await Promise.all([cache.match(caminho), novaVersao.match(caminho)]);
+    const [textoNovo, textoEmUso, textoSeparado] = await Promise.all([
+        resposta.clone().text(),
+        emUso ? emUso.text() : Promise.resolve(null),
+        separada ? separada.text() : Promise.resolve(null)
+    ]);
+
+    if (textoNovo === textoEmUso) {
+        // Voltou a ser igual ao que está em uso: nada a aplicar
+        if (separada) await novaVersao.delete(caminho);
+        return false;
+    }
+    if (textoNovo === textoSeparado) return false;
+
+    await novaVersao.put(caminho, resposta);
+    return true;
+}
+
+// Copia a versão separada inteira para o cache em uso e a descarta
+async function aplicarNovaVersao() {
+    const [cache, novaVersao] = await Promise.all([caches.open(CACHE_APP), caches.open(CACHE_NOVA_VERSAO)]);
+    const pedidos = await novaVersao.keys();
+    const respostas = await Promise.all(pedidos.map(pedido => novaVersao.match(pedido)));
+    await Promise.all(pedidos.map((pedido, index) => cache.put(pedido, respostas[index])));
+    await caches.delete(CACHE_NOVA_VERSAO);
+    console.log(`✅ Nova versão aplicada: ${pedidos.length} arquivos`);
+}
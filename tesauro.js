@@ -0,0 +1,53 @@
+// JurisTST - Tesauro de equivalências do Direito do Trabalho
+// Compartilhado entre index.html (expansão das buscas) e admin.html (edição)
+
+// Cada grupo reúne expressões que a busca trata como equivalentes
+const TESAURO_PADRAO = [
+    ['adicional noturno', 'trabalho noturno', 'hora noturna'],
+    ['horas extras', 'sobrejornada', 'horas suplementares', 'jornada extraordinária', 'labor extraordinário'],
+    ['PLR', 'participação nos lucros', 'participação nos lucros e resultados'],
+    ['insalubridade', 'agente insalubre', 'adicional de insalubridade'],
+    ['periculosidade', 'atividade perigosa', 'adicional de periculosidade'],
+    ['dispensa', 'despedida'],
+    ['justa causa', 'falta grave'],
+    ['equiparação salarial', 'isonomia salarial'],
+    ['terceirização', 'intermediação de mão de obra', 'empresa prestadora de serviços'],
+    ['FGTS', 'fundo de garantia'],
+    ['13º salário', 'décimo terceiro salário', 'gratificação natalina'],
+    ['aviso prévio', 'pré-aviso'],
+    ['estabilidade', 'garantia de emprego', 'garantia provisória'],
+    ['acidente de trabalho', 'acidente do trabalho', 'doença ocupacional'],
+    ['intervalo intrajornada', 'intervalo para repouso e alimentação', 'intervalo para refeição'],
+    ['dano moral', 'dano extrapatrimonial'],
+    ['honorários advocatícios', 'honorários de sucumbência', 'honorários sucumbenciais'],
+    ['CLT', 'Consolidação das Leis do Trabalho'],
+    ['CF', 'Constituição Federal'],
+    ['CPC', 'Código de Processo Civil']
+];
+
+/**
+ * Carrega o tesauro salvo pelo admin (ou o padrão)
+ * @returns {string[][]} Grupos de expressões equivalentes
+ */
+function carregarTesauro() {
+    const salvo = armazenamento.getItem('juristst_tesauro');
+    if (salvo) {
+        try {
+            const grupos = JSON.parse(salvo);
+            if (Array.isArray(grupos)) {
+                return grupos;
+            }
+        } catch (error) {
+            console.warn('⚠️ Tesauro salvo inválido, usando o padrão', error);
+        }
+    }
+    return TESAURO_PADRAO.map(grupo => [...grupo]);
+}
+
+/**
+ * Persiste o tesauro editado
+ * @param {string[][]} grupos
+ */
+function salvarTesauro(grupos) {
+    armazenamento.setItem('juristst_tesauro', JSON.stringify(grupos));
+}
@@ -0,0 +1,131 @@
+// JurisTST - Verificações da busca da aba Jurisprudência (app.js)
+// Rodar com: node --test testes/
+// Os scripts da página rodam em um contexto isolado, com um document mínimo no lugar do DOM
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = ['identificadores.js', 'tesauro.js', 'comparacao.js', 'app.js'];
+
+// Só o que realizarBusca lê: value dos campos de busca e filtros
+function criarPagina(campos) {
+    const elementos = new Map();
+    const elemento = id => {
+        if (!elementos.has(id)) elementos.set(id, {
+            value: campos[id] ?? '', style: {}, classList: { add() {}, remove() {}, toggle() {} }, addEventListener() {}
+        });
+        return elementos.get(id);
+    };
+    const documento = {
+        getElementById: elemento,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+    const contexto = vm.createContext({
+        console: { log() {}, warn() {}, error: console.error, info() {} },
+        document: documento,
+        navigator: {},
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        setTimeout,
+        clearTimeout
+    });
+    contexto.window = contexto;
+    SCRIPTS.forEach(arquivo => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', arquivo), 'utf8'), contexto, { filename: arquivo });
+    });
+    // A lista e as estatísticas não fazem parte do que se confere aqui
+    vm.runInContext('renderizarResultados = () => {}; calcularEstatisticas = () => {}; migrarIdsOJ = () => {};', contexto);
+    return contexto;
+}
+
+/**
+ * Carrega a base e os informativos salvos como o app faz ao abrir, e busca na aba Jurisprudência
+ * @param {Array} informativosSalvos
+ * @param {string} consulta
+ * @param {Object} [filtros] - ex.: {filterTipo: 'Decisão'}
+ * @returns {string[]} IDs encontrados
+ */
+function buscar(informativosSalvos, consulta, filtros = {}) {
+    const contexto = criarPagina({
+        searchInput: consulta,
+        filterTipo: 'todos',
+        filterOrgao: 'todos',
+        filterDispositivo: '',
+        filterResolucao: '',
+        ...filtros
+    });
+    contexto.baseTeste = {
+        sumulas: [{ numero: '366', titulo: 'CARTÃO DE PONTO. MINUTOS RESIDUAIS', texto: 'Não serão descontadas nem computadas como jornada extraordinária as variações de horário do registro de ponto não excedentes de cinco minutos.', cancelada: false }],
+        orientacoes_jurisprudenciais: {},
+        precedentes_normativos: []
+    };
+    contexto.informativosTeste = informativosSalvos;
+    vm.runInContext(`
+        dadosTST = baseTeste;
+        informativos = informativosTeste;
+        processarDadosCarregados();
+        currentTab = 'jurisprudencia';
+        realizarBusca();
+    `, contexto);
+    // Array.from: o array do contexto isolado não é deepStrictEqual a um array daqui
+    return Array.from(vm.runInContext('itensFiltrados.map(item => item.id)', contexto));
+}
+
+const TEXTO_INFORMATIVO = 'SUBSEÇÃO I ESPECIALIZADA EM DISSÍDIOS INDIVIDUAIS\n' +
+    'Minutos residuais. Troca de uniforme. Tempo à disposição do empregador. O tempo gasto na troca de uniforme ' +
+    'dentro da empresa integra a jornada como minutos residuais. A SBDI-I, por unanimidade, negou provimento aos embargos. ' +
+    'TST-E-RR-10245-33.2015.5.03.0111, SBDI-I, rel. Min. Fulano de Tal, 10.3.2022.\n';
+
+test('decisão separada do informativo aparece na busca da aba Jurisprudência', () => {
+    const encontrados = buscar([{
+        id: 'informativo_1', nome: 'info.pdf', numeroInformativo: '250',
+        texto: TEXTO_INFORMATIVO, textoExtraido: TEXTO_INFORMATIVO,
+        decisoes: [{
+            titulo: 'Minutos residuais. Troca de uniforme. Tempo à disposição do empregador.',
+            ementa: 'O tempo gasto na troca de uniforme dentro da empresa integra a jornada como minutos residuais.',
+            processo: 'TST-E-RR-10245-33.2015.5.03.0111', orgaoJulgador: 'SBDI-I', relator: 'Min. Fulano de Tal',
+            dataSessao: '2022-03-10', pagina: 1
+        }]
+    }], 'minutos residuais');
+
+    assert.ok(encontrados.includes('sumula_366'));
+    assert.ok(encontrados.includes('informativo_1_decisao_1'), encontrados.join(', '));
+});
+
+test('filtro de tipo mostra as decisões mesmo sem busca digitada', () => {
+    const encontrados = buscar([{
+        id: 'informativo_1', nome: 'info.pdf', texto: TEXTO_INFORMATIVO, textoExtraido: TEXTO_INFORMATIVO
+    }], '', { filterTipo: 'Decisão' });
+
+    assert.deepStrictEqual(encontrados, ['informativo_1_decisao_1']);
+});
+
+test('sem busca, a aba Jurisprudência lista só os verbetes', () => {
+    const encontrados = buscar([{
+        id: 'informativo_1', nome: 'info.pdf', texto: TEXTO_INFORMATIVO, textoExtraido: TEXTO_INFORMATIVO
+    }], '');
+
+    assert.deepStrictEqual(encontrados, ['sumula_366']);
+});
+
+test('informativo enviado antes da separação responde pela decisão, não pelo PDF inteiro', () => {
+    const encontrados = buscar([{
+        id: 'informativo_1', nome: 'info.pdf', texto: TEXTO_INFORMATIVO, textoExtraido: TEXTO_INFORMATIVO
+    }], 'troca de uniforme');
+
+    assert.deepStrictEqual(encontrados, ['informativo_1_decisao_1']);
+});
+
+test('informativo escaneado é encontrado pelo texto do OCR', () => {
+    const textoOcr = 'Comunicado da Secretaria. Suspensão dos prazos processuais durante a migração do sistema eletrônico.';
+    const encontrados = buscar([{
+        id: 'informativo_2', nome: 'escaneado.pdf', textoExtraido: '', textoOcr, texto: textoOcr,
+        paginasOcr: [true], decisoes: []
+    }], 'migração prazos');
+
+    assert.deepStrictEqual(encontrados, ['informativo_2']);
+});
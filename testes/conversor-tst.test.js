@@ -0,0 +1,83 @@
+// JurisTST - Verificações do conversor da publicação oficial (conversor-tst.js)
+// Rodar com: node --test testes/
+// O conversor é script de página (sem módulos); roda aqui em um contexto isolado
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const codigo = fs.readFileSync(path.join(__dirname, '..', 'conversor-tst.js'), 'utf8');
+const { converterPublicacaoTst } = vm.runInNewContext(`${codigo}\n;({ converterPublicacaoTst });`);
+
+// Primeiro verbete convertido, de qualquer seção
+function converterUm(linhas) {
+    const convertido = converterPublicacaoTst(linhas);
+    return [...convertido.sumulas, ...Object.values(convertido.ojs).flat(), ...convertido.precedentes_normativos][0] || {};
+}
+
+// Só os campos esperados são conferidos
+function conferir(verbete, esperado) {
+    Object.keys(esperado).forEach(campo => assert.strictEqual(verbete[campo], esperado[campo], campo));
+}
+
+test('referência depois de " - "', () => {
+    conferir(converterUm([
+        'OJ-SDI1-394 REPOUSO SEMANAL REMUNERADO - RSR. INTEGRAÇÃO DAS HORAS EXTRAS (cancelada) - DEJT divulgado em 27, 28 e 31.05.2010',
+        'A majoração do valor do repouso semanal remunerado não repercute no cálculo das férias.'
+    ]), {
+        numero: '394', orgao: 'SBDI-1', cancelada: true,
+        titulo: 'REPOUSO SEMANAL REMUNERADO - RSR. INTEGRAÇÃO DAS HORAS EXTRAS',
+        referencia: 'DEJT divulgado em 27, 28 e 31.05.2010'
+    });
+});
+
+test('referência entre parênteses no fim do título', () => {
+    conferir(converterUm([
+        'OJ-SDI2-158 AÇÃO RESCISÓRIA. DECLARAÇÃO DE NULIDADE DE DECISÃO HOMOLOGATÓRIA DE ACORDO EM RAZÃO DE COLUSÃO ' +
+            '(ART. 485, III, DO CPC). MULTA POR LITIGÂNCIA DE MÁ-FÉ. IMPOSSIBILIDADE. (DEJT divulgado em 12, 13 e 16.04.2012)',
+        'A declaração de nulidade de decisão homologatória de acordo não permite a condenação em multa.'
+    ]), {
+        numero: '158', orgao: 'SBDI-2', cancelada: false,
+        titulo: 'AÇÃO RESCISÓRIA. DECLARAÇÃO DE NULIDADE DE DECISÃO HOMOLOGATÓRIA DE ACORDO EM RAZÃO DE COLUSÃO ' +
+            '(ART. 485, III, DO CPC). MULTA POR LITIGÂNCIA DE MÁ-FÉ. IMPOSSIBILIDADE',
+        referencia: 'DEJT divulgado em 12, 13 e 16.04.2012'
+    });
+});
+
+test('situação e referência entre parênteses', () => {
+    conferir(converterUm([
+        'Súmula nº 2 do TST',
+        'GRATIFICAÇÃO NATALINA (cancelada) (Res. 121/2003, DJ 19, 20 e 21.11.2003)',
+        'É devida a gratificação natalina proporcional.'
+    ]), {
+        numero: '2', cancelada: true, titulo: 'GRATIFICAÇÃO NATALINA', referencia: 'Res. 121/2003, DJ 19, 20 e 21.11.2003'
+    });
+});
+
+test('súmula que incorporou OJs continua vigente', () => {
+    conferir(converterUm([
+        'Súmula nº 6 do TST',
+        'EQUIPARAÇÃO SALARIAL. ART. 461 DA CLT (incorporadas as Orientações Jurisprudenciais nºs 252, 298 e 328 da SBDI-1) - Res. 198/2015',
+        'I - Para os fins previstos no § 2º do art. 461 da CLT, só é válido o quadro de pessoal organizado em carreira.'
+    ]), { numero: '6', cancelada: false });
+
+    conferir(converterUm([
+        'Súmula nº 83 do TST',
+        'AÇÃO RESCISÓRIA. MATÉRIA CONTROVERTIDA (incorporada a Orientação Jurisprudencial nº 77 da SBDI-2) - Res. 137/2005',
+        'I - Não procede o pedido formulado na ação rescisória por violação literal de lei.'
+    ]), { numero: '83', cancelada: false });
+});
+
+test('OJ incorporada a uma súmula ou convertida em súmula é cancelada', () => {
+    conferir(converterUm([
+        'OJ-SDI1-252 EQUIPARAÇÃO SALARIAL. MESMA LOCALIDADE (incorporada à Súmula nº 6) - Res. 129/2005, DJ 20, 22 e 25.04.2005',
+        'O conceito de "mesma localidade" refere-se, em princípio, ao mesmo município.'
+    ]), { numero: '252', cancelada: true });
+
+    conferir(converterUm([
+        'OJ-SDI1-182 COMPENSAÇÃO DE JORNADA. ACORDO INDIVIDUAL (convertida na Súmula nº 85) - Res. 129/2005',
+        'É válido o acordo individual para compensação de horas.'
+    ]), { numero: '182', cancelada: true });
+});